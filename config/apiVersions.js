@@ -0,0 +1,32 @@
+// config/apiVersions.js
+/**
+ * API Versions Configuration
+ * Versions mounted below the API prefix (/api/v1, /api/v2, ...), in release order
+ * Unversioned paths (/api/users) serve the Accept-Version header's version, or the default
+ */
+module.exports = {
+  /**
+   * Version served to unversioned requests without an Accept-Version header
+   * (v1, so clients written before versioning keep their contract)
+   */
+  defaultVersion: process.env.API_VERSION || 'v1',
+
+  /**
+   * Every supported version
+   * A version with deprecatedAt set answers with Deprecation, Sunset (when
+   * sunsetAt is set) and a Link to its successor version; neither is set
+   * unless configured (e.g. API_V1_DEPRECATED_AT=2027-01-01)
+   */
+  versions: {
+    v1: {
+      deprecatedAt: process.env.API_V1_DEPRECATED_AT || null,
+      sunsetAt: process.env.API_V1_SUNSET_AT || null,
+      successor: 'v2'
+    },
+    v2: {
+      deprecatedAt: null,
+      sunsetAt: null,
+      successor: null
+    }
+  }
+};
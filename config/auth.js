@@ -0,0 +1,36 @@
+// config/auth.js
+/**
+ * Authentication Configuration
+ * Centralizes token and password hashing settings read from the environment
+ */
+module.exports = {
+  /**
+   * Secret used to sign and verify access tokens (required)
+   */
+  jwtSecret: process.env.JWT_SECRET,
+
+  /**
+   * Access token lifetime, in any format accepted by jsonwebtoken (e.g. "15m", "1h")
+   */
+  accessTokenExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+
+  /**
+   * Refresh token lifetime in days; each refresh extends the session by this much
+   */
+  refreshTokenExpiresInDays: parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS, 10) || 30,
+
+  /**
+   * How many rotated-out refresh tokens to remember per session for reuse detection
+   */
+  refreshTokenHistorySize: parseInt(process.env.REFRESH_TOKEN_HISTORY_SIZE, 10) || 20,
+
+  /**
+   * Token issuer claim, checked on verification
+   */
+  issuer: process.env.JWT_ISSUER || 'user-management-api',
+
+  /**
+   * bcrypt cost factor for password hashing
+   */
+  bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 12
+};
@@ -0,0 +1,42 @@
+// config/cache.js
+/**
+ * Cache Configuration
+ * Lifetimes and sizes of the in-memory caches, read from the environment
+ */
+module.exports = {
+  /**
+   * How long GET /api/users/stats results are reused, in seconds (0 disables caching)
+   * Any user write clears the cache before the TTL runs out
+   */
+  statsTtlSeconds: process.env.STATS_CACHE_TTL_SECONDS !== undefined
+    ? parseInt(process.env.STATS_CACHE_TTL_SECONDS, 10) || 0
+    : 60,
+
+  /**
+   * Most distinct filter combinations kept in the stats cache
+   */
+  statsMaxEntries: parseInt(process.env.STATS_CACHE_MAX_ENTRIES, 10) || 100,
+
+  /**
+   * How long whole GET responses are reused by the response cache, in seconds
+   * (0, the default, disables it); any user write clears it
+   */
+  responseTtlSeconds: parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS, 10) || 0,
+
+  /**
+   * Most responses kept in the response cache (least recently used are evicted)
+   */
+  responseMaxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10) || 500,
+
+  /**
+   * Cache-Control header per read route
+   * Responses are per-caller, so shared caches must not store them; no-cache
+   * makes clients revalidate with If-None-Match / If-Modified-Since
+   */
+  cacheControl: {
+    'users:list': process.env.CACHE_CONTROL_USERS_LIST || 'private, no-cache',
+    'users:read': process.env.CACHE_CONTROL_USERS_READ || 'private, no-cache',
+    'users:search': process.env.CACHE_CONTROL_USERS_SEARCH || 'private, no-cache',
+    'users:stats': process.env.CACHE_CONTROL_USERS_STATS || 'private, max-age=30'
+  }
+};
@@ -0,0 +1,18 @@
+// config/hobbies.js
+/**
+ * Hobby Catalog Configuration
+ * Read from the environment
+ */
+module.exports = {
+  /**
+   * How user hobbies outside the catalog are treated
+   *   strict  - rejected with 422 (only catalog entries allowed)
+   *   lenient - added to the catalog as pending entries for review
+   */
+  catalogMode: process.env.HOBBY_CATALOG_MODE === 'strict' ? 'strict' : 'lenient',
+
+  /**
+   * Category given to catalog entries created without one
+   */
+  defaultCategory: 'Other'
+};
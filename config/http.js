@@ -0,0 +1,31 @@
+// config/http.js
+/**
+ * HTTP Behaviour Configuration
+ * Settings for conditional requests and request size limits, read from the environment
+ */
+module.exports = {
+  /**
+   * When true, PUT/PATCH/DELETE on a user must send If-Match
+   * (requests without it are rejected with 428 Precondition Required)
+   */
+  requireIfMatch: process.env.REQUIRE_IF_MATCH === 'true',
+
+  /**
+   * Maximum number of operations accepted by POST /api/users/bulk
+   */
+  bulkMaxOperations: parseInt(process.env.BULK_MAX_OPERATIONS, 10) || 500,
+
+  /**
+   * Maximum number of rows accepted by POST /api/users/import
+   * (the upload is streamed, so this bounds the work and report size, not memory)
+   */
+  importMaxRows: parseInt(process.env.IMPORT_MAX_ROWS, 10) || 10000,
+
+  /**
+   * Express "trust proxy" setting: the number of reverse proxies in front of
+   * the API (or true/false), so req.ip is the client's address for rate limiting
+   */
+  trustProxy: /^\d+$/.test(process.env.TRUST_PROXY || '')
+    ? parseInt(process.env.TRUST_PROXY, 10)
+    : process.env.TRUST_PROXY === 'true'
+};
@@ -0,0 +1,122 @@
+// config/permissions.js
+/**
+ * Role Policy
+ * Single source of truth for who may perform each action
+ * Enforced per route by the authorize middleware
+ *
+ * Each action declares:
+ *   roles            - Roles allowed to perform the action on any record
+ *   allowSelf        - Whether a user may perform it on their own record (:id matches caller)
+ *   restrictedFields - Body fields that only the listed roles may change
+ *   scope            - API key scope that grants the action to service clients
+ *                      (actions without a scope are never available to API keys)
+ */
+
+/**
+ * Roles a user can hold, in increasing order of privilege
+ */
+const ROLES = ['user', 'manager', 'admin'];
+
+/**
+ * Scopes that can be granted to API keys
+ */
+const API_KEY_SCOPES = ['users:read', 'users:write', 'users:stats'];
+
+/**
+ * Fields that grant or withdraw access; only admins (never API keys) may set them
+ */
+const ADMIN_ONLY_FIELDS = {
+  isActive: ['admin'],
+  role: ['admin']
+};
+
+const policy = {
+  'users:list': {
+    roles: ['admin', 'manager'],
+    scope: 'users:read'
+  },
+  'users:export': {
+    roles: ['admin', 'manager'],
+    scope: 'users:read'
+  },
+  'users:search': {
+    roles: ['admin', 'manager'],
+    scope: 'users:read'
+  },
+  'users:suggest': {
+    roles: ['admin', 'manager'],
+    scope: 'users:read'
+  },
+  'users:stats': {
+    roles: ['admin'],
+    scope: 'users:stats'
+  },
+  'users:read': {
+    roles: ['admin', 'manager'],
+    scope: 'users:read',
+    allowSelf: true
+  },
+  'users:create': {
+    roles: ['admin'],
+    scope: 'users:write',
+    restrictedFields: ADMIN_ONLY_FIELDS
+  },
+  'users:update': {
+    roles: ['admin', 'manager'],
+    scope: 'users:write',
+    allowSelf: true,
+    restrictedFields: ADMIN_ONLY_FIELDS
+  },
+  'users:delete': {
+    roles: ['admin'],
+    scope: 'users:write'
+  },
+  'users:bulk': {
+    roles: ['admin'],
+    scope: 'users:write',
+    restrictedFields: ADMIN_ONLY_FIELDS
+  },
+  'users:import': {
+    roles: ['admin'],
+    scope: 'users:write',
+    restrictedFields: ADMIN_ONLY_FIELDS
+  },
+  'users:purge': {
+    roles: ['admin']
+  },
+  'users:trash': {
+    roles: ['admin']
+  },
+  'users:restore': {
+    roles: ['admin']
+  },
+  'users:history': {
+    roles: ['admin', 'manager'],
+    scope: 'users:read',
+    allowSelf: true
+  },
+  'sessions:list': {
+    roles: ['admin'],
+    allowSelf: true
+  },
+  'sessions:revoke': {
+    roles: ['admin'],
+    allowSelf: true
+  },
+  'hobbies:read': {
+    roles: ['user', 'manager', 'admin'],
+    scope: 'users:read'
+  },
+  'hobbies:manage': {
+    roles: ['admin'],
+    scope: 'users:write'
+  },
+  'apiKeys:manage': {
+    roles: ['admin']
+  },
+  'audit:read': {
+    roles: ['admin']
+  }
+};
+
+module.exports = { ROLES, API_KEY_SCOPES, policy };
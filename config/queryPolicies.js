@@ -0,0 +1,30 @@
+// config/queryPolicies.js
+/**
+ * Query Policies
+ * Per-model whitelist for the structured filter and sort syntax
+ * (filter[field][operator]=value, sort=-field,field)
+ *
+ * Each filterable field declares:
+ *   type      - How values are parsed: string, number, date or boolean
+ *   operators - Operators allowed on the field
+ * sortable lists the fields results may be ordered by
+ */
+const STRING_OPERATORS = ['eq', 'ne', 'in', 'nin', 'contains', 'startsWith'];
+const RANGE_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin'];
+
+module.exports = {
+  User: {
+    filterable: {
+      name: { type: 'string', operators: STRING_OPERATORS },
+      email: { type: 'string', operators: STRING_OPERATORS },
+      age: { type: 'number', operators: [...RANGE_OPERATORS, 'exists'] },
+      hobbies: { type: 'string', operators: ['eq', 'ne', 'in', 'nin', 'all', 'contains'] },
+      isActive: { type: 'boolean', operators: ['eq', 'ne'] },
+      role: { type: 'string', operators: ['eq', 'ne', 'in', 'nin'] },
+      profileScore: { type: 'number', operators: RANGE_OPERATORS },
+      createdAt: { type: 'date', operators: ['gt', 'gte', 'lt', 'lte'] },
+      updatedAt: { type: 'date', operators: ['gt', 'gte', 'lt', 'lte'] }
+    },
+    sortable: ['createdAt', 'updatedAt', 'name', 'email', 'age', 'profileScore']
+  }
+};
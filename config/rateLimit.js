@@ -0,0 +1,73 @@
+// config/rateLimit.js
+/**
+ * Rate Limit Configuration
+ * Request budgets per route policy and where their counters live, read from the environment
+ */
+module.exports = {
+  /**
+   * Set RATE_LIMIT_ENABLED=false to turn every policy off (e.g. for load tests)
+   */
+  enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+
+  /**
+   * Where counters are kept: memory (per process) or mongodb (shared by
+   * every instance, so limits hold behind a load balancer)
+   */
+  store: process.env.RATE_LIMIT_STORE === 'mongodb' ? 'mongodb' : 'memory',
+
+  /**
+   * Named policies applied by middleware/rateLimit.js
+   * - algorithm: sliding-window (limit requests per windowMs, weighted across
+   *   the previous window) or token-bucket (burst of limit, refilled evenly over windowMs)
+   * - keyBy: caller identities tried in order; the first one present is the key
+   */
+  policies: {
+    // Every /api request, before authentication has identified a user
+    default: {
+      algorithm: 'sliding-window',
+      limit: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
+      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000,
+      keyBy: ['apiKey', 'ip']
+    },
+
+    // Password guessing protection for POST /auth/login and /auth/register
+    'auth:login': {
+      algorithm: 'sliding-window',
+      limit: parseInt(process.env.RATE_LIMIT_LOGIN_MAX_REQUESTS, 10) || 10,
+      windowMs: parseInt(process.env.RATE_LIMIT_LOGIN_WINDOW_MS, 10) || 15 * 60 * 1000,
+      keyBy: ['ip']
+    },
+
+    // Full-text search is the most expensive read; allow short bursts
+    'users:search': {
+      algorithm: 'token-bucket',
+      limit: parseInt(process.env.RATE_LIMIT_SEARCH_BURST, 10) || 20,
+      windowMs: parseInt(process.env.RATE_LIMIT_SEARCH_WINDOW_MS, 10) || 60 * 1000,
+      keyBy: ['apiKey', 'user', 'ip']
+    },
+
+    // Autocomplete is called on every keystroke; cheaper than search but far more frequent
+    'users:suggest': {
+      algorithm: 'token-bucket',
+      limit: parseInt(process.env.RATE_LIMIT_SUGGEST_BURST, 10) || 60,
+      windowMs: parseInt(process.env.RATE_LIMIT_SUGGEST_WINDOW_MS, 10) || 60 * 1000,
+      keyBy: ['apiKey', 'user', 'ip']
+    },
+
+    // Stats run several aggregations over the whole collection
+    'users:stats': {
+      algorithm: 'token-bucket',
+      limit: parseInt(process.env.RATE_LIMIT_STATS_BURST, 10) || 10,
+      windowMs: parseInt(process.env.RATE_LIMIT_STATS_WINDOW_MS, 10) || 60 * 1000,
+      keyBy: ['apiKey', 'user', 'ip']
+    },
+
+    // Daily quota on exports, which stream the whole collection
+    'users:export': {
+      algorithm: 'sliding-window',
+      limit: parseInt(process.env.RATE_LIMIT_EXPORT_DAILY_QUOTA, 10) || 50,
+      windowMs: 24 * 60 * 60 * 1000,
+      keyBy: ['apiKey', 'user', 'ip']
+    }
+  }
+};
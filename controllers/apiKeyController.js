@@ -0,0 +1,165 @@
+// controllers/apiKeyController.js
+const ApiKey = require('../models/ApiKey');
+const { generateApiKey, hashToken } = require('../utils/tokens');
+
+/**
+ * API Key Controller
+ * Admin management of API keys for service-to-service clients
+ */
+class ApiKeyController {
+
+  /**
+   * POST /api/api-keys
+   * Create a new API key
+   * The full key is returned only in this response
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async createApiKey(req, res) {
+    try {
+      console.log('🔐 POST /api/api-keys - Creating API key');
+      
+      // Validated by the route
+      const { name, scopes, expiresAt } = req.body;
+      
+      const { key, prefix, secret } = generateApiKey();
+      
+      const apiKey = new ApiKey({
+        name,
+        prefix,
+        secretHash: hashToken(secret),
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresAt || null,
+        createdBy: req.user ? req.user._id : null
+      });
+      await apiKey.save();
+      
+      console.log(`✅ API key created: ${apiKey.name} (${prefix})`);
+      res.status(201).json({
+        success: true,
+        message: 'API key created successfully. Store the key now; it cannot be retrieved again',
+        data: {
+          ...apiKey.toJSON(),
+          key
+        },
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('❌ Error creating API key:', error.message);
+      
+      // Handle validation errors
+      if (error.name === 'ValidationError' || error.name === 'CastError') {
+        const errors = {};
+        if (error.errors) {
+          Object.keys(error.errors).forEach(key => {
+            errors[key] = error.errors[key].message;
+          });
+        } else {
+          errors[error.path] = error.message;
+        }
+        
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create API key',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * GET /api/api-keys
+   * List API keys (secrets are never included)
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getApiKeys(req, res) {
+    try {
+      console.log('📋 GET /api/api-keys - Listing API keys');
+      
+      // Revoked keys are hidden unless explicitly requested
+      const query = req.query.includeRevoked ? {} : { revokedAt: null };
+      const apiKeys = await ApiKey.find(query).sort({ createdAt: -1 });
+      
+      console.log(`✅ Found ${apiKeys.length} API keys`);
+      res.status(200).json({
+        success: true,
+        message: 'API keys retrieved successfully',
+        data: apiKeys.map(apiKey => apiKey.toJSON()),
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('❌ Error listing API keys:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve API keys',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/api-keys/:id
+   * Revoke an API key
+   * The record is kept so its usage history remains visible
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async revokeApiKey(req, res) {
+    try {
+      const { id } = req.params;
+      console.log(`🚫 DELETE /api/api-keys/${id} - Revoking API key`);
+      
+      const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: id, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+      );
+      
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          message: 'API key not found',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      console.log(`✅ API key revoked: ${apiKey.name}`);
+      res.status(200).json({
+        success: true,
+        message: 'API key revoked successfully',
+        data: apiKey.toJSON(),
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('❌ Error revoking API key:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke API key',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+// Export controller instance
+module.exports = new ApiKeyController();
@@ -0,0 +1,149 @@
+// controllers/auditController.js
+const AuditEvent = require('../models/AuditEvent');
+
+/**
+ * Reads page/limit query parameters (validated and bounded by the route)
+ * @param {Object} query - Express req.query
+ * @returns {Object} { pageNumber, pageSize, skip }
+ */
+const parsePagination = ({ page, limit }) => {
+  return { pageNumber: page, pageSize: limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Runs a paginated audit query, newest events first
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} pagination - Output of parsePagination
+ * @returns {Promise<Object>} { events, pagination }
+ */
+const findEvents = async (filter, { pageNumber, pageSize, skip }) => {
+  const [events, totalEvents] = await Promise.all([
+    AuditEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(pageSize),
+    AuditEvent.countDocuments(filter)
+  ]);
+  
+  const totalPages = Math.ceil(totalEvents / pageSize);
+  return {
+    events: events.map(event => event.toJSON()),
+    pagination: {
+      currentPage: pageNumber,
+      pageSize: pageSize,
+      totalEvents: totalEvents,
+      totalPages: totalPages,
+      hasNextPage: pageNumber < totalPages,
+      hasPreviousPage: pageNumber > 1
+    }
+  };
+};
+
+/**
+ * Audit Controller
+ * Exposes the audit trail of changes made to users
+ */
+class AuditController {
+
+  /**
+   * GET /api/users/:id/history
+   * Change history of a single user, newest first
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getUserHistory(req, res) {
+    try {
+      const { id } = req.params;
+      console.log(`📜 GET /api/users/${id}/history - Retrieving change history`);
+      
+      // History stays available after a user is deleted or purged
+      const { events, pagination } = await findEvents(
+        { entityType: 'User', entityId: id },
+        parsePagination(req.query)
+      );
+      
+      console.log(`✅ Found ${events.length} history entries`);
+      res.status(200).json({
+        success: true,
+        message: 'User history retrieved successfully',
+        data: events,
+        pagination,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('❌ Error retrieving user history:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve user history',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * GET /api/audit
+   * Global audit log, filterable by actor, action and date range
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getAuditEvents(req, res) {
+    try {
+      console.log('📜 GET /api/audit - Retrieving audit log');
+      
+      // Query parameters are validated and coerced by the route
+      const { actor, action, from, to, entityId } = req.query;
+      const filter = {};
+      
+      // Filter by actor ID (user or API key)
+      if (actor) {
+        filter['actor.id'] = actor;
+      }
+      
+      // Filter by action (comma-separated list allowed)
+      if (action && action.length > 0) {
+        filter.action = { $in: action };
+      }
+      
+      // Filter by changed record
+      if (entityId) {
+        filter.entityId = entityId;
+      }
+      
+      // Filter by date range (inclusive)
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
+      }
+      
+      const { events, pagination } = await findEvents(filter, parsePagination(req.query));
+      
+      console.log(`✅ Found ${events.length} audit events (Total: ${pagination.totalEvents})`);
+      res.status(200).json({
+        success: true,
+        message: 'Audit events retrieved successfully',
+        data: events,
+        pagination,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('❌ Error retrieving audit events:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve audit events',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+// Export controller instance
+module.exports = new AuditController();
@@ -0,0 +1,340 @@
+// controllers/authController.js
+const User = require('../models/User');
+const Session = require('../models/Session');
+const authConfig = require('../config/auth');
+const {
+  signAccessToken,
+  getExpiresIn,
+  hashToken,
+  generateRefreshSecret,
+  buildRefreshToken,
+  parseRefreshToken,
+  getRefreshExpiry
+} = require('../utils/tokens');
+
+/**
+ * Starts a new device session for a user
+ * @param {User} user - User logging in
+ * @param {Object} req - Express request object (for device details)
+ * @returns {Promise<Object>} { session, refreshToken }
+ */
+const startSession = async (user, req) => {
+  const secret = generateRefreshSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    userAgent: req.get('User-Agent') || null,
+    ip: req.ip,
+    expiresAt: getRefreshExpiry()
+  });
+  
+  return { session, refreshToken: buildRefreshToken(session, secret) };
+};
+
+/**
+ * Builds the token section of an auth response
+ * @param {User} user - Authenticated user
+ * @param {Session} session - Device session
+ * @param {String} refreshToken - Current refresh token for the session
+ * @returns {Object} Token payload
+ */
+const buildTokenResponse = (user, session, refreshToken) => {
+  const accessToken = signAccessToken(user, session);
+  return {
+    accessToken,
+    tokenType: 'Bearer',
+    expiresIn: getExpiresIn(accessToken),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+    sessionId: String(session._id)
+  };
+};
+
+/**
+ * Auth Controller
+ * Handles account registration, login, token refresh and logout
+ * Issues signed access tokens used by requireAuth, backed by device sessions
+ */
+class AuthController {
+
+  /**
+   * POST /api/auth/register
+   * Create a new account with a password and return an access token
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async register(req, res) {
+    try {
+      console.log('📝 POST /api/auth/register - Registering new account');
+      
+      // Validated by the route (email is trimmed and lowercased)
+      const { name, email, password, age, hobbies } = req.body;
+      
+      // Check if user with email already exists (soft-deleted users keep their email reserved)
+      const existingUser = await User.findOne({ email })
+        .setOptions({ withDeleted: true });
+      if (existingUser) {
+        return res.status(409).json({
+          success: false,
+          message: 'User with this email already exists',
+          conflictField: 'email',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      // Password is hashed by the User pre-save middleware
+      const user = new User({
+        name,
+        email,
+        password,
+        age: age !== undefined ? age : null,
+        hobbies: hobbies || []
+      });
+      await user.save();
+      
+      const { session, refreshToken } = await startSession(user, req);
+      
+      console.log(`✅ Account registered: ${user.email}`);
+      res.status(201).json({
+        success: true,
+        message: 'Account registered successfully',
+        data: {
+          user: user.toJSON(),
+          ...buildTokenResponse(user, session, refreshToken)
+        },
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('❌ Error registering account:', error.message);
+      
+      // Handle validation errors
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        Object.keys(error.errors).forEach(key => {
+          errors[key] = error.errors[key].message;
+        });
+        
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      // Handle duplicate key error (concurrent registration)
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'Duplicate key error',
+          error: 'Email already exists',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to register account',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * POST /api/auth/login
+   * Verify email and password and return an access token
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async login(req, res) {
+    try {
+      console.log('🔑 POST /api/auth/login - Logging in');
+      
+      // Validated by the route (email is trimmed and lowercased)
+      const { email, password } = req.body;
+      
+      // Password is excluded by default, so select it explicitly
+      const user = await User.findOne({ email })
+        .select('+password');
+      
+      // Use the same response for unknown email and wrong password
+      const passwordMatches = user ? await user.comparePassword(password) : false;
+      if (!user || !passwordMatches || !user.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid email or password',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const { session, refreshToken } = await startSession(user, req);
+      
+      console.log(`✅ Logged in: ${user.email}`);
+      res.status(200).json({
+        success: true,
+        message: 'Logged in successfully',
+        data: {
+          user: user.toJSON(),
+          ...buildTokenResponse(user, session, refreshToken)
+        },
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('❌ Error logging in:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to log in',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * POST /api/auth/refresh
+   * Exchange a refresh token for a new access token
+   * The refresh token is rotated on every use; presenting an already-rotated
+   * token is treated as theft and revokes the whole session
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async refresh(req, res) {
+    try {
+      console.log('🔄 POST /api/auth/refresh - Refreshing access token');
+      
+      const parsed = parseRefreshToken(req.body.refreshToken);
+      if (!parsed) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid refreshToken is required',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const presentedHash = hashToken(parsed.secret);
+      const newSecret = generateRefreshSecret();
+      
+      // Rotate atomically: only succeeds if the presented token is still current,
+      // so two concurrent refreshes with the same token cannot both win
+      const session = await Session.findOneAndUpdate(
+        {
+          _id: parsed.sessionId,
+          tokenHash: presentedHash,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() }
+        },
+        {
+          $set: {
+            tokenHash: hashToken(newSecret),
+            lastUsedAt: new Date(),
+            expiresAt: getRefreshExpiry()
+          },
+          $push: {
+            previousTokenHashes: {
+              $each: [presentedHash],
+              $slice: -authConfig.refreshTokenHistorySize
+            }
+          }
+        },
+        { new: true }
+      );
+      
+      if (!session) {
+        // Reuse detection: a rotated-out token means it was copied somewhere
+        const reused = await Session.findOne({
+          _id: parsed.sessionId,
+          previousTokenHashes: presentedHash,
+          revokedAt: null
+        });
+        
+        if (reused) {
+          await reused.revoke('refresh_token_reuse');
+          console.warn(`⚠️ Refresh token reuse detected, session ${reused._id} revoked`);
+          return res.status(401).json({
+            success: false,
+            message: 'Refresh token reuse detected; session revoked',
+            timestamp: new Date().toISOString()
+          });
+        }
+        
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired refresh token',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const user = await User.findById(session.user);
+      if (!user || !user.isActive) {
+        await session.revoke('user_inactive');
+        return res.status(401).json({
+          success: false,
+          message: 'User no longer has access',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      console.log(`✅ Token refreshed for session ${session._id}`);
+      res.status(200).json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: buildTokenResponse(user, session, buildRefreshToken(session, newSecret)),
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('❌ Error refreshing token:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to refresh token',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * POST /api/auth/logout
+   * Revoke the session the current access token belongs to
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async logout(req, res) {
+    try {
+      console.log('🚪 POST /api/auth/logout - Logging out');
+      
+      if (req.authSession) {
+        await req.authSession.revoke('logout');
+      }
+      
+      res.status(200).json({
+        success: true,
+        message: 'Logged out successfully',
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('❌ Error logging out:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to log out',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+// Export controller instance
+module.exports = new AuthController();
@@ -0,0 +1,93 @@
+// controllers/docsController.js
+const User = require('../models/User');
+const apiVersionConfig = require('../config/apiVersions');
+const { API_PREFIX, apiRouters } = require('../routes/index');
+const { buildOpenApiDocument } = require('../utils/openapi');
+const { version } = require('../package.json');
+
+/**
+ * Built OpenAPI documents by API version (see getOpenApiDocument)
+ */
+const openApiDocuments = new Map();
+
+/**
+ * Documentation Controller
+ * Serves the generated OpenAPI document and the Swagger UI page that renders it
+ */
+class DocsController {
+
+  /**
+   * GET /api/:version/openapi.json (or /api/openapi.json with Accept-Version)
+   * OpenAPI 3.1 document of the request's API version, built from the mounted
+   * routers on first request (routes cannot change at runtime, so it is kept
+   * for the process lifetime)
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   * @returns {void}
+   */
+  getOpenApiDocument(req, res, next) {
+    try {
+      const { apiVersion } = req;
+      if (!openApiDocuments.has(apiVersion)) {
+        openApiDocuments.set(apiVersion, buildOpenApiDocument({
+          apiPrefix: `${API_PREFIX}/${apiVersion}`,
+          apiRouters,
+          userModel: User,
+          version,
+          deprecated: Boolean(apiVersionConfig.versions[apiVersion].deprecatedAt)
+        }));
+      }
+      
+      res.json(openApiDocuments.get(apiVersion));
+      
+    } catch (error) {
+      console.error('❌ Error building OpenAPI document:', error);
+      next(error);
+    }
+  }
+
+  /**
+   * GET /docs
+   * Swagger UI page with a document per API version, newest first
+   * Its assets are served from swagger-ui-dist under /docs (see server.js)
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {void}
+   */
+  getDocsPage(req, res) {
+    const urls = Object.keys(apiVersionConfig.versions).reverse().map(apiVersion => ({
+      url: `${API_PREFIX}/${apiVersion}/openapi.json`,
+      name: apiVersion
+    }));
+    
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>User Management REST API - Docs</title>
+  <link rel="stylesheet" href="/docs/swagger-ui.css">
+  <link rel="icon" type="image/png" href="/docs/favicon-32x32.png">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="/docs/swagger-ui-bundle.js"></script>
+  <script src="/docs/swagger-ui-standalone-preset.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({
+      urls: ${JSON.stringify(urls)},
+      dom_id: '#swagger-ui',
+      deepLinking: true,
+      presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+      layout: 'StandaloneLayout'
+    });
+  </script>
+</body>
+</html>`);
+  }
+}
+
+// Export controller instance
+module.exports = new DocsController();
@@ -0,0 +1,327 @@
+// controllers/hobbyController.js
+const Hobby = require('../models/Hobby');
+const User = require('../models/User');
+const { escapeRegex } = require('../utils/queryLanguage');
+const { toHobbyKey } = require('../utils/hobbies');
+
+/**
+ * Sends the 400/409 response for a failed catalog write, if it is one
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by save()
+ * @returns {Boolean} True if a response was sent
+ */
+const sendHobbyWriteError = (res, error) => {
+  // Handle validation errors
+  if (error.name === 'ValidationError') {
+    const errors = {};
+    Object.keys(error.errors).forEach(key => {
+      errors[key] = error.errors[key].message;
+    });
+    
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors,
+      timestamp: new Date().toISOString()
+    });
+    return true;
+  }
+  
+  // The name or a synonym already belongs to another entry
+  if (error.code === 11000) {
+    res.status(409).json({
+      success: false,
+      message: 'Hobby name or synonym already exists in the catalog',
+      timestamp: new Date().toISOString()
+    });
+    return true;
+  }
+  
+  return false;
+};
+
+/**
+ * Hobby Controller
+ * Manages the catalog of canonical hobbies users' hobbies are normalized to
+ */
+class HobbyController {
+
+  /**
+   * GET /api/hobbies
+   * List catalog entries, optionally filtered
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getHobbies(req, res) {
+    try {
+      console.log('📋 GET /api/hobbies - Listing hobby catalog');
+      
+      // Query parameters are validated and defaulted by the route
+      const { status, category, q, page: pageNumber, limit: pageSize } = req.query;
+      
+      const query = {};
+      if (status) query.status = status;
+      if (category) query.category = category;
+      if (q) {
+        // Prefix match on the name or any synonym, in any spelling
+        query.lookupKeys = { $regex: `^${escapeRegex(toHobbyKey(q))}` };
+      }
+      
+      const [hobbies, totalHobbies] = await Promise.all([
+        Hobby.find(query)
+          .sort({ name: 1 })
+          .skip((pageNumber - 1) * pageSize)
+          .limit(pageSize),
+        Hobby.countDocuments(query)
+      ]);
+      
+      const totalPages = Math.ceil(totalHobbies / pageSize);
+      console.log(`✅ Found ${hobbies.length} hobbies (Total: ${totalHobbies})`);
+      res.status(200).json({
+        success: true,
+        message: 'Hobbies retrieved successfully',
+        data: hobbies.map(hobby => hobby.toJSON()),
+        pagination: {
+          currentPage: pageNumber,
+          pageSize: pageSize,
+          totalHobbies: totalHobbies,
+          totalPages: totalPages,
+          hasNextPage: pageNumber < totalPages,
+          hasPreviousPage: pageNumber > 1
+        },
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('❌ Error listing hobbies:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve hobbies',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * GET /api/hobbies/:id
+   * Retrieve one catalog entry
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getHobbyById(req, res) {
+    try {
+      const { id } = req.params;
+      console.log(`🔍 GET /api/hobbies/${id} - Retrieving hobby`);
+      
+      const hobby = await Hobby.findById(id);
+      if (!hobby) {
+        return res.status(404).json({
+          success: false,
+          message: 'Hobby not found',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        message: 'Hobby retrieved successfully',
+        data: hobby.toJSON(),
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('❌ Error retrieving hobby:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve hobby',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * POST /api/hobbies
+   * Add a catalog entry
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async createHobby(req, res) {
+    try {
+      console.log('📝 POST /api/hobbies - Creating hobby');
+      
+      // The body holds only catalog fields (validated by the route)
+      const hobby = await new Hobby({
+        ...req.body,
+        createdBy: req.user ? req.user._id : null
+      }).save();
+      
+      console.log(`✅ Hobby created: ${hobby.name}`);
+      res.status(201).json({
+        success: true,
+        message: 'Hobby created successfully',
+        data: hobby.toJSON(),
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('❌ Error creating hobby:', error.message);
+      if (sendHobbyWriteError(res, error)) return;
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create hobby',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * PATCH /api/hobbies/:id
+   * Update a catalog entry (e.g. approve a pending entry or add synonyms)
+   * Renaming an entry renames the hobby on every user listing it
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async updateHobby(req, res) {
+    try {
+      const { id } = req.params;
+      console.log(`✏️ PATCH /api/hobbies/${id} - Updating hobby`);
+      
+      const hobby = await Hobby.findById(id);
+      if (!hobby) {
+        return res.status(404).json({
+          success: false,
+          message: 'Hobby not found',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const previousName = hobby.name;
+      hobby.set(req.body);
+      await hobby.save();
+      
+      const usersUpdated = await User.replaceHobby(previousName, hobby.name);
+      
+      console.log(`✅ Hobby updated: ${hobby.name}${usersUpdated ? ` (${usersUpdated} users renamed)` : ''}`);
+      res.status(200).json({
+        success: true,
+        message: 'Hobby updated successfully',
+        data: hobby.toJSON(),
+        usersUpdated: usersUpdated,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('❌ Error updating hobby:', error.message);
+      if (sendHobbyWriteError(res, error)) return;
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update hobby',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/hobbies/:id
+   * Remove a catalog entry
+   * An entry users still list can only be removed by merging it into another
+   * entry (?mergeInto=<id>): its name and synonyms become synonyms of the
+   * target, and users are moved over to the target's name
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async deleteHobby(req, res) {
+    try {
+      const { id } = req.params;
+      const { mergeInto } = req.query;
+      console.log(`🗑️ DELETE /api/hobbies/${id} - Deleting hobby`);
+      
+      if (mergeInto === id) {
+        return res.status(400).json({
+          success: false,
+          message: 'A hobby cannot be merged into itself',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const [hobby, target] = await Promise.all([
+        Hobby.findById(id),
+        mergeInto ? Hobby.findById(mergeInto) : null
+      ]);
+      if (!hobby || (mergeInto && !target)) {
+        return res.status(404).json({
+          success: false,
+          message: hobby ? 'Merge target not found' : 'Hobby not found',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      if (!target) {
+        const usersCount = await User.countDocuments({ hobbies: hobby.name })
+          .setOptions({ withDeleted: true });
+        if (usersCount > 0) {
+          return res.status(409).json({
+            success: false,
+            message: `Hobby is listed by ${usersCount} user(s); merge it into another entry with ?mergeInto=<id>`,
+            usersCount: usersCount,
+            timestamp: new Date().toISOString()
+          });
+        }
+        
+        await hobby.deleteOne();
+        console.log(`✅ Hobby deleted: ${hobby.name}`);
+        return res.status(200).json({
+          success: true,
+          message: 'Hobby deleted successfully',
+          data: hobby.toJSON(),
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      // Free the old spellings before the target takes them over
+      await hobby.deleteOne();
+      target.synonyms.push(hobby.name, ...hobby.synonyms);
+      await target.save();
+      const usersUpdated = await User.replaceHobby(hobby.name, target.name);
+      
+      console.log(`✅ Hobby merged: ${hobby.name} -> ${target.name} (${usersUpdated} users)`);
+      res.status(200).json({
+        success: true,
+        message: `Hobby merged into ${target.name}`,
+        data: target.toJSON(),
+        usersUpdated: usersUpdated,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('❌ Error deleting hobby:', error.message);
+      if (sendHobbyWriteError(res, error)) return;
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete hobby',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+// Export controller instance
+module.exports = new HobbyController();
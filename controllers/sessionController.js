@@ -0,0 +1,96 @@
+// controllers/sessionController.js
+const Session = require('../models/Session');
+
+/**
+ * Session Controller
+ * Lists and revokes a user's device sessions
+ */
+class SessionController {
+
+  /**
+   * GET /api/users/:id/sessions
+   * List a user's active sessions
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async listSessions(req, res) {
+    try {
+      const { id } = req.params;
+      console.log(`📱 GET /api/users/${id}/sessions - Listing sessions`);
+      
+      const sessions = await Session.findActiveForUser(id);
+      const currentSessionId = req.authSession ? String(req.authSession._id) : null;
+      
+      const response = {
+        success: true,
+        message: 'Sessions retrieved successfully',
+        data: sessions.map(session => ({
+          ...session.toJSON(),
+          current: session.id === currentSessionId
+        })),
+        timestamp: new Date().toISOString()
+      };
+      
+      console.log(`✅ Found ${sessions.length} active sessions`);
+      res.status(200).json(response);
+      
+    } catch (error) {
+      console.error('❌ Error listing sessions:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve sessions',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/users/:id/sessions/:sessionId
+   * Revoke one of a user's sessions
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async revokeSession(req, res) {
+    try {
+      const { id, sessionId } = req.params;
+      console.log(`🚫 DELETE /api/users/${id}/sessions/${sessionId} - Revoking session`);
+      
+      // Scope the lookup to the user so one user cannot revoke another's session by ID
+      const session = await Session.findOne({ _id: sessionId, user: id, revokedAt: null });
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      await session.revoke('revoked_by_user');
+      
+      console.log(`✅ Session revoked: ${sessionId}`);
+      res.status(200).json({
+        success: true,
+        message: 'Session revoked successfully',
+        data: session.toJSON(),
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('❌ Error revoking session:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke session',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+// Export controller instance
+module.exports = new SessionController();
@@ -1,5 +1,732 @@
 // controllers/userController.js
+const { once } = require('events');
 const User = require('../models/User');
+const Hobby = require('../models/Hobby');
+const AuditEvent = require('../models/AuditEvent');
+const Session = require('../models/Session');
+const { createError } = require('../middleware/errorHandler');
+const { findForbiddenFields } = require('../middleware/authorize');
+const {
+  MERGE_PATCH_TYPE,
+  JSON_PATCH_TYPE,
+  applyMergePatch,
+  applyJsonPatch
+} = require('../utils/patch');
+const {
+  getUserETag,
+  getContentETag,
+  ifMatchSatisfied,
+  isRequestFresh
+} = require('../utils/etag');
+const { recordUserAudit } = require('../utils/audit');
+const httpConfig = require('../config/http');
+const hobbyConfig = require('../config/hobbies');
+const cacheConfig = require('../config/cache');
+const { TtlCache, registerUserCache, getLastUserWrite } = require('../utils/cache');
+const {
+  CSV_TYPE,
+  NDJSON_TYPE,
+  IMPORTABLE_FIELDS,
+  readCsvRecords,
+  readNdjsonRecords,
+  mapRecord
+} = require('../utils/importParser');
+const {
+  EXPORTABLE_COLUMNS,
+  DEFAULT_COLUMNS,
+  EXPORT_FORMATS,
+  buildProjection,
+  needsVirtuals,
+  toRow,
+  toCsvLine
+} = require('../utils/userExport');
+const {
+  encodeCursor,
+  decodeCursor,
+  cursorMatchesSort,
+  buildKeysetFilter
+} = require('../utils/keysetPagination');
+const { escapeRegex, parseFilter, parseSort, toMongoSort } = require('../utils/queryLanguage');
+const { SEARCH_FIELDS, parseSearchTerms, buildHighlights } = require('../utils/textSearch');
+const { MAX_QUERY_WORDS, tokenize, buildQueryKeys, scoreSuggestion } = require('../utils/suggest');
+const {
+  MAX_BUCKETS,
+  isValidTimeZone,
+  countBuckets,
+  fillBuckets
+} = require('../utils/timeBuckets');
+const { User: userQueryPolicy } = require('../config/queryPolicies');
+const { resolveFieldset, buildFieldsetProjection, pickFields } = require('../utils/userFields');
+
+/**
+ * Builds the MongoDB filter for the getAllUsers query parameters
+ * Shared by every endpoint that accepts the same filters (e.g. export)
+ * The simple parameters are combined with the structured filter[...] syntax;
+ * unknown filter fields or operators are thrown as 400 errors
+ * 
+ * @param {Object} params - Validated query parameters (name, email, minAge, maxAge, hobby, isActive, filter)
+ * @returns {Object} MongoDB filter
+ */
+const buildUserFilter = ({ name, email, minAge, maxAge, hobby, isActive, filter }) => {
+  const query = {};
+  
+  // Filter by name (case-insensitive partial match, taken literally)
+  if (name) {
+    query.name = { $regex: escapeRegex(name), $options: 'i' };
+  }
+  
+  // Filter by email (exact match, case-insensitive)
+  if (email) {
+    query.email = { $regex: `^${escapeRegex(email)}$`, $options: 'i' };
+  }
+  
+  // Filter by age range
+  if (minAge !== undefined || maxAge !== undefined) {
+    query.age = {};
+    if (minAge !== undefined) query.age.$gte = minAge;
+    if (maxAge !== undefined) query.age.$lte = maxAge;
+  }
+  
+  // Filter by hobby
+  if (hobby) {
+    query.hobbies = hobby;
+  }
+  
+  // Filter by active status
+  if (isActive !== undefined) {
+    query.isActive = isActive;
+  }
+  
+  // Structured filters: filter[field][operator]=value
+  const structured = parseFilter(filter, userQueryPolicy);
+  if (Object.keys(structured).length === 0) {
+    return query;
+  }
+  return Object.keys(query).length > 0 ? { $and: [query, structured] } : structured;
+};
+
+/**
+ * Resolves the requested sort into sort keys
+ * sort=-profileScore,name takes precedence over the older sortBy/order pair;
+ * both are checked against the sortable fields of the query policy
+ * 
+ * @param {Object} params - Query parameters (sort, sortBy, order)
+ * @returns {Array<Object>} Sort keys ({ field, order }) in priority order
+ */
+const resolveUserSort = ({ sort, sortBy = 'createdAt', order = 'desc' }) => {
+  if (sort !== undefined) {
+    return parseSort(sort, userQueryPolicy);
+  }
+  
+  if (!userQueryPolicy.sortable.includes(sortBy)) {
+    throw createError(400, `Invalid sortBy. Valid fields: ${userQueryPolicy.sortable.join(', ')}`);
+  }
+  return [{ field: sortBy, order: order === 'desc' ? -1 : 1 }];
+};
+
+/**
+ * The fields each search field targets
+ */
+const SEARCH_FIELD_PATHS = {
+  all: ['name', 'email', 'hobbies'],
+  name: ['name'],
+  email: ['email'],
+  hobby: ['hobbies']
+};
+
+/**
+ * Validates a hobby for the hobby sub-resource
+ * Mirrors the per-item rules of the User schema
+ * 
+ * @param {String} hobby - Trimmed hobby
+ * @returns {String|null} Error message, or null if valid
+ */
+const validateHobby = (hobby) => {
+  if (!hobby) return 'Hobby is required';
+  if (hobby.length < 2) return 'Hobby must be at least 2 characters';
+  if (hobby.length > 50) return 'Hobby cannot exceed 50 characters';
+  return null;
+};
+
+/**
+ * Cached getUserStats results, keyed by filter; cleared by any user write
+ */
+const statsCache = registerUserCache(new TtlCache({
+  ttlMs: cacheConfig.statsTtlSeconds * 1000,
+  maxEntries: cacheConfig.statsMaxEntries
+}));
+
+/**
+ * Validators for a getUserStats result
+ * generatedAt is left out of the ETag so recomputing unchanged statistics
+ * does not invalidate the client's copy
+ * 
+ * @param {Object} result - { stats, lastModified }
+ * @returns {Object} { etag, lastModified }
+ */
+const getStatsValidators = ({ stats, lastModified }) => {
+  const { generatedAt, ...content } = stats;
+  return { etag: getContentETag(content), lastModified };
+};
+
+/**
+ * Default time-series range per interval (in days)
+ */
+const TIMESERIES_DEFAULT_DAYS = { day: 30, week: 182, month: 365 };
+
+/**
+ * How many autocomplete candidates are ranked per request
+ */
+const SUGGEST_CANDIDATES = 100;
+
+/**
+ * How many users matching an autocomplete key are scored to pick the candidates
+ */
+const SUGGEST_SCAN_LIMIT = 1000;
+
+/**
+ * Builds the select argument for a user query
+ * Sparse fieldsets are projected in MongoDB; extraFields are loaded for
+ * internal use (sort keys, ETags) and dropped again by shapeUsers
+ * 
+ * @param {Object|null} fieldset - Output of resolveFieldset
+ * @param {Array<String>} extraFields - Fields the server needs internally
+ * @returns {Object|String} Projection
+ */
+const selectUserFields = (fieldset, extraFields = []) => {
+  return fieldset ? buildFieldsetProjection(fieldset, extraFields) : '-__v';
+};
+
+/**
+ * Latest change behind a set of users, for Last-Modified
+ * Purges leave no updatedAt behind, so the last write seen by this
+ * process is taken into account as well
+ * 
+ * @param {Array<Object>} users - Lean users (with updatedAt loaded)
+ * @returns {Date|null} Last modification time, if known
+ */
+const getLastModified = (users) => {
+  const times = users.map(user => user.updatedAt).filter(Boolean).map(date => new Date(date).getTime());
+  const lastWrite = getLastUserWrite();
+  if (lastWrite) times.push(lastWrite.getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+};
+
+/**
+ * Sets the validators of a read response and answers 304 when the
+ * client's cached copy is still current
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} validators - { etag, lastModified }
+ * @returns {Boolean} True if a 304 response was sent
+ */
+const sendNotModified = (req, res, { etag, lastModified }) => {
+  res.set('ETag', etag);
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+  
+  if (isRequestFresh(req, { etag, lastModified })) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Reduces lean users to a sparse fieldset
+ * Lean results carry no virtuals, so documents are hydrated only when a
+ * virtual field was requested
+ * 
+ * @param {Array<Object>} users - Lean users
+ * @param {Object|null} fieldset - Output of resolveFieldset
+ * @returns {Array<Object>} Users as returned to the client
+ */
+const shapeUsers = (users, fieldset) => {
+  if (!fieldset) return users;
+  
+  const hydrate = fieldset.virtuals.length > 0;
+  return users.map(user => pickFields(user, fieldset, hydrate ? User.hydrate(user) : null));
+};
+
+/**
+ * Fetches one page of users with keyset pagination
+ * The sort keys are paired with _id so the order is total and stable
+ * Invalid or mismatched cursors are thrown as 400 errors
+ * 
+ * @param {Object} filter - MongoDB filter from the query parameters
+ * @param {Object} options - { cursor, sortKeys, pageSize, projection }
+ * @returns {Promise<Object>} { users, nextCursor }
+ */
+const findKeysetPage = async (filter, { cursor, sortKeys, pageSize, projection = '-__v' }) => {
+  let keysetFilter = null;
+  
+  // An empty cursor requests the first page; otherwise the cursor carries the sort
+  if (cursor) {
+    const decoded = decodeCursor(cursor, User.schema);
+    if (!decoded) {
+      throw createError(400, 'Invalid cursor');
+    }
+    if (!cursorMatchesSort(decoded, sortKeys)) {
+      throw createError(400, 'Cursor does not match the requested sort');
+    }
+    keysetFilter = buildKeysetFilter(decoded);
+  }
+  
+  // Fetch one extra row to know whether another page exists
+  const rows = await User.find(keysetFilter ? { $and: [filter, keysetFilter] } : filter)
+    .sort(toMongoSort(sortKeys))
+    .limit(pageSize + 1)
+    .select(projection)
+    .lean();
+  
+  const users = rows.slice(0, pageSize);
+  const nextCursor = rows.length > pageSize
+    ? encodeCursor(users[users.length - 1], sortKeys)
+    : null;
+  
+  return { users, nextCursor };
+};
+
+/**
+ * Fields a client may set through PUT and PATCH
+ * Everything else (id, timestamps, profileScore, password) is managed by the server
+ */
+const EDITABLE_FIELDS = ['name', 'email', 'age', 'hobbies', 'isActive', 'role'];
+
+/**
+ * Administrative fields that a PUT keeps unless it sets them explicitly,
+ * so replacing a profile cannot silently demote or reactivate a user
+ */
+const ADMIN_FIELDS = ['isActive', 'role'];
+
+/**
+ * Copies the editable fields out of an object
+ * @param {Object} source - Request body or user object
+ * @returns {Object} Object containing only editable fields
+ */
+const pickEditableFields = (source) => {
+  const picked = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      picked[field] = source[field];
+    }
+  });
+  return picked;
+};
+
+/**
+ * Trims and converts incoming user data the same way createUser does
+ * @param {Object} data - Editable user fields
+ * @returns {Object} Normalized copy
+ */
+const normalizeUserData = (data) => {
+  const normalized = { ...data };
+  
+  if (typeof normalized.name === 'string') {
+    normalized.name = normalized.name.trim();
+  }
+  
+  if (typeof normalized.email === 'string') {
+    normalized.email = normalized.email.toLowerCase().trim();
+  }
+  
+  if (Array.isArray(normalized.hobbies)) {
+    normalized.hobbies = normalized.hobbies.map(h => (typeof h === 'string' ? h.trim() : h));
+  }
+  
+  if (normalized.age !== undefined && normalized.age !== null && normalized.age !== '') {
+    normalized.age = parseInt(normalized.age);
+  }
+  
+  return normalized;
+};
+
+/**
+ * Normalizes hobbies to their canonical catalog names without writing anything
+ * Unknown hobbies are rejected with 422 in strict mode; in lenient mode they
+ * are kept as entered and returned in unknown, for addPendingHobbies to add
+ * to the catalog once the user is known to be valid (see config/hobbies.js)
+ * 
+ * @param {Array} hobbies - Hobbies as entered
+ * @returns {Promise<Object>} { hobbies, unknown } - canonical hobbies (duplicates removed) and unknown ones
+ */
+const resolveUserHobbies = async (hobbies) => {
+  const { hobbies: resolved, unknown } = await Hobby.resolveNames(hobbies, { mode: 'strict' });
+  
+  if (unknown.length > 0 && hobbyConfig.catalogMode === 'strict') {
+    throw createError(422, 'Hobbies must come from the hobby catalog', {
+      hobbies: `Not in the catalog: ${unknown.join(', ')}`
+    });
+  }
+  
+  return { hobbies: [...resolved, ...unknown], unknown };
+};
+
+/**
+ * Adds unknown hobbies to the catalog as pending entries (lenient mode)
+ * Call it only once the user has passed validation, so rejected input
+ * never leaves catalog entries behind
+ * 
+ * @param {Object} req - Express request object (credits pending entries to the caller)
+ * @param {Array} hobbies - Hobbies from resolveUserHobbies
+ * @param {Array} unknown - Unknown hobbies from resolveUserHobbies
+ * @returns {Promise<Array>} Hobbies with unknown ones renamed to their entries' canonical names
+ */
+const addPendingHobbies = async (req, hobbies, unknown) => {
+  const canonicalNames = new Map();
+  for (const name of unknown) {
+    canonicalNames.set(name, await Hobby.addPending(name, req.user ? req.user._id : null));
+  }
+  return [...new Set(hobbies.map(hobby => canonicalNames.get(hobby) || hobby))];
+};
+
+/**
+ * Loads a user, computes its next state and saves it with full schema validation
+ * Shared by PUT (replacement) and PATCH (merge patch / JSON patch)
+ * The update is refused (412) if the request's If-Match header is stale
+ * Expected failures are thrown as errors with a statusCode
+ * 
+ * @param {Object} req - Express request object (provides the audit actor)
+ * @param {Function} buildNextState - Receives the current editable fields, returns the new ones
+ * @param {Object} [target] - Which user to update (defaults to the request's :id and If-Match header)
+ * @param {String} [target.id] - User's MongoDB ID
+ * @param {String} [target.ifMatch] - Expected ETag
+ * @returns {Promise<User>} Saved user document
+ */
+const applyUserUpdate = async (req, buildNextState, target = {}) => {
+  // An explicit target (bulk/import items) carries its own precondition, if any
+  const id = target.id || req.params.id;
+  const ifMatch = target.id ? target.ifMatch : req.get('If-Match');
+  
+  // Validate ID format
+  if (typeof id !== 'string' || !id.match(/^[0-9a-fA-F]{24}$/)) {
+    throw createError(400, 'Invalid user ID format');
+  }
+  
+  const user = await User.findById(id);
+  if (!user) {
+    throw createError(404, 'User not found');
+  }
+  
+  if (!ifMatchSatisfied(ifMatch, getUserETag(user))) {
+    throw createError(412, 'Precondition Failed: the user has been modified since it was retrieved');
+  }
+  
+  const before = user.toObject({ virtuals: false });
+  const current = pickEditableFields(before);
+  const nextState = buildNextState(current);
+  
+  if (nextState === null || typeof nextState !== 'object' || Array.isArray(nextState)) {
+    throw createError(400, 'Update must result in a user object');
+  }
+  
+  // Patches may only touch editable fields
+  const readOnlyFields = Object.keys(nextState).filter(field => !EDITABLE_FIELDS.includes(field));
+  if (readOnlyFields.length > 0) {
+    const errors = {};
+    readOnlyFields.forEach(field => {
+      errors[field] = `${field} cannot be modified. Editable fields: ${EDITABLE_FIELDS.join(', ')}`;
+    });
+    throw createError(400, 'Update contains fields that cannot be modified', errors);
+  }
+  
+  const updateData = normalizeUserData(nextState);
+  let unknownHobbies = [];
+  if (Array.isArray(updateData.hobbies)) {
+    const resolved = await resolveUserHobbies(updateData.hobbies);
+    updateData.hobbies = resolved.hobbies;
+    unknownHobbies = resolved.unknown;
+  }
+  
+  // Check if new email already exists for another user
+  if (updateData.email && updateData.email !== user.email) {
+    const existingUserWithEmail = await User.findOne({
+      email: updateData.email,
+      _id: { $ne: id } // Exclude current user from check
+    }).setOptions({ withDeleted: true }); // Soft-deleted users keep their email reserved
+    
+    if (existingUserWithEmail) {
+      throw createError(409, 'Email already exists for another user');
+    }
+  }
+  
+  // Fields missing from the new state fall back to their schema defaults
+  // (required fields such as name and email then fail validation)
+  EDITABLE_FIELDS.forEach(field => {
+    if (updateData[field] === undefined) {
+      user.set(field, User.schema.path(field).getDefault(user));
+    } else {
+      user.set(field, updateData[field]);
+    }
+  });
+  
+  // Only a valid update may add pending hobbies to the catalog
+  if (unknownHobbies.length > 0) {
+    await user.validate();
+    user.set('hobbies', await addPendingHobbies(req, updateData.hobbies, unknownHobbies));
+  }
+  
+  // save() runs all schema validators on the resulting document, and fails
+  // with a VersionError if another write bumped the revision in the meantime
+  await user.save();
+  
+  await recordUserAudit(req, 'update', before, user.toObject({ virtuals: false }));
+  
+  // A deactivated user must not keep any working sessions
+  if (user.isActive === false) {
+    await Session.revokeAllForUser(id, 'user_deactivated');
+  }
+  
+  return user;
+};
+
+/**
+ * Creates a user after checking that the email is free
+ * Shared by createUser and the bulk endpoint
+ * An email conflict is thrown as a 409 error; schema violations as a ValidationError
+ * 
+ * @param {Object} req - Express request object (provides the audit actor)
+ * @param {Object} userData - Normalized user fields
+ * @returns {Promise<User>} Saved user document
+ */
+const createUserRecord = async (req, userData) => {
+  // Check if user with email already exists (soft-deleted users keep their email reserved)
+  if (userData.email) {
+    const existingUser = await User.findOne({ email: userData.email })
+      .setOptions({ withDeleted: true });
+    if (existingUser) {
+      throw createError(409, 'User with this email already exists', {
+        email: 'This email already exists'
+      });
+    }
+  }
+  
+  const { hobbies, unknown } = Array.isArray(userData.hobbies)
+    ? await resolveUserHobbies(userData.hobbies)
+    : { hobbies: userData.hobbies, unknown: [] };
+  const user = new User({ ...userData, hobbies });
+  
+  // Only a valid user may add pending hobbies to the catalog
+  if (unknown.length > 0) {
+    await user.validate();
+    user.set('hobbies', await addPendingHobbies(req, hobbies, unknown));
+  }
+  
+  const savedUser = await user.save();
+  await recordUserAudit(req, 'create', null, savedUser.toObject({ virtuals: false }));
+  return savedUser;
+};
+
+/**
+ * Soft-deletes a user: hidden from queries, email stays reserved
+ * Shared by deleteUser and the bulk endpoint
+ * 
+ * @param {Object} req - Express request object (provides the audit actor)
+ * @param {Object} filter - Filter selecting the user (by _id, optionally revision)
+ * @returns {Promise<Object|null>} Deleted user (lean) or null if not found
+ */
+const softDeleteUserRecord = async (req, filter) => {
+  // Snapshot for the audit diff
+  const before = await User.findOne(filter).lean();
+  if (!before) {
+    return null;
+  }
+  
+  const deletedUser = await User.findOneAndUpdate(
+    filter,
+    {
+      $set: { deletedAt: new Date(), deletedBy: req.user ? req.user._id : null },
+      $inc: { revision: 1 }
+    },
+    { new: true }
+  ).lean();
+  
+  if (deletedUser) {
+    await recordUserAudit(req, 'delete', before, deletedUser);
+    await Session.revokeAllForUser(deletedUser._id, 'user_deleted');
+  }
+  return deletedUser;
+};
+
+/**
+ * Operations accepted by the bulk endpoint
+ */
+const BULK_OPERATIONS = ['create', 'update', 'delete'];
+
+/**
+ * Converts an error thrown by a bulk operation into a per-item result
+ * Validation errors use the same { field: message } shape as errorHandler
+ * @param {Error} error - Error thrown while processing the item
+ * @returns {Object} { status, message, errors }
+ */
+const describeBulkError = (error) => {
+  if (error.statusCode) {
+    return { status: error.statusCode, message: error.message, errors: error.details || null };
+  }
+  
+  if (error.name === 'ValidationError') {
+    const errors = {};
+    Object.keys(error.errors).forEach(key => {
+      errors[key] = error.errors[key].message;
+    });
+    return { status: 400, message: 'Validation failed', errors };
+  }
+  
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyPattern || { email: 1 })[0];
+    return { status: 409, message: 'Duplicate key error', errors: { [field]: `This ${field} already exists` } };
+  }
+  
+  if (error.name === 'VersionError') {
+    return { status: 412, message: 'Precondition Failed: the user was modified concurrently', errors: null };
+  }
+  
+  console.error('❌ Unexpected error in bulk operation:', error.message);
+  return {
+    status: 500,
+    message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    errors: null
+  };
+};
+
+/**
+ * Validates or writes one imported row
+ * In create mode an existing email is a conflict; in upsert mode the
+ * existing user is updated with the row's fields instead
+ * 
+ * @param {Object} req - Express request object (provides the audit actor)
+ * @param {Object} data - Normalized user fields from the row
+ * @param {Object} options - { dryRun, upsert }
+ * @returns {Promise<Object>} { action, id } where action is 'create' or 'update'
+ */
+const importUserRow = async (req, data, { dryRun, upsert }) => {
+  // Restricted fields are checked per row (authorize never sees the upload)
+  const forbidden = findForbiddenFields(req, 'users:import', Object.keys(data));
+  if (forbidden) {
+    throw createError(403, 'You do not have permission to change these fields', forbidden);
+  }
+  
+  // Real writes normalize hobbies in createUserRecord/applyUserUpdate
+  // (a dry run keeps unknown hobbies as entered; lenient mode would accept them)
+  if (dryRun && Array.isArray(data.hobbies)) {
+    data = { ...data, hobbies: (await resolveUserHobbies(data.hobbies)).hobbies };
+  }
+  
+  const existingUser = data.email
+    ? await User.findOne({ email: data.email }).setOptions({ withDeleted: true })
+    : null;
+  
+  if (existingUser && (!upsert || existingUser.deletedAt)) {
+    const message = existingUser.deletedAt
+      ? 'Email belongs to a deleted user'
+      : 'User with this email already exists';
+    throw createError(409, message, { email: 'This email already exists' });
+  }
+  
+  if (existingUser) {
+    if (dryRun) {
+      existingUser.set(data);
+      await existingUser.validate();
+      return { action: 'update', id: existingUser.id };
+    }
+    
+    const updatedUser = await applyUserUpdate(
+      req,
+      current => ({ ...current, ...data }),
+      { id: existingUser.id }
+    );
+    return { action: 'update', id: updatedUser.id };
+  }
+  
+  if (dryRun) {
+    await new User(data).validate();
+    return { action: 'create', id: null };
+  }
+  
+  const savedUser = await createUserRecord(req, data);
+  return { action: 'create', id: savedUser.id };
+};
+
+/**
+ * Writes a chunk to a streaming response, waiting for the socket to drain
+ * when its buffer is full so large exports never pile up in memory
+ * @param {Object} res - Express response object
+ * @param {String} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+const writeChunk = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+};
+
+/**
+ * Sends the error response for a failed PUT or PATCH
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown while updating
+ */
+const sendUpdateError = (res, error) => {
+  console.error('❌ Error updating user:', error.message);
+  
+  // Expected failures raised by applyUserUpdate or the patch utilities
+  if (error.statusCode) {
+    const response = {
+      success: false,
+      message: error.message,
+      timestamp: new Date().toISOString()
+    };
+    if (error.details) {
+      response.errors = error.details;
+    }
+    if (error.operationIndex !== undefined) {
+      response.operationIndex = error.operationIndex;
+    }
+    return res.status(error.statusCode).json(response);
+  }
+  
+  // A concurrent write landed between loading and saving the user
+  if (error.name === 'VersionError') {
+    return res.status(412).json({
+      success: false,
+      message: 'Precondition Failed: the user was modified concurrently',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  // Handle validation errors
+  if (error.name === 'ValidationError') {
+    const errors = {};
+    Object.keys(error.errors).forEach(key => {
+      errors[key] = error.errors[key].message;
+    });
+    
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed during update',
+      errors: errors,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  // Handle duplicate key error
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'Duplicate key error',
+      error: 'Email already exists',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.status(500).json({
+    success: false,
+    message: 'Failed to update user',
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    timestamp: new Date().toISOString()
+  });
+};
 
 /**
  * User Controller
@@ -21,58 +748,64 @@ class UserController {
     try {
       console.log('📋 GET /api/users - Retrieving all users');
       
-      // Extract query parameters for pagination and filtering
-      const { 
-        page = 1, 
-        limit = 10, 
-        sortBy = 'createdAt', 
-        order = 'desc',
-        name,
-        email,
-        minAge,
-        maxAge,
-        hobby,
-        isActive 
-      } = req.query;
-      
-      // Build query object for filtering
-      const query = {};
-      
-      // Filter by name (case-insensitive partial match)
-      if (name) {
-        query.name = { $regex: name, $options: 'i' };
-      }
-      
-      // Filter by email (exact match, case-insensitive)
-      if (email) {
-        query.email = { $regex: `^${email}$`, $options: 'i' };
-      }
-      
-      // Filter by age range
-      if (minAge || maxAge) {
-        query.age = {};
-        if (minAge) query.age.$gte = parseInt(minAge);
-        if (maxAge) query.age.$lte = parseInt(maxAge);
-      }
+      // Extract query parameters for pagination and filtering (validated by the route)
+      const { page, limit, cursor, withTotal } = req.query;
       
-      // Filter by hobby
-      if (hobby) {
-        query.hobbies = hobby;
-      }
+      // Build query object for filtering and validate the sort and fieldset
+      const query = buildUserFilter(req.query);
+      const sortKeys = resolveUserSort(req.query);
+      const fieldset = resolveFieldset(req.query);
       
-      // Filter by active status
-      if (isActive !== undefined) {
-        query.isActive = isActive === 'true';
+      // Cursor (keyset) mode: ?cursor= for the first page, then ?cursor=<nextCursor>
+      if (cursor !== undefined) {
+        const pageSize = limit;
+        const { users, nextCursor } = await findKeysetPage(query, {
+          cursor,
+          sortKeys,
+          pageSize,
+          // Cursors are built from the sort keys, so they are always loaded
+          projection: selectUserFields(fieldset, [...sortKeys.map(key => key.field), 'updatedAt'])
+        });
+        
+        // Counting every match is expensive, so the total is opt-in
+        const totalUsers = withTotal ? await User.countDocuments(query) : undefined;
+        
+        const response = {
+          success: true,
+          message: 'Users retrieved successfully',
+          data: shapeUsers(users, fieldset),
+          pagination: {
+            mode: 'cursor',
+            pageSize: pageSize,
+            nextCursor: nextCursor,
+            hasNextPage: nextCursor !== null,
+            totalUsers: totalUsers
+          },
+          filters: {
+            applied: Object.keys(query).length > 0,
+            details: query
+          },
+          timestamp: new Date().toISOString()
+        };
+        
+        // Polling clients get a 304 while the page is unchanged
+        const validators = {
+          etag: getContentETag({ data: response.data, pagination: response.pagination }),
+          lastModified: getLastModified(users)
+        };
+        if (sendNotModified(req, res, validators)) return;
+        
+        console.log(`✅ Found ${users.length} users (cursor mode)`);
+        return res.status(200).json(response);
       }
       
-      // Parse pagination parameters
-      const pageNumber = parseInt(page);
-      const pageSize = parseInt(limit);
+      // Page-number mode (kept for older clients)
+      const pageNumber = page;
+      const pageSize = limit;
       const skip = (pageNumber - 1) * pageSize;
       
-      // Determine sort order
-      const sortOrder = order === 'desc' ? -1 : 1;
-      const sortOptions = { [sortBy]: sortOrder };
+      // Determine sort order (_id breaks ties so pages never overlap)
+      const sortOptions = toMongoSort(sortKeys);
       
       // Execute query with pagination
       const [users, totalUsers] = await Promise.all([
@@ -80,7 +813,7 @@ class UserController {
           .sort(sortOptions)
           .skip(skip)
           .limit(pageSize)
-          .select('-__v') // Exclude version key
+          .select(selectUserFields(fieldset, ['updatedAt'])) // Sparse fieldset, or everything but the version key
           .lean(), // Return plain JavaScript objects for better performance
         
         User.countDocuments(query) // Get total count for pagination metadata
@@ -95,7 +828,7 @@ class UserController {
       const response = {
         success: true,
         message: 'Users retrieved successfully',
-        data: users,
+        data: shapeUsers(users, fieldset),
         pagination: {
           currentPage: pageNumber,
           pageSize: pageSize,
@@ -111,11 +844,29 @@ class UserController {
         timestamp: new Date().toISOString()
       };
       
+      // Polling clients get a 304 while the page is unchanged
+      const validators = {
+        etag: getContentETag({ data: response.data, pagination: response.pagination }),
+        lastModified: getLastModified(users)
+      };
+      if (sendNotModified(req, res, validators)) return;
+      
       console.log(`✅ Found ${users.length} users (Total: ${totalUsers})`);
       res.status(200).json(response);
       
     } catch (error) {
       console.error('❌ Error retrieving users:', error.message);
+      
+      // Invalid filter, sort field or cursor
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          errors: error.details || null,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
       res.status(500).json({
         success: false,
         message: 'Failed to retrieve users',
@@ -138,18 +889,11 @@ class UserController {
       const { id } = req.params;
       console.log(`🔍 GET /api/users/${id} - Retrieving user by ID`);
       
-      // Validate ID format
-      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid user ID format',
-          timestamp: new Date().toISOString()
-        });
-      }
+      const fieldset = resolveFieldset(req.query);
       
-      // Find user by ID
+      // Find user by ID (revision and updatedAt are always loaded for the validators)
       const user = await User.findById(id)
-        .select('-__v') // Exclude version key
+        .select(selectUserFields(fieldset, ['revision', 'updatedAt']))
         .lean(); // Return plain JavaScript object
       
       if (!user) {
@@ -160,19 +904,33 @@ class UserController {
         });
       }
       
+      // The client's cached copy is still current
+      if (sendNotModified(req, res, { etag: getUserETag(user), lastModified: user.updatedAt })) return;
+      
       // Prepare response
       const response = {
         success: true,
         message: 'User retrieved successfully',
-        data: user,
+        data: shapeUsers([user], fieldset)[0],
         timestamp: new Date().toISOString()
       };
       
-      console.log(`✅ Found user: ${user.name} (Email: ${user.email})`);
+      console.log(`✅ Found user: ${user._id}`);
       res.status(200).json(response);
       
     } catch (error) {
       console.error('❌ Error retrieving user:', error.message);
+      
+      // Invalid fieldset
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          errors: error.details || null,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
       res.status(500).json({
         success: false,
         message: 'Failed to retrieve user',
@@ -194,105 +952,829 @@ class UserController {
     try {
       console.log('📝 POST /api/users - Creating new user');
       
-      // Extract user data from request body
-      const { name, email, age, hobbies } = req.body;
+      // Extract user data from request body (required fields, types and trimming
+      // are checked by the route's schema)
+      const { name, email, age, hobbies, role } = req.body;
       
-      // Validate required fields
-      if (!name || !email) {
-        return res.status(400).json({
-          success: false,
-          message: 'Name and email are required fields',
-          missingFields: {
-            name: !name,
-            email: !email
-          },
-          timestamp: new Date().toISOString()
-        });
+      // Prepare user data
+      const userData = {
+        name,
+        email,
+        age: age === undefined ? null : age,
+        hobbies: hobbies || []
+      };
+      
+      // Role is optional; the schema default applies when omitted
+      if (role) {
+        userData.role = role;
       }
       
-      // Check if user with email already exists
-      const existingUser = await User.findOne({ email: email.toLowerCase() });
-      if (existingUser) {
-        return res.status(409).json({
+      // Check email uniqueness, save (runs schema validators) and audit
+      const savedUser = await createUserRecord(req, userData);
+      
+      // Prepare success response
+      const response = {
+        success: true,
+        message: 'User created successfully',
+        data: savedUser.toJSON(),
+        timestamp: new Date().toISOString()
+      };
+      
+      console.log(`✅ User created: ${savedUser.name} (Email: ${savedUser.email})`);
+      res.set('ETag', getUserETag(savedUser));
+      res.status(201).json(response);
+      
+    } catch (error) {
+      console.error('❌ Error in createUser:', error.message);
+      
+      // Email already taken (soft-deleted users keep their email reserved)
+      if (error.statusCode === 409) {
+        return res.status(409).json({
+          success: false,
+          message: 'User with this email already exists',
+          conflictField: 'email',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      // Hobbies outside the catalog (strict mode)
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          errors: error.details || null,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      // Handle validation errors
+      if (error.name === 'ValidationError') {
+        const errors = {};
+        Object.keys(error.errors).forEach(key => {
+          errors[key] = error.errors[key].message;
+        });
+        
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      // Handle duplicate key error
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'Duplicate key error',
+          error: 'Email already exists',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create user',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * PUT /api/users/:id
+   * Replace an existing user's profile
+   * Omitted profile fields are reset to their defaults; role and isActive
+   * are only changed when present in the body
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async updateUser(req, res) {
+    try {
+      const { id } = req.params;
+      console.log(`✏️ PUT /api/users/${id} - Replacing user`);
+      
+      // The route's schema has already dropped fields that cannot be edited
+      const replacement = req.body;
+      const updatedUser = await applyUserUpdate(req, current => {
+        const nextState = { ...replacement };
+        ADMIN_FIELDS.forEach(field => {
+          if (nextState[field] === undefined) {
+            nextState[field] = current[field];
+          }
+        });
+        return nextState;
+      });
+      
+      // Prepare response
+      const response = {
+        success: true,
+        message: 'User updated successfully',
+        data: updatedUser.toJSON(),
+        timestamp: new Date().toISOString()
+      };
+      
+      console.log(`✅ User updated: ${updatedUser.name}`);
+      res.set('ETag', getUserETag(updatedUser));
+      res.status(200).json(response);
+      
+    } catch (error) {
+      sendUpdateError(res, error);
+    }
+  }
+
+  /**
+   * PATCH /api/users/:id
+   * Partially update an existing user
+   * Accepts application/merge-patch+json (RFC 7396; also used for plain
+   * application/json) and application/json-patch+json (RFC 6902)
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async patchUser(req, res) {
+    try {
+      const { id } = req.params;
+      console.log(`🩹 PATCH /api/users/${id} - Patching user`);
+      
+      let buildNextState;
+      if (req.is(JSON_PATCH_TYPE)) {
+        buildNextState = current => applyJsonPatch(current, req.body);
+      } else if (req.is(MERGE_PATCH_TYPE) || req.is('application/json')) {
+        buildNextState = current => applyMergePatch(current, req.body);
+      } else {
+        res.set('Accept-Patch', `${MERGE_PATCH_TYPE}, ${JSON_PATCH_TYPE}`);
+        return res.status(415).json({
+          success: false,
+          message: 'Unsupported patch format',
+          supportedTypes: [MERGE_PATCH_TYPE, JSON_PATCH_TYPE],
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const updatedUser = await applyUserUpdate(req, buildNextState);
+      
+      // Prepare response
+      const response = {
+        success: true,
+        message: 'User updated successfully',
+        data: updatedUser.toJSON(),
+        timestamp: new Date().toISOString()
+      };
+      
+      console.log(`✅ User patched: ${updatedUser.name}`);
+      res.set('ETag', getUserETag(updatedUser));
+      res.status(200).json(response);
+      
+    } catch (error) {
+      sendUpdateError(res, error);
+    }
+  }
+
+  /**
+   * DELETE /api/users/:id
+   * Soft-delete a user by ID (moves it to the trash)
+   * With ?hard=true the user is purged permanently instead
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async deleteUser(req, res) {
+    try {
+      const { id } = req.params;
+      const hardDelete = req.query.hard;
+      console.log(`🗑️ DELETE /api/users/${id} - ${hardDelete ? 'Purging' : 'Deleting'} user`);
+      
+      // With If-Match, only delete the revision the client has seen
+      const filter = { _id: id };
+      const ifMatch = req.get('If-Match');
+      if (ifMatch) {
+        const currentUser = await User.findById(id)
+          .select('revision')
+          .setOptions({ withDeleted: hardDelete })
+          .lean();
+        if (currentUser && !ifMatchSatisfied(ifMatch, getUserETag(currentUser))) {
+          return res.status(412).json({
+            success: false,
+            message: 'Precondition Failed: the user has been modified since it was retrieved',
+            timestamp: new Date().toISOString()
+          });
+        }
+        if (currentUser) {
+          filter.revision = currentUser.revision;
+        }
+      }
+      
+      let deletedUser;
+      if (hardDelete) {
+        // Purge permanently, whether or not the user is already in the trash
+        deletedUser = await User.findOneAndDelete(filter)
+          .select('-__v') // Exclude version key
+          .lean(); // Return plain JavaScript object
+        
+        if (deletedUser) {
+          await recordUserAudit(req, 'purge', deletedUser, null);
+          await Session.revokeAllForUser(id, 'user_deleted');
+        }
+      } else {
+        deletedUser = await softDeleteUserRecord(req, filter);
+      }
+      
+      // Matched nothing although If-Match passed: if the user still exists,
+      // another write bumped its revision in between
+      if (!deletedUser && filter.revision !== undefined) {
+        const stillExists = await User.exists({ _id: id }).setOptions({ withDeleted: hardDelete });
+        if (stillExists) {
+          return res.status(412).json({
+            success: false,
+            message: 'Precondition Failed: the user has been modified since it was retrieved',
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+      
+      if (!deletedUser) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      // Prepare response
+      const response = {
+        success: true,
+        message: hardDelete ? 'User permanently deleted' : 'User moved to trash',
+        data: deletedUser,
+        timestamp: new Date().toISOString()
+      };
+      
+      console.log(`✅ User ${hardDelete ? 'purged' : 'deleted'}: ${deletedUser.name}`);
+      res.status(200).json(response);
+      
+    } catch (error) {
+      console.error('❌ Error deleting user:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete user',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * POST /api/users/bulk
+   * Create, update and delete many users in one request
+   * Each operation is applied on its own (there is no cross-item transaction)
+   * and reported with its own status. In ordered mode (default) processing
+   * stops at the first failure; unordered mode attempts every operation.
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async bulkUsers(req, res) {
+    try {
+      const { operations, ordered } = req.body;
+      console.log(`📦 POST /api/users/bulk - Processing ${operations.length} operations`);
+      
+      if (operations.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'operations must be a non-empty array',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      if (operations.length > httpConfig.bulkMaxOperations) {
+        return res.status(413).json({
+          success: false,
+          message: `A bulk request may contain at most ${httpConfig.bulkMaxOperations} operations`,
+          limit: httpConfig.bulkMaxOperations,
+          received: operations.length,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const results = [];
+      // Emails claimed by earlier items in this batch, mapped to the claiming item's index
+      const claimedEmails = new Map();
+      let stopped = false;
+      
+      for (let index = 0; index < operations.length; index++) {
+        const operation = operations[index] || {};
+        const { op } = operation;
+        
+        // Ordered mode: everything after the first failure is not attempted
+        if (stopped) {
+          results.push({
+            index,
+            op,
+            success: false,
+            status: 424,
+            message: 'Not attempted: an earlier operation failed (ordered mode)'
+          });
+          continue;
+        }
+        
+        try {
+          if (!BULK_OPERATIONS.includes(op)) {
+            throw createError(400, `Invalid op. Valid ops: ${BULK_OPERATIONS.join(', ')}`);
+          }
+          
+          const data = normalizeUserData(pickEditableFields(operation.data || {}));
+          
+          // Restricted fields are checked per item (authorize only sees the envelope)
+          const forbidden = findForbiddenFields(req, 'users:bulk', Object.keys(data));
+          if (forbidden) {
+            throw createError(403, 'You do not have permission to change these fields', forbidden);
+          }
+          
+          // Email uniqueness within the batch (existing data is checked on save)
+          if (data.email && claimedEmails.has(data.email)) {
+            throw createError(409, `Email is already used by operation ${claimedEmails.get(data.email)} in this batch`, {
+              email: 'This email already exists'
+            });
+          }
+          
+          let result;
+          if (op === 'create') {
+            const savedUser = await createUserRecord(req, data);
+            result = { status: 201, id: savedUser.id, etag: getUserETag(savedUser) };
+          } else if (op === 'update') {
+            // Merge the given fields into the user, like a merge patch
+            const updatedUser = await applyUserUpdate(
+              req,
+              current => ({ ...current, ...data }),
+              { id: operation.id, ifMatch: operation.ifMatch }
+            );
+            result = { status: 200, id: updatedUser.id, etag: getUserETag(updatedUser) };
+          } else {
+            if (typeof operation.id !== 'string' || !operation.id.match(/^[0-9a-fA-F]{24}$/)) {
+              throw createError(400, 'Invalid user ID format');
+            }
+            const deletedUser = await softDeleteUserRecord(req, { _id: operation.id });
+            if (!deletedUser) {
+              throw createError(404, 'User not found');
+            }
+            result = { status: 200, id: String(deletedUser._id) };
+          }
+          
+          if (data.email && op !== 'delete') {
+            claimedEmails.set(data.email, index);
+          }
+          results.push({ index, op, success: true, ...result });
+          
+        } catch (error) {
+          const { status, message, errors } = describeBulkError(error);
+          const item = { index, op, success: false, status, message };
+          if (operation.id) item.id = operation.id;
+          if (errors) item.errors = errors;
+          results.push(item);
+          
+          if (ordered) {
+            stopped = true;
+          }
+        }
+      }
+      
+      const succeeded = results.filter(item => item.success).length;
+      const skipped = results.filter(item => item.status === 424).length;
+      const failed = results.length - succeeded - skipped;
+      
+      const response = {
+        success: failed === 0,
+        message: `Bulk request processed: ${succeeded} succeeded, ${failed} failed, ${skipped} skipped`,
+        data: results,
+        summary: {
+          ordered: ordered,
+          total: operations.length,
+          succeeded,
+          failed,
+          skipped
+        },
+        timestamp: new Date().toISOString()
+      };
+      
+      console.log(`✅ Bulk request processed: ${succeeded}/${operations.length} succeeded`);
+      // 207 Multi-Status signals that items must be inspected individually
+      res.status(failed === 0 ? 200 : 207).json(response);
+      
+    } catch (error) {
+      console.error('❌ Error processing bulk request:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to process bulk request',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * POST /api/users/import
+   * Import users from a CSV (text/csv) or NDJSON (application/x-ndjson) upload
+   * The body is streamed and processed row by row, so it is not subject to
+   * the express.json size limit. With ?dryRun=true every row is validated
+   * against the User schema and reported without writing anything.
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async importUsers(req, res) {
+    try {
+      console.log('📥 POST /api/users/import - Importing users');
+      
+      const { dryRun: isDryRun, mode, map, hobbySeparator } = req.query;
+      
+      let readRecords;
+      if (req.is(CSV_TYPE)) {
+        readRecords = readCsvRecords;
+      } else if (req.is(NDJSON_TYPE)) {
+        readRecords = readNdjsonRecords;
+      } else {
+        return res.status(415).json({
+          success: false,
+          message: 'Unsupported import format',
+          supportedTypes: [CSV_TYPE, NDJSON_TYPE],
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      // Column mapping: ?map[Full Name]=name&map[E-mail]=email
+      const mapping = map || {};
+      const invalidTargets = Object.values(mapping).filter(field => !IMPORTABLE_FIELDS.includes(field));
+      if (invalidTargets.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid mapping target: ${invalidTargets.join(', ')}`,
+          importableFields: IMPORTABLE_FIELDS,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const rows = [];
+      // Emails seen earlier in this file, mapped to the row that used them
+      const seenEmails = new Map();
+      let truncated = false;
+      
+      for await (const { line, record, error: parseError } of readRecords(req)) {
+        if (rows.length >= httpConfig.importMaxRows) {
+          truncated = true;
+          break;
+        }
+        
+        const row = { row: rows.length + 1, line };
+        rows.push(row);
+        
+        if (parseError) {
+          Object.assign(row, { status: 'invalid', message: parseError });
+          continue;
+        }
+        
+        try {
+          const data = normalizeUserData(mapRecord(record, mapping, { hobbySeparator }));
+          
+          if (data.email && seenEmails.has(data.email)) {
+            throw createError(409, `Email is already used by row ${seenEmails.get(data.email)} of this import`, {
+              email: 'This email already exists'
+            });
+          }
+          
+          const { action, id } = await importUserRow(req, data, {
+            dryRun: isDryRun,
+            upsert: mode === 'upsert'
+          });
+          
+          if (data.email) {
+            seenEmails.set(data.email, row.row);
+          }
+          Object.assign(row, { status: isDryRun ? 'valid' : 'imported', action });
+          if (id) row.id = id;
+          
+        } catch (error) {
+          const { status, message, errors } = describeBulkError(error);
+          Object.assign(row, { status: 'invalid', httpStatus: status, message });
+          if (errors) row.errors = errors;
+        }
+      }
+      
+      // Stop reading an oversized upload
+      if (truncated) {
+        req.unpipe();
+        req.resume();
+      }
+      
+      const summary = {
+        dryRun: isDryRun,
+        mode,
+        total: rows.length,
+        valid: rows.filter(row => row.status !== 'invalid').length,
+        invalid: rows.filter(row => row.status === 'invalid').length,
+        created: rows.filter(row => row.status !== 'invalid' && row.action === 'create').length,
+        updated: rows.filter(row => row.status !== 'invalid' && row.action === 'update').length,
+        truncated
+      };
+      
+      const response = {
+        success: summary.invalid === 0 && !truncated,
+        message: isDryRun
+          ? `Dry run: ${summary.valid} valid, ${summary.invalid} invalid row(s); nothing was written`
+          : `Import finished: ${summary.created} created, ${summary.updated} updated, ${summary.invalid} failed`,
+        data: rows,
+        summary,
+        timestamp: new Date().toISOString()
+      };
+      
+      if (truncated) {
+        response.message += `. Only the first ${httpConfig.importMaxRows} rows were processed`;
+      }
+      
+      console.log(`✅ ${response.message}`);
+      res.status(200).json(response);
+      
+    } catch (error) {
+      console.error('❌ Error importing users:', error.message);
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to import users',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * GET /api/users/export
+   * Stream every user matching the getAllUsers filters as CSV, NDJSON or JSON
+   * Users are read through a MongoDB cursor and written as they arrive, so
+   * memory use stays flat regardless of how many users match
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async exportUsers(req, res) {
+    let cursor = null;
+    try {
+      console.log('📤 GET /api/users/export - Exporting users');
+      
+      const { format, fields } = req.query;
+      const exportFormat = EXPORT_FORMATS[format];
+      
+      const columns = fields
+        ? fields.split(',').map(field => field.trim()).filter(Boolean)
+        : DEFAULT_COLUMNS;
+      const invalidColumns = columns.filter(column => !EXPORTABLE_COLUMNS.includes(column));
+      if (columns.length === 0 || invalidColumns.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid export fields: ${invalidColumns.join(', ') || '(none given)'}`,
+          validFields: EXPORTABLE_COLUMNS,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const hydrate = needsVirtuals(columns);
+      cursor = User.find(buildUserFilter(req.query))
+        .select(buildProjection(columns))
+        .sort({ _id: 1 })
+        .lean()
+        .batchSize(500)
+        .cursor();
+      
+      // Stop reading from MongoDB if the client disconnects mid-export
+      res.on('close', () => {
+        if (!res.writableFinished) {
+          cursor.close().catch(() => {});
+        }
+      });
+      
+      const filename = `users-${new Date().toISOString().slice(0, 10)}.${exportFormat.extension}`;
+      res.status(200);
+      res.set('Content-Type', exportFormat.contentType);
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      
+      if (format === 'csv') {
+        await writeChunk(res, columns.join(',') + '\n');
+      } else if (format === 'json') {
+        await writeChunk(res, '[');
+      }
+      
+      let count = 0;
+      for await (const doc of cursor) {
+        if (res.destroyed) break;
+        
+        // Virtuals (ageGroup, profileSummary) need a hydrated document
+        const row = toRow(hydrate ? User.hydrate(doc) : doc, columns);
+        
+        if (format === 'csv') {
+          await writeChunk(res, toCsvLine(row, columns));
+        } else if (format === 'ndjson') {
+          await writeChunk(res, JSON.stringify(row) + '\n');
+        } else {
+          await writeChunk(res, (count > 0 ? ',' : '') + JSON.stringify(row));
+        }
+        count++;
+      }
+      
+      if (format === 'json') {
+        res.write(']');
+      }
+      res.end();
+      
+      console.log(`✅ Exported ${count} users as ${format}`);
+      
+    } catch (error) {
+      console.error('❌ Error exporting users:', error.message);
+      if (cursor) {
+        cursor.close().catch(() => {});
+      }
+      
+      // Once streaming has started the status is already sent; abort the
+      // connection so the client sees a truncated download rather than bad data
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      
+      // Invalid filter
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          errors: error.details || null,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export users',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * GET /api/users/trash
+   * List soft-deleted users
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getDeletedUsers(req, res) {
+    try {
+      console.log('🗑️ GET /api/users/trash - Retrieving deleted users');
+      
+      const { page: pageNumber, limit: pageSize } = req.query;
+      
+      const [users, totalUsers] = await Promise.all([
+        User.findDeleted()
+          .skip((pageNumber - 1) * pageSize)
+          .limit(pageSize)
+          .lean(),
+        User.countDocuments({ deletedAt: { $ne: null } })
+      ]);
+      
+      const totalPages = Math.ceil(totalUsers / pageSize);
+      
+      const response = {
+        success: true,
+        message: 'Deleted users retrieved successfully',
+        data: users,
+        pagination: {
+          currentPage: pageNumber,
+          pageSize: pageSize,
+          totalUsers: totalUsers,
+          totalPages: totalPages,
+          hasNextPage: pageNumber < totalPages,
+          hasPreviousPage: pageNumber > 1
+        },
+        timestamp: new Date().toISOString()
+      };
+      
+      console.log(`✅ Found ${users.length} deleted users (Total: ${totalUsers})`);
+      res.status(200).json(response);
+      
+    } catch (error) {
+      console.error('❌ Error retrieving deleted users:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve deleted users',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * POST /api/users/:id/restore
+   * Restore a soft-deleted user from the trash
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async restoreUser(req, res) {
+    try {
+      const { id } = req.params;
+      console.log(`♻️ POST /api/users/${id}/restore - Restoring user`);
+      
+      // The email was kept reserved while deleted, so restoring cannot conflict
+      // (new: false returns the deleted state, which the audit diff needs)
+      const deletedUser = await User.findOneAndUpdate(
+        { _id: id, deletedAt: { $ne: null } },
+        {
+          $set: { deletedAt: null, deletedBy: null },
+          $inc: { revision: 1 }
+        },
+        { new: false }
+      ).lean();
+      
+      if (!deletedUser) {
+        return res.status(404).json({
+          success: false,
+          message: 'Deleted user not found',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const restoredUser = {
+        ...deletedUser,
+        deletedAt: null,
+        deletedBy: null,
+        revision: (deletedUser.revision || 0) + 1
+      };
+      await recordUserAudit(req, 'restore', deletedUser, restoredUser);
+      
+      const response = {
+        success: true,
+        message: 'User restored successfully',
+        data: restoredUser,
+        timestamp: new Date().toISOString()
+      };
+      
+      console.log(`✅ User restored: ${restoredUser.name}`);
+      res.set('ETag', getUserETag(restoredUser));
+      res.status(200).json(response);
+      
+    } catch (error) {
+      console.error('❌ Error restoring user:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore user',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * GET /api/users/:id/hobbies
+   * List a user's hobbies
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getUserHobbies(req, res) {
+    try {
+      const { id } = req.params;
+      console.log(`🎯 GET /api/users/${id}/hobbies - Listing hobbies`);
+      
+      const user = await User.findById(id).select('hobbies revision updatedAt').lean();
+      if (!user) {
+        return res.status(404).json({
           success: false,
-          message: 'User with this email already exists',
-          conflictField: 'email',
+          message: 'User not found',
           timestamp: new Date().toISOString()
         });
       }
       
-      // Prepare user data
-      const userData = {
-        name: name.trim(),
-        email: email.toLowerCase().trim(),
-        age: age ? parseInt(age) : null,
-        hobbies: Array.isArray(hobbies) ? hobbies.map(h => h.trim()) : []
-      };
-      
-      // Create new user instance
-      const newUser = new User(userData);
+      // Hobbies change the user's revision, so the user ETag applies
+      if (sendNotModified(req, res, { etag: getUserETag(user), lastModified: user.updatedAt })) return;
       
-      // Save user to database using callback pattern as per instructions
-      newUser.save((err, savedUser) => {
-        if (err) {
-          console.error('❌ Error saving user:', err.message);
-          
-          // Handle validation errors
-          if (err.name === 'ValidationError') {
-            const errors = {};
-            Object.keys(err.errors).forEach(key => {
-              errors[key] = err.errors[key].message;
-            });
-            
-            return res.status(400).json({
-              success: false,
-              message: 'Validation failed',
-              errors: errors,
-              timestamp: new Date().toISOString()
-            });
-          }
-          
-          // Handle duplicate key error
-          if (err.code === 11000) {
-            return res.status(409).json({
-              success: false,
-              message: 'Duplicate key error',
-              error: 'Email already exists',
-              timestamp: new Date().toISOString()
-            });
-          }
-          
-          // Generic error
-          return res.status(500).json({
-            success: false,
-            message: 'Failed to create user',
-            error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error',
-            timestamp: new Date().toISOString()
-          });
-        }
-        
-        // Remove sensitive/technical fields from response
-        const userResponse = savedUser.toObject();
-        delete userResponse.__v;
-        delete userResponse._id;
-        
-        // Prepare success response
-        const response = {
-          success: true,
-          message: 'User created successfully',
-          data: userResponse,
-          timestamp: new Date().toISOString()
-        };
-        
-        console.log(`✅ User created: ${savedUser.name} (Email: ${savedUser.email})`);
-        res.status(201).json(response);
+      res.status(200).json({
+        success: true,
+        message: 'Hobbies retrieved successfully',
+        data: user.hobbies,
+        timestamp: new Date().toISOString()
       });
       
     } catch (error) {
-      console.error('❌ Error in createUser:', error.message);
+      console.error('❌ Error listing hobbies:', error.message);
       res.status(500).json({
         success: false,
-        message: 'Failed to create user',
+        message: 'Failed to retrieve hobbies',
         error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
         timestamp: new Date().toISOString()
       });
@@ -300,73 +1782,38 @@ class UserController {
   }
 
   /**
-   * PUT /api/users/:id
-   * Update an existing user by ID
+   * POST /api/users/:id/hobbies
+   * Add a hobby to a user (atomic; adding an existing hobby is a no-op)
    * 
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @returns {Promise<void>}
    */
-  async updateUser(req, res) {
+  async addUserHobby(req, res) {
     try {
       const { id } = req.params;
-      console.log(`✏️ PUT /api/users/${id} - Updating user`);
+      console.log(`🎯 POST /api/users/${id}/hobbies - Adding hobby`);
       
-      // Validate ID format
-      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      const { hobby } = req.body;
+      const hobbyError = validateHobby(hobby);
+      if (hobbyError) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid user ID format',
+          message: 'Validation failed',
+          errors: { hobby: hobbyError },
           timestamp: new Date().toISOString()
         });
       }
       
-      // Extract update data from request body
-      const updateData = { ...req.body };
-      
-      // Clean and validate update data
-      if (updateData.email) {
-        updateData.email = updateData.email.toLowerCase().trim();
-        
-        // Check if new email already exists for another user
-        const existingUserWithEmail = await User.findOne({ 
-          email: updateData.email,
-          _id: { $ne: id } // Exclude current user from check
-        });
-        
-        if (existingUserWithEmail) {
-          return res.status(409).json({
-            success: false,
-            message: 'Email already exists for another user',
-            timestamp: new Date().toISOString()
-          });
-        }
-      }
-      
-      if (updateData.name) {
-        updateData.name = updateData.name.trim();
-      }
-      
-      if (updateData.hobbies && Array.isArray(updateData.hobbies)) {
-        updateData.hobbies = updateData.hobbies.map(h => h.trim());
-      }
-      
-      if (updateData.age) {
-        updateData.age = parseInt(updateData.age);
+      const user = await User.findById(id);
+      let canonicalHobby = hobby;
+      if (user) {
+        const { hobbies, unknown } = await resolveUserHobbies([hobby]);
+        // Only a hobby that passed validation and fits under the limit goes to the catalog
+        user.checkHobbyLimit(hobbies[0]);
+        [canonicalHobby] = unknown.length > 0 ? await addPendingHobbies(req, hobbies, unknown) : hobbies;
       }
-      
-      // Find and update user
-      const updatedUser = await User.findByIdAndUpdate(
-        id,
-        updateData,
-        {
-          new: true, // Return the updated document
-          runValidators: true, // Run schema validators on update
-          context: 'query', // Required for some validators
-          select: '-__v' // Exclude version key from response
-        }
-      ).lean(); // Return plain JavaScript object
-      
+      const { user: updatedUser, changed } = user ? await user.addHobby(canonicalHobby) : { user: null };
       if (!updatedUser) {
         return res.status(404).json({
           success: false,
@@ -375,48 +1822,41 @@ class UserController {
         });
       }
       
-      // Prepare response
-      const response = {
+      if (changed) {
+        const hobbies = updatedUser.hobbies.toObject();
+        await recordUserAudit(
+          req,
+          'update',
+          { _id: updatedUser._id, hobbies: hobbies.filter(item => item !== canonicalHobby) },
+          { _id: updatedUser._id, hobbies }
+        );
+      }
+      
+      console.log(changed ? `✅ Hobby added: ${canonicalHobby}` : `ℹ️ Hobby already listed: ${canonicalHobby}`);
+      res.set('ETag', getUserETag(updatedUser));
+      res.status(changed ? 201 : 200).json({
         success: true,
-        message: 'User updated successfully',
-        data: updatedUser,
+        message: changed ? 'Hobby added successfully' : 'Hobby already listed',
+        data: updatedUser.hobbies,
         timestamp: new Date().toISOString()
-      };
-      
-      console.log(`✅ User updated: ${updatedUser.name}`);
-      res.status(200).json(response);
+      });
       
     } catch (error) {
-      console.error('❌ Error updating user:', error.message);
-      
-      // Handle validation errors
-      if (error.name === 'ValidationError') {
-        const errors = {};
-        Object.keys(error.errors).forEach(key => {
-          errors[key] = error.errors[key].message;
-        });
-        
-        return res.status(400).json({
-          success: false,
-          message: 'Validation failed during update',
-          errors: errors,
-          timestamp: new Date().toISOString()
-        });
-      }
+      console.error('❌ Error adding hobby:', error.message);
       
-      // Handle duplicate key error
-      if (error.code === 11000) {
-        return res.status(409).json({
+      // Hobby limit reached, or hobby outside the catalog (strict mode)
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
           success: false,
-          message: 'Duplicate key error',
-          error: 'Email already exists',
+          message: error.message,
+          errors: error.details || null,
           timestamp: new Date().toISOString()
         });
       }
       
       res.status(500).json({
         success: false,
-        message: 'Failed to update user',
+        message: 'Failed to add hobby',
         error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
         timestamp: new Date().toISOString()
       });
@@ -424,56 +1864,60 @@ class UserController {
   }
 
   /**
-   * DELETE /api/users/:id
-   * Delete a user by ID
+   * DELETE /api/users/:id/hobbies/:hobby
+   * Remove a hobby from a user (atomic)
    * 
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @returns {Promise<void>}
    */
-  async deleteUser(req, res) {
+  async removeUserHobby(req, res) {
     try {
-      const { id } = req.params;
-      console.log(`🗑️ DELETE /api/users/${id} - Deleting user`);
+      const { id, hobby } = req.params;
+      console.log(`🎯 DELETE /api/users/${id}/hobbies/${hobby} - Removing hobby`);
       
-      // Validate ID format
-      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
-        return res.status(400).json({
+      // Any spelling of a catalog hobby removes its canonical name
+      const [user, catalogEntry] = await Promise.all([User.findById(id), Hobby.findByName(hobby)]);
+      const canonicalHobby = catalogEntry ? catalogEntry.name : hobby;
+      const { user: updatedUser, changed } = user ? await user.removeHobby(canonicalHobby) : { user: null };
+      if (!updatedUser) {
+        return res.status(404).json({
           success: false,
-          message: 'Invalid user ID format',
+          message: 'User not found',
           timestamp: new Date().toISOString()
         });
       }
       
-      // Find and delete user
-      const deletedUser = await User.findByIdAndDelete(id)
-        .select('-__v') // Exclude version key
-        .lean(); // Return plain JavaScript object
-      
-      if (!deletedUser) {
+      if (!changed) {
         return res.status(404).json({
           success: false,
-          message: 'User not found',
+          message: 'Hobby not found',
           timestamp: new Date().toISOString()
         });
       }
       
-      // Prepare response
-      const response = {
+      const hobbies = updatedUser.hobbies.toObject();
+      await recordUserAudit(
+        req,
+        'update',
+        { _id: updatedUser._id, hobbies: [...hobbies, canonicalHobby] },
+        { _id: updatedUser._id, hobbies }
+      );
+      
+      console.log(`✅ Hobby removed: ${canonicalHobby}`);
+      res.set('ETag', getUserETag(updatedUser));
+      res.status(200).json({
         success: true,
-        message: 'User deleted successfully',
-        data: deletedUser,
+        message: 'Hobby removed successfully',
+        data: updatedUser.hobbies,
         timestamp: new Date().toISOString()
-      };
-      
-      console.log(`✅ User deleted: ${deletedUser.name}`);
-      res.status(200).json(response);
+      });
       
     } catch (error) {
-      console.error('❌ Error deleting user:', error.message);
+      console.error('❌ Error removing hobby:', error.message);
       res.status(500).json({
         success: false,
-        message: 'Failed to delete user',
+        message: 'Failed to remove hobby',
         error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
         timestamp: new Date().toISOString()
       });
@@ -482,7 +1926,9 @@ class UserController {
 
   /**
    * GET /api/users/search
-   * Advanced search for users with multiple criteria
+   * Relevance-ranked full-text search over name, email and hobbies
+   * Text mode supports phrases and negation ("rock climbing" -golf) and sorts
+   * by score; literal mode matches the input as an escaped substring
    * 
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
@@ -492,69 +1938,110 @@ class UserController {
     try {
       console.log('🔍 GET /api/users/search - Advanced user search');
       
-      const { q, field = 'all' } = req.query;
+      const { q, field, page: pageNumber, limit: pageSize } = req.query;
       
-      if (!q) {
+      // The text index covers every field at once, so single-field searches
+      // default to literal mode (as they behaved before text search existed)
+      const mode = req.query.mode || (field === 'all' ? 'text' : 'literal');
+      if (mode === 'text' && field !== 'all') {
         return res.status(400).json({
           success: false,
-          message: 'Search query (q) is required',
+          message: 'Text search covers name, email and hobbies together; use mode=literal to search a single field',
           timestamp: new Date().toISOString()
         });
       }
       
-      let query = {};
-      const searchRegex = { $regex: q, $options: 'i' };
-      
-      // Build search query based on specified field
-      switch (field) {
-        case 'name':
-          query.name = searchRegex;
-          break;
-        case 'email':
-          query.email = searchRegex;
-          break;
-        case 'hobby':
-          query.hobbies = searchRegex;
-          break;
-        case 'all':
-          query.$or = [
-            { name: searchRegex },
-            { email: searchRegex },
-            { hobbies: searchRegex }
-          ];
-          break;
-        default:
+      let query;
+      let needles;
+      if (mode === 'text') {
+        const { phrases, terms } = parseSearchTerms(q);
+        if (phrases.length === 0 && terms.length === 0) {
           return res.status(400).json({
             success: false,
-            message: 'Invalid search field',
-            validFields: ['name', 'email', 'hobby', 'all'],
+            message: 'Search query must include at least one term that is not negated',
             timestamp: new Date().toISOString()
           });
+        }
+        query = { $text: { $search: q } };
+        needles = [...phrases, ...terms];
+      } else {
+        // Input is escaped, so it can never be interpreted as a pattern
+        const searchRegex = { $regex: escapeRegex(q), $options: 'i' };
+        query = { $or: SEARCH_FIELD_PATHS[field].map(path => ({ [path]: searchRegex })) };
+        needles = [q];
+      }
+      
+      // Searchable fields are always loaded so highlights can be built
+      const fieldset = resolveFieldset(req.query);
+      let projection = selectUserFields(fieldset, [...SEARCH_FIELDS, 'updatedAt']);
+      let sortOptions = { name: 1, _id: 1 };
+      if (mode === 'text') {
+        const score = { score: { $meta: 'textScore' } };
+        projection = typeof projection === 'string' ? score : { ...projection, ...score };
+        sortOptions = { score: { $meta: 'textScore' }, _id: 1 };
       }
       
       // Execute search
-      const users = await User.find(query)
-        .select('-__v')
-        .limit(50) // Limit results for performance
-        .lean();
+      const [users, totalResults] = await Promise.all([
+        User.find(query)
+          .select(projection)
+          .sort(sortOptions)
+          .skip((pageNumber - 1) * pageSize)
+          .limit(pageSize)
+          .lean(),
+        User.countDocuments(query)
+      ]);
+      
+      const results = shapeUsers(users, fieldset).map((user, index) => ({
+        ...user,
+        score: mode === 'text' ? users[index].score : undefined,
+        highlights: buildHighlights(users[index], needles)
+      }));
       
+      const totalPages = Math.ceil(totalResults / pageSize);
       const response = {
         success: true,
-        message: `Found ${users.length} user(s) matching "${q}" in ${field}`,
-        data: users,
+        message: `Found ${totalResults} user(s) matching "${q}" in ${field}`,
+        data: results,
         search: {
           query: q,
           field: field,
-          results: users.length
+          mode: mode,
+          results: results.length
+        },
+        pagination: {
+          currentPage: pageNumber,
+          pageSize: pageSize,
+          totalResults: totalResults,
+          totalPages: totalPages,
+          hasNextPage: pageNumber < totalPages,
+          hasPreviousPage: pageNumber > 1
         },
         timestamp: new Date().toISOString()
       };
       
-      console.log(`✅ Search completed: ${users.length} results`);
+      const validators = {
+        etag: getContentETag({ data: response.data, pagination: response.pagination }),
+        lastModified: getLastModified(users)
+      };
+      if (sendNotModified(req, res, validators)) return;
+      
+      console.log(`✅ Search completed: ${results.length} results (Total: ${totalResults})`);
       res.status(200).json(response);
       
     } catch (error) {
       console.error('❌ Error searching users:', error.message);
+      
+      // Invalid fieldset
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          errors: error.details || null,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
       res.status(500).json({
         success: false,
         message: 'Search failed',
@@ -564,6 +2051,73 @@ class UserController {
     }
   }
 
+  /**
+   * GET /api/users/suggest
+   * Typo-tolerant autocomplete for user pickers
+   * Candidates come from the prefix/trigram index and are ranked by how
+   * closely each query word matches a name word or email local part
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async suggestUsers(req, res) {
+    try {
+      const { q, limit: maxResults } = req.query;
+      
+      const queryWords = tokenize(q);
+      if (queryWords.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Query (q) must contain at least one letter or digit',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      if (queryWords.length > MAX_QUERY_WORDS) {
+        return res.status(400).json({
+          success: false,
+          message: `Query (q) cannot contain more than ${MAX_QUERY_WORDS} words`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const queryKeys = buildQueryKeys(queryWords);
+      if (queryKeys.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Query (q) must contain a word of at least 2 letters or digits',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const candidates = await User.findSuggestCandidates(queryKeys, SUGGEST_CANDIDATES, SUGGEST_SCAN_LIMIT);
+      
+      const suggestions = candidates
+        .map(user => ({ user, score: scoreSuggestion(queryWords, user) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score || a.user.name.localeCompare(b.user.name))
+        .slice(0, maxResults)
+        .map(({ user }) => ({ id: String(user._id), name: user.name, email: user.email }));
+      
+      res.status(200).json({
+        success: true,
+        message: `Found ${suggestions.length} suggestion(s)`,
+        data: suggestions,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('❌ Error suggesting users:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to suggest users',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   /**
    * GET /api/users/stats
    * Get statistics about users
@@ -576,8 +2130,28 @@ class UserController {
     try {
       console.log('📊 GET /api/users/stats - Retrieving user statistics');
       
+      // Same filters as getAllUsers; each combination is cached separately
+      const query = buildUserFilter(req.query);
+      const cacheKey = JSON.stringify(query);
+      
+      const cached = statsCache.get(cacheKey);
+      if (cached) {
+        if (sendNotModified(req, res, getStatsValidators(cached.value))) return;
+        
+        console.log('✅ Statistics served from cache');
+        return res.status(200).json({
+          success: true,
+          message: 'User statistics retrieved successfully',
+          data: cached.value.stats,
+          fromCache: true,
+          cachedAt: cached.cachedAt.toISOString(),
+          timestamp: new Date().toISOString()
+        });
+      }
+      
       // Aggregate user statistics
       const stats = await User.aggregate([
+        { $match: query },
         {
           $facet: {
             // Total counts
@@ -617,14 +2191,19 @@ class UserController {
                   groupBy: '$age',
                   boundaries: [0, 18, 30, 50, 100],
                   default: 'Other',
+                  // Counts only: listing every user per bucket does not scale
                   output: {
-                    count: { $sum: 1 },
-                    users: { $push: { name: '$name', age: '$age' } }
+                    count: { $sum: 1 }
                   }
                 }
               }
             ],
             
+            // Most recent change, for Last-Modified
+            lastUpdate: [
+              { $group: { _id: null, updatedAt: { $max: '$updatedAt' } } }
+            ],
+            
             // Profile completion
             profileScores: [
               {
@@ -664,10 +2243,19 @@ class UserController {
         generatedAt: new Date().toISOString()
       };
       
+      const result = {
+        stats: formattedStats,
+        lastModified: getLastModified(stats[0].lastUpdate)
+      };
+      const { cachedAt } = statsCache.set(cacheKey, result);
+      if (sendNotModified(req, res, getStatsValidators(result))) return;
+      
       const response = {
         success: true,
         message: 'User statistics retrieved successfully',
         data: formattedStats,
+        fromCache: false,
+        cachedAt: statsCache.enabled ? cachedAt.toISOString() : null,
         timestamp: new Date().toISOString()
       };
       
@@ -676,6 +2264,17 @@ class UserController {
       
     } catch (error) {
       console.error('❌ Error retrieving statistics:', error.message);
+      
+      // Invalid filter
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          errors: error.details || null,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
       res.status(500).json({
         success: false,
         message: 'Failed to retrieve statistics',
@@ -684,6 +2283,134 @@ class UserController {
       });
     }
   }
+
+  /**
+   * GET /api/users/stats/timeseries
+   * Signups, activations or deactivations per day, week or month
+   * Signups come from createdAt; activations and deactivations from audited
+   * isActive changes. Buckets follow the calendar of the requested time zone.
+   * 
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async getUserTimeseries(req, res) {
+    try {
+      console.log('📈 GET /api/users/stats/timeseries - Retrieving user trends');
+      
+      const { metric, interval, tz } = req.query;
+      
+      if (!isValidTimeZone(tz)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid time zone; use an IANA name such as Europe/Paris',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      // Default range: the last 30 days, 26 weeks or 12 months
+      const to = req.query.to || new Date();
+      const from = req.query.from || new Date(to.getTime() - TIMESERIES_DEFAULT_DAYS[interval] * 86400000);
+      
+      if (from >= to) {
+        return res.status(400).json({
+          success: false,
+          message: 'from must be before to',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      if (countBuckets(from, to, interval, tz) > MAX_BUCKETS) {
+        return res.status(400).json({
+          success: false,
+          message: `Range too large: at most ${MAX_BUCKETS} ${interval} buckets per request`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const query = buildUserFilter(req.query);
+      const dayKey = (field) => ({ $dateToString: { format: '%Y-%m-%d', date: field, timezone: tz } });
+      
+      let dailyCounts;
+      if (metric === 'signups') {
+        dailyCounts = await User.aggregate([
+          { $match: { $and: [query, { createdAt: { $gte: from, $lt: to } }] } },
+          { $group: { _id: dayKey('$createdAt'), count: { $sum: 1 } } }
+        ]);
+      } else {
+        // Status changes are counted for users that still match the filters;
+        // creates also record isActive (null -> value) but are not status changes
+        const activated = metric === 'activations';
+        dailyCounts = await AuditEvent.aggregate([
+          {
+            $match: {
+              entityType: 'User',
+              action: 'update',
+              createdAt: { $gte: from, $lt: to },
+              changes: { $elemMatch: { field: 'isActive', before: !activated, after: activated } }
+            }
+          },
+          {
+            $lookup: {
+              from: User.collection.name,
+              let: { userId: '$entityId' },
+              pipeline: [
+                { $match: { $expr: { $eq: ['$_id', '$$userId'] } } },
+                { $match: { $and: [query, { deletedAt: null }] } },
+                { $project: { _id: 1 } }
+              ],
+              as: 'user'
+            }
+          },
+          { $match: { 'user.0': { $exists: true } } },
+          { $group: { _id: dayKey('$createdAt'), count: { $sum: 1 } } }
+        ]);
+      }
+      
+      const buckets = fillBuckets(dailyCounts, { from, to, interval, tz });
+      const total = buckets.reduce((sum, bucket) => sum + bucket.count, 0);
+      
+      console.log(`✅ ${metric} timeseries: ${buckets.length} buckets, ${total} total`);
+      res.status(200).json({
+        success: true,
+        message: 'Timeseries retrieved successfully',
+        data: buckets,
+        series: {
+          metric: metric,
+          interval: interval,
+          from: from.toISOString(),
+          to: to.toISOString(),
+          tz: tz,
+          total: total
+        },
+        filters: {
+          applied: Object.keys(query).length > 0,
+          details: query
+        },
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('❌ Error retrieving timeseries:', error.message);
+      
+      // Invalid filter
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          errors: error.details || null,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve timeseries',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
 }
 
 // Export controller instance
@@ -0,0 +1,111 @@
+// middleware/apiVersion.js
+const apiVersionConfig = require('../config/apiVersions');
+const { RESPONSE_CONTRACTS } = require('../utils/responseContracts');
+const { createError } = require('./errorHandler');
+
+/**
+ * API Version Middleware
+ * Tags requests with the API version they were made against, sends the
+ * version (and any deprecation) in the response headers, and shapes JSON
+ * bodies with that version's response contract
+ */
+
+const SUPPORTED_VERSIONS = Object.keys(apiVersionConfig.versions);
+
+if (!SUPPORTED_VERSIONS.includes(apiVersionConfig.defaultVersion)) {
+  throw new Error(`Unknown default API version: ${apiVersionConfig.defaultVersion}`);
+}
+
+/**
+ * Normalizes an Accept-Version header value ("2", "v2" and "V2" are the same)
+ * @param {String} header - Header value
+ * @returns {String} Version name (e.g. v2)
+ */
+const parseVersionHeader = (header) => {
+  const value = header.trim().toLowerCase();
+  return /^\d+$/.test(value) ? `v${value}` : value;
+};
+
+/**
+ * Sets API-Version and, for deprecated versions, the Deprecation (RFC 9745),
+ * Sunset (RFC 8594) and successor Link headers
+ * @param {Object} req - Express request object (req.url is below the API prefix)
+ * @param {Object} res - Express response object
+ * @param {String} version - Version serving the request
+ * @param {String} apiBase - API prefix the versions are mounted below (e.g. /api)
+ */
+const setVersionHeaders = (req, res, version, apiBase) => {
+  const { deprecatedAt, sunsetAt, successor } = apiVersionConfig.versions[version];
+  res.set('API-Version', version);
+  if (!deprecatedAt) return;
+  
+  res.set('Deprecation', `@${Math.floor(new Date(deprecatedAt).getTime() / 1000)}`);
+  if (sunsetAt) {
+    res.set('Sunset', new Date(sunsetAt).toUTCString());
+  }
+  if (successor) {
+    res.append('Link', `<${apiBase}/${successor}${req.url}>; rel="successor-version"`);
+  }
+};
+
+/**
+ * Serves the request with a version: headers now, body contract on res.json
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {String} version - Version serving the request
+ * @param {String} apiBase - API prefix the versions are mounted below
+ */
+const useVersion = (req, res, version, apiBase) => {
+  req.apiVersion = version;
+  setVersionHeaders(req, res, version, apiBase);
+  
+  const shapeBody = RESPONSE_CONTRACTS[version];
+  const sendJson = res.json.bind(res);
+  res.json = (body) => sendJson(shapeBody(body));
+};
+
+/**
+ * API Version
+ * For routes mounted below a version prefix (e.g. /api/v2)
+ * @param {String} version - Key in config/apiVersions.js versions
+ * @returns {Function} Express middleware
+ */
+const apiVersion = (version) => {
+  if (!apiVersionConfig.versions[version] || !RESPONSE_CONTRACTS[version]) {
+    throw new Error(`Unknown API version: ${version}`);
+  }
+  
+  return (req, res, next) => {
+    // Mounted at <prefix>/<version>
+    useVersion(req, res, version, req.baseUrl.slice(0, -(version.length + 1)));
+    next();
+  };
+};
+
+/**
+ * Negotiate API Version
+ * For unversioned routes: serves the version named in Accept-Version, or the
+ * default one; responses vary by the header so caches keep them apart
+ * Responds 400 (via errorHandler) for unsupported versions
+ * Requests already served by a version prefix pass through untouched
+ */
+const negotiateApiVersion = (req, res, next) => {
+  if (req.apiVersion) {
+    return next();
+  }
+  
+  res.vary('Accept-Version');
+  const header = req.get('Accept-Version');
+  const version = header ? parseVersionHeader(header) : apiVersionConfig.defaultVersion;
+  
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    return next(createError(400, `Unsupported API version: ${header}`, {
+      'Accept-Version': `must be one of: ${SUPPORTED_VERSIONS.join(', ')}`
+    }));
+  }
+  
+  useVersion(req, res, version, req.baseUrl);
+  next();
+};
+
+module.exports = { SUPPORTED_VERSIONS, apiVersion, negotiateApiVersion };
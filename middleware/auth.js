@@ -0,0 +1,116 @@
+// middleware/auth.js
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const {
+  verifyAccessToken,
+  hashToken,
+  parseApiKey,
+  safeCompareHashes
+} = require('../utils/tokens');
+const { createError } = require('./errorHandler');
+
+/**
+ * Authentication Middleware
+ * Identifies the caller from a bearer access token (people)
+ * or an X-API-Key header (service clients)
+ */
+
+/**
+ * Extracts the bearer token from the Authorization header
+ * @param {Object} req - Express request object
+ * @returns {String|null} Raw token or null if absent
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Authenticate API Key
+ * Mounted globally in server.js; when an X-API-Key header is present the key
+ * is verified and attached to req.apiKey. Requests without the header pass
+ * through untouched so bearer tokens keep working.
+ * Responds 401 (via errorHandler) for unknown, revoked or expired keys
+ */
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    const rawKey = req.get('X-API-Key');
+    if (!rawKey) {
+      return next();
+    }
+    
+    const parsed = parseApiKey(rawKey);
+    if (!parsed) {
+      return next(createError(401, 'Invalid API key'));
+    }
+    
+    const apiKey = await ApiKey.findOne({ prefix: parsed.prefix }).select('+secretHash');
+    if (!apiKey || !safeCompareHashes(apiKey.secretHash, hashToken(parsed.secret))) {
+      return next(createError(401, 'Invalid API key'));
+    }
+    
+    if (!apiKey.isActive) {
+      return next(createError(401, 'API key has been revoked or has expired'));
+    }
+    
+    // Last-used tracking is best effort and must not slow down or fail the request
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(error => console.error('❌ Failed to record API key usage:', error.message));
+    
+    req.apiKey = apiKey;
+    next();
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require Authentication
+ * Accepts requests already identified by authenticateApiKey; otherwise
+ * verifies the access token and attaches the caller to req.user
+ * (and their device session to req.authSession)
+ * Responds 401 (via errorHandler) when the token is missing, invalid,
+ * its session was revoked, or it belongs to a user that no longer exists
+ * or has been deactivated
+ */
+const requireAuth = async (req, res, next) => {
+  try {
+    // Service clients authenticated by X-API-Key do not need a bearer token
+    if (req.apiKey) {
+      return next();
+    }
+    
+    const token = getBearerToken(req);
+    if (!token) {
+      return next(createError(401, 'Authentication required'));
+    }
+    
+    // Throws JsonWebTokenError / TokenExpiredError on bad tokens
+    const payload = verifyAccessToken(token);
+    
+    // Revoking a session must cut off its access tokens immediately
+    if (payload.sid) {
+      const session = await Session.findById(payload.sid);
+      if (!session || !session.isActive) {
+        return next(createError(401, 'Session has been revoked'));
+      }
+      req.authSession = session;
+    }
+    
+    const user = await User.findById(payload.sub);
+    if (!user || !user.isActive) {
+      return next(createError(401, 'User no longer has access'));
+    }
+    
+    req.user = user;
+    next();
+    
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { authenticateApiKey, requireAuth, getBearerToken };
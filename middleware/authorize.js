@@ -0,0 +1,111 @@
+// middleware/authorize.js
+const { policy } = require('../config/permissions');
+const { createError } = require('./errorHandler');
+const { getJsonPatchFields } = require('../utils/patch');
+
+/**
+ * Authorization Middleware
+ * Enforces the role policy declared in config/permissions.js
+ * Must run after requireAuth so that req.user or req.apiKey is set
+ */
+
+/**
+ * Checks whether the caller is acting on their own record
+ * @param {Object} req - Express request object
+ * @returns {Boolean} True if :id is the caller's ID
+ */
+const isSelf = (req) => {
+  return Boolean(req.user && req.params.id) && req.params.id === req.user.id;
+};
+
+/**
+ * Lists the top-level fields a request body tries to change
+ * Understands plain/merge-patch objects and JSON Patch operation arrays
+ * @param {Object} req - Express request object
+ * @returns {Array<String>} Field names
+ */
+const getChangedFields = (req) => {
+  if (!req.body || typeof req.body !== 'object') return [];
+  if (Array.isArray(req.body)) return getJsonPatchFields(req.body);
+  return Object.keys(req.body);
+};
+
+/**
+ * Finds the fields of an action's restrictedFields that the caller may not change
+ * API keys hold no role, so they may never change a restricted field
+ * Also used by bulk and import, whose fields sit in operations and rows
+ * rather than at the top of the body
+ * 
+ * @param {Object} req - Express request object
+ * @param {String} action - Action name from the role policy
+ * @param {Array<String>} fields - Fields the request tries to set
+ * @returns {Object|null} Message per forbidden field, or null if all are allowed
+ */
+const findForbiddenFields = (req, action, fields) => {
+  const { restrictedFields } = policy[action];
+  if (!restrictedFields) return null;
+  
+  const role = req.apiKey ? null : req.user && req.user.role;
+  const forbidden = {};
+  fields.forEach(field => {
+    const fieldRoles = restrictedFields[field];
+    if (fieldRoles && !fieldRoles.includes(role)) {
+      forbidden[field] = req.apiKey
+        ? `API keys cannot change ${field}`
+        : `Only ${fieldRoles.join(', ')} can change ${field}`;
+    }
+  });
+  
+  return Object.keys(forbidden).length > 0 ? forbidden : null;
+};
+
+/**
+ * Authorize an Action
+ * Returns middleware that allows the request only if the caller's role
+ * (or ownership of the record) permits the given action
+ * API keys are allowed only if they hold the action's scope, and never
+ * for changes to restricted fields
+ * Permission failures are passed to errorHandler as 403
+ *
+ * @param {String} action - Action name from the role policy (e.g. 'users:update')
+ * @returns {Function} Express middleware
+ */
+const authorize = (action) => {
+  const rule = policy[action];
+  if (!rule) {
+    throw new Error(`No role policy defined for action "${action}"`);
+  }
+  
+  const middleware = (req, res, next) => {
+    // Service clients are authorized by scope rather than by role
+    if (req.apiKey) {
+      if (!rule.scope || !req.apiKey.hasScope(rule.scope)) {
+        const required = rule.scope ? `the ${rule.scope} scope` : 'a user account';
+        return next(createError(403, `API key does not permit ${action} (requires ${required})`));
+      }
+    } else {
+      if (!req.user) {
+        return next(createError(401, 'Authentication required'));
+      }
+      
+      const allowed = rule.roles.includes(req.user.role) || (rule.allowSelf && isSelf(req));
+      if (!allowed) {
+        return next(createError(403, `You do not have permission to perform ${action}`));
+      }
+    }
+    
+    // Some fields may only be changed by specific roles, even on one's own record
+    const forbidden = findForbiddenFields(req, action, getChangedFields(req));
+    if (forbidden) {
+      return next(createError(403, 'You do not have permission to change these fields', forbidden));
+    }
+    
+    next();
+  };
+  
+  // Kept on the middleware so route documentation can list the required roles
+  middleware.action = action;
+  return middleware;
+};
+
+module.exports = { authorize, findForbiddenFields };
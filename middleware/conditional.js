@@ -0,0 +1,23 @@
+// middleware/conditional.js
+const httpConfig = require('../config/http');
+const { createError } = require('./errorHandler');
+
+/**
+ * Conditional Request Middleware
+ * Enforces optimistic concurrency settings for write routes
+ */
+
+/**
+ * Require If-Match
+ * When REQUIRE_IF_MATCH=true, write requests without an If-Match header are
+ * rejected with 428 Precondition Required (via errorHandler) so that clients
+ * cannot overwrite changes they have not seen
+ */
+const requireIfMatch = (req, res, next) => {
+  if (httpConfig.requireIfMatch && !req.get('If-Match')) {
+    return next(createError(428, 'If-Match header is required for this request'));
+  }
+  next();
+};
+
+module.exports = { requireIfMatch };
@@ -5,6 +5,22 @@
  * Provides consistent error responses across all routes
  */
 
+/**
+ * Creates an HTTP error that errorHandler formats consistently
+ * @param {Number} statusCode - HTTP status code
+ * @param {String} message - Error message
+ * @param {Object} [details] - Optional details, sent as the response's errors object
+ * @returns {Error} Error with statusCode (and details) attached
+ */
+const createError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
 /**
  * Not Found Middleware
  * Handles 404 errors for undefined routes
@@ -36,7 +52,7 @@ const errorHandler = (err, req, res, next) => {
   // Default status code and message
   let statusCode = err.statusCode || 500;
   let message = err.message || 'Internal Server Error';
-  let errors = null;
+  let errors = err.details || null;
 
   // Handle specific error types
   if (err.name === 'ValidationError') {
@@ -60,7 +76,7 @@ const errorHandler = (err, req, res, next) => {
     errors = { [field]: `This ${field} already exists` };
   }
 
-  // Handle JWT errors (for future authentication)
+  // Handle JWT errors (raised by requireAuth)
   if (err.name === 'JsonWebTokenError') {
     statusCode = 401;
     message = 'Invalid token';
@@ -90,8 +106,13 @@ const errorHandler = (err, req, res, next) => {
     errorResponse.stack = err.stack;
   }
 
+  // Tell rate-limited clients when to come back (seconds)
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   // Send response
   res.status(statusCode).json(errorResponse);
 };
 
-module.exports = { notFound, errorHandler };
+module.exports = { createError, notFound, errorHandler };
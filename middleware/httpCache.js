@@ -0,0 +1,77 @@
+// middleware/httpCache.js
+const cacheConfig = require('../config/cache');
+const { TtlCache, registerUserCache } = require('../utils/cache');
+const { isRequestFresh } = require('../utils/etag');
+
+/**
+ * HTTP Caching Middleware
+ * Cache-Control policies and an optional in-process response cache for read routes
+ */
+
+/**
+ * Whole GET responses, keyed by caller and URL; cleared by any user write
+ */
+const responseCache = registerUserCache(new TtlCache({
+  ttlMs: cacheConfig.responseTtlSeconds * 1000,
+  maxEntries: cacheConfig.responseMaxEntries
+}));
+
+/**
+ * Cache Control
+ * Sets the Cache-Control header configured for a route
+ * @param {String} policy - Key in config/cache.js cacheControl (e.g. users:list)
+ * @returns {Function} Express middleware
+ */
+const cacheControl = (policy) => {
+  const value = cacheConfig.cacheControl[policy];
+  if (!value) {
+    throw new Error(`Unknown Cache-Control policy: ${policy}`);
+  }
+  
+  return (req, res, next) => {
+    res.set('Cache-Control', value);
+    next();
+  };
+};
+
+/**
+ * Cache Response
+ * Serves repeated GETs from memory when RESPONSE_CACHE_TTL_SECONDS is set
+ * Entries are per caller (user or API key), since access rules can make the
+ * same URL return different data; hits still honour conditional headers
+ * Must run after authorization so denied requests are never served
+ */
+const cacheResponse = (req, res, next) => {
+  if (!responseCache.enabled || req.method !== 'GET') {
+    return next();
+  }
+  
+  const caller = req.apiKey ? `apiKey:${req.apiKey._id}` : `user:${req.user ? req.user._id : 'anonymous'}`;
+  const key = `${caller} ${req.originalUrl}`;
+  
+  const cached = responseCache.get(key);
+  if (cached) {
+    const { body, etag, lastModified } = cached.value;
+    res.set('X-Cache', 'HIT');
+    if (etag) res.set('ETag', etag);
+    if (lastModified) res.set('Last-Modified', lastModified);
+    
+    if (isRequestFresh(req, { etag, lastModified: lastModified ? new Date(lastModified) : null })) {
+      return res.status(304).end();
+    }
+    return res.status(200).json(body);
+  }
+  
+  // Store successful JSON responses on their way out
+  res.set('X-Cache', 'MISS');
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode === 200) {
+      responseCache.set(key, { body, etag: res.get('ETag'), lastModified: res.get('Last-Modified') });
+    }
+    return sendJson(body);
+  };
+  next();
+};
+
+module.exports = { cacheControl, cacheResponse };
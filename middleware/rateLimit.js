@@ -0,0 +1,158 @@
+// middleware/rateLimit.js
+const rateLimitConfig = require('../config/rateLimit');
+const { createRateLimitStore } = require('../utils/rateLimitStores');
+const { createError } = require('./errorHandler');
+
+/**
+ * Rate Limit Middleware
+ * Applies the named policies from config/rateLimit.js, sending RateLimit-*
+ * headers on every response and rejecting over-limit requests with 429
+ */
+
+/**
+ * Counters for every policy, in the store chosen by RATE_LIMIT_STORE
+ */
+const store = createRateLimitStore(rateLimitConfig.store);
+
+/**
+ * How each caller identity named in a policy's keyBy is read from the request
+ */
+const CALLER_KEYS = {
+  apiKey: (req) => (req.apiKey ? `apiKey:${req.apiKey._id}` : null),
+  user: (req) => (req.user ? `user:${req.user._id}` : null),
+  ip: (req) => (req.ip ? `ip:${req.ip}` : null)
+};
+
+/**
+ * Sliding window counter: the previous window's count, weighted by how much
+ * of it still overlaps the sliding window, plus the current window's count
+ * Rejected requests are counted too, so clients ignoring Retry-After stay limited
+ * @param {String} key - Counter key for the policy and caller
+ * @param {Object} policy - { limit, windowMs }
+ * @returns {Promise<Object>} { allowed, remaining, resetMs, retryAfterMs }
+ */
+const slidingWindow = async (key, { limit, windowMs }) => {
+  const now = Date.now();
+  const window = Math.floor(now / windowMs);
+  const elapsed = (now % windowMs) / windowMs;
+  
+  const [count, previous] = await Promise.all([
+    store.increment(`${key}:${window}`, 2 * windowMs),
+    store.get(`${key}:${window - 1}`)
+  ]);
+  
+  const used = previous * (1 - elapsed) + count;
+  const allowed = used <= limit;
+  const resetMs = (1 - elapsed) * windowMs;
+  
+  // When the weighted count leaves room for one more request
+  let retryAfterMs = 0;
+  if (!allowed) {
+    if (count < limit) {
+      retryAfterMs = (1 - (limit - count - 1) / previous - elapsed) * windowMs;
+    } else {
+      retryAfterMs = resetMs + Math.max(0, 1 - (limit - 1) / count) * windowMs;
+    }
+  }
+  
+  return { allowed, remaining: Math.max(0, Math.floor(limit - used)), resetMs, retryAfterMs };
+};
+
+/**
+ * Token bucket: holds up to limit tokens, refilled evenly over windowMs;
+ * each request takes one, so short bursts are allowed but the average rate is capped
+ * @param {String} key - Counter key for the policy and caller
+ * @param {Object} policy - { limit, windowMs }
+ * @returns {Promise<Object>} { allowed, remaining, resetMs, retryAfterMs }
+ */
+const tokenBucket = async (key, { limit, windowMs }) => {
+  const refillPerMs = limit / windowMs;
+  const { allowed, tokens } = await store.takeToken(key, { capacity: limit, refillPerMs, ttlMs: windowMs });
+  
+  return {
+    allowed,
+    remaining: Math.floor(tokens),
+    resetMs: (limit - tokens) / refillPerMs,
+    retryAfterMs: allowed ? 0 : (1 - tokens) / refillPerMs
+  };
+};
+
+const ALGORITHMS = {
+  'sliding-window': slidingWindow,
+  'token-bucket': tokenBucket
+};
+
+/**
+ * Sets the RateLimit-* headers (IETF RateLimit header fields draft)
+ * When several policies apply to a route, the one with the fewest
+ * requests remaining is reported
+ * @param {Object} res - Express response object
+ * @param {Object} policy - Policy that was checked
+ * @param {Object} result - Outcome of the check
+ */
+const setRateLimitHeaders = (res, policy, result) => {
+  const reported = res.get('RateLimit-Remaining');
+  if (reported !== undefined && Number(reported) < result.remaining) return;
+  
+  res.set({
+    'RateLimit-Policy': `${policy.limit};w=${Math.ceil(policy.windowMs / 1000)}`,
+    'RateLimit-Limit': String(policy.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000))
+  });
+};
+
+/**
+ * Rate Limit
+ * Counts the request against a policy for the first caller identity available
+ * (API key, user or IP address, per the policy's keyBy); mount it after
+ * requireAuth for policies keyed by user
+ * Responds 429 (via errorHandler, with Retry-After) once the limit is reached
+ * If the store is unreachable the request is let through rather than failed
+ * @param {String} policyName - Key in config/rateLimit.js policies (e.g. users:search)
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (policyName) => {
+  const policy = rateLimitConfig.policies[policyName];
+  if (!policy || !ALGORITHMS[policy.algorithm]) {
+    throw new Error(`Unknown rate limit policy: ${policyName}`);
+  }
+  const algorithm = ALGORITHMS[policy.algorithm];
+  
+  return async (req, res, next) => {
+    if (!rateLimitConfig.enabled) {
+      return next();
+    }
+    
+    const caller = policy.keyBy.map(identity => CALLER_KEYS[identity](req)).find(Boolean);
+    if (!caller) {
+      return next();
+    }
+    
+    let result;
+    try {
+      result = await algorithm(`${policyName}:${caller}`, policy);
+    } catch (error) {
+      console.error('❌ Rate limit store unavailable, allowing request:', error.message);
+      return next();
+    }
+    
+    setRateLimitHeaders(res, policy, result);
+    
+    if (!result.allowed) {
+      const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+      const error = createError(429, 'Too many requests, please try again later', {
+        policy: policyName,
+        limit: policy.limit,
+        windowSeconds: Math.ceil(policy.windowMs / 1000),
+        retryAfter
+      });
+      error.retryAfter = retryAfter;
+      return next(error);
+    }
+    
+    next();
+  };
+};
+
+module.exports = { rateLimit };
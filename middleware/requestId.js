@@ -0,0 +1,17 @@
+// middleware/requestId.js
+const crypto = require('crypto');
+
+/**
+ * Request ID Middleware
+ * Gives every request an ID for correlating logs and audit events
+ * Reuses a client-supplied X-Request-Id when it looks sane, otherwise generates one,
+ * and echoes it back in the response headers
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = { requestId };
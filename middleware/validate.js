@@ -0,0 +1,247 @@
+// middleware/validate.js
+const { createError } = require('./errorHandler');
+
+/**
+ * Request Validation Middleware
+ * Checks and coerces req.params, req.query and req.body against schemas
+ * declared next to each route, so controllers receive typed values
+ * 
+ * A schema maps field names to rules:
+ * - type: string, integer, number, boolean, objectId, date, array or object
+ * - required, default, nullable (null is accepted), enum (also checked on array items)
+ * - min / max (numbers and dates), minLength / maxLength (strings),
+ *   maxItems and items (a rule for each element, arrays only)
+ * - trim / lowercase (strings)
+ * Query strings are coerced ("10" -> 10, "true" -> true, "a,b" -> ['a', 'b']);
+ * JSON bodies must already have the right types
+ */
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+const NUMBER_PATTERN = /^-?(\d+\.?\d*|\.\d+)$/;
+
+/**
+ * Checks one value against its rule
+ * @param {*} value - Incoming value (already known to be present)
+ * @param {Object} rule - Field rule
+ * @param {Boolean} fromString - True for params and query values, which arrive as strings
+ * @returns {Object} { value } with the coerced value, or { error } with a message
+ */
+const checkValue = (value, rule, fromString) => {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return { error: 'must be a string' };
+      let text = rule.trim ? value.trim() : value;
+      if (rule.lowercase) text = text.toLowerCase();
+      if (rule.minLength !== undefined && text.length < rule.minLength) {
+        return { error: `must be at least ${rule.minLength} characters long` };
+      }
+      if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+        return { error: `cannot exceed ${rule.maxLength} characters` };
+      }
+      return { value: text };
+    }
+    
+    case 'integer':
+    case 'number': {
+      let number = value;
+      if (fromString && typeof value === 'string') {
+        const pattern = rule.type === 'integer' ? INTEGER_PATTERN : NUMBER_PATTERN;
+        number = pattern.test(value.trim()) ? Number(value) : NaN;
+      }
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { error: `must be ${rule.type === 'integer' ? 'an integer' : 'a number'}` };
+      }
+      if (rule.type === 'integer' && !Number.isInteger(number)) {
+        return { error: 'must be an integer' };
+      }
+      if (rule.min !== undefined && number < rule.min) return { error: `must be at least ${rule.min}` };
+      if (rule.max !== undefined && number > rule.max) return { error: `cannot exceed ${rule.max}` };
+      return { value: number };
+    }
+    
+    case 'boolean': {
+      if (typeof value === 'boolean') return { value };
+      if (fromString && (value === 'true' || value === 'false')) return { value: value === 'true' };
+      return { error: 'must be true or false' };
+    }
+    
+    case 'objectId': {
+      if (typeof value !== 'string' || !OBJECT_ID_PATTERN.test(value)) {
+        return { error: 'must be a valid ID' };
+      }
+      return { value };
+    }
+    
+    case 'date': {
+      const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+      if (!date || Number.isNaN(date.getTime())) return { error: 'must be a valid date' };
+      if (rule.min !== undefined && date < new Date(rule.min)) return { error: `must not be before ${rule.min}` };
+      if (rule.max !== undefined && date > new Date(rule.max)) return { error: `must not be after ${rule.max}` };
+      return { value: date };
+    }
+    
+    case 'array': {
+      const list = fromString && typeof value === 'string'
+        ? value.split(',').map(item => item.trim()).filter(Boolean)
+        : value;
+      if (!Array.isArray(list)) return { error: 'must be an array' };
+      if (rule.maxItems !== undefined && list.length > rule.maxItems) {
+        return { error: `cannot have more than ${rule.maxItems} items` };
+      }
+      if (!rule.items) return { value: list };
+      
+      const items = [];
+      for (let index = 0; index < list.length; index++) {
+        const checked = checkValue(list[index], rule.items, fromString);
+        if (checked.error) return { error: `item ${index + 1} ${checked.error}` };
+        if (rule.items.enum && !rule.items.enum.includes(checked.value)) {
+          return { error: `item ${index + 1} must be one of: ${rule.items.enum.join(', ')}` };
+        }
+        items.push(checked.value);
+      }
+      return { value: items };
+    }
+    
+    case 'object': {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'must be an object' };
+      }
+      return { value };
+    }
+    
+    default:
+      throw new Error(`Unknown validation type: ${rule.type}`);
+  }
+};
+
+/**
+ * Page-number pagination rules with a route-specific page size
+ * @param {Number} defaultLimit - Page size when limit is omitted
+ * @param {Number} maxLimit - Largest page size accepted
+ * @returns {Object} page and limit rules
+ */
+const paginationQuery = (defaultLimit, maxLimit) => ({
+  page: { type: 'integer', min: 1, default: 1 },
+  limit: { type: 'integer', min: 1, max: maxLimit, default: defaultLimit }
+});
+
+/**
+ * Validates a set of values against a schema
+ * @param {Object} values - req.params, req.query or req.body
+ * @param {Object} schema - Field rules
+ * @param {Object} options - { fromString, stripUnknown }
+ * @returns {Object} { value, errors } - coerced values and messages per field (null if valid)
+ */
+const validateValues = (values, schema, { fromString, stripUnknown }) => {
+  const source = values || {};
+  const value = stripUnknown ? {} : { ...source };
+  const errors = {};
+  
+  Object.keys(schema).forEach(field => {
+    const rule = schema[field];
+    let raw = source[field];
+    
+    // An empty query parameter (e.g. ?minAge=) counts as absent, except for strings
+    if (fromString && raw === '' && rule.type !== 'string') {
+      raw = undefined;
+    }
+    
+    if (raw === undefined) {
+      if (rule.required) {
+        errors[field] = `${field} is required`;
+      } else if (rule.default !== undefined) {
+        value[field] = rule.default;
+      } else {
+        delete value[field];
+      }
+      return;
+    }
+    
+    if (raw === null) {
+      if (rule.nullable) {
+        value[field] = null;
+      } else {
+        errors[field] = rule.required ? `${field} is required` : `${field} cannot be null`;
+      }
+      return;
+    }
+    
+    // Repeated query parameters (?limit=1&limit=2) arrive as arrays
+    if (fromString && Array.isArray(raw) && rule.type !== 'array') {
+      errors[field] = `${field} must be given only once`;
+      return;
+    }
+    
+    const checked = checkValue(raw, rule, fromString);
+    if (checked.error) {
+      errors[field] = `${field} ${checked.error}`;
+      return;
+    }
+    
+    // A required string must not be blank either
+    if (rule.required && checked.value === '') {
+      errors[field] = `${field} is required`;
+      return;
+    }
+    
+    if (rule.enum && !rule.enum.includes(checked.value)) {
+      errors[field] = `${field} must be one of: ${rule.enum.join(', ')}`;
+      return;
+    }
+    
+    value[field] = checked.value;
+  });
+  
+  return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+};
+
+/**
+ * Validate
+ * Validates the request against per-location schemas, replacing req.params,
+ * req.query and req.body with their coerced values
+ * Unknown body fields are dropped; unknown query parameters are passed through
+ * (structured filter[...] parameters are checked by the query language)
+ * Responds 400 (via errorHandler) with every failing field in errors
+ * @param {Object} schemas - { params, query, body } field rules
+ * @returns {Function} Express middleware
+ */
+const validate = (schemas) => {
+  const locations = [
+    { name: 'params', fromString: true, stripUnknown: false },
+    { name: 'query', fromString: true, stripUnknown: false },
+    { name: 'body', fromString: false, stripUnknown: true }
+  ].filter(location => schemas[location.name]);
+  
+  const middleware = (req, res, next) => {
+    const errors = {};
+    const validated = {};
+    
+    locations.forEach(({ name, fromString, stripUnknown }) => {
+      if (name === 'body' && (req.body === null || typeof req.body !== 'object' || Array.isArray(req.body))) {
+        errors.body = 'Request body must be a JSON object';
+        return;
+      }
+      
+      const result = validateValues(req[name], schemas[name], { fromString, stripUnknown });
+      if (result.errors) {
+        Object.assign(errors, result.errors);
+      } else {
+        validated[name] = result.value;
+      }
+    });
+    
+    if (Object.keys(errors).length > 0) {
+      return next(createError(400, 'Validation failed', errors));
+    }
+    
+    Object.assign(req, validated);
+    next();
+  };
+  
+  // Kept on the middleware so route documentation can be generated from it
+  middleware.schemas = schemas;
+  return middleware;
+};
+
+module.exports = { validate, paginationQuery };
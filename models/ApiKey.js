@@ -0,0 +1,114 @@
+// models/ApiKey.js
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+/**
+ * ApiKey Schema Definition
+ * Credentials for service-to-service clients, sent in the X-API-Key header
+ * Only a hash of the secret is stored; the full key is shown once at creation
+ * 
+ * @schema ApiKey
+ * @property {String} name - Human-readable label (required)
+ * @property {String} prefix - Public key identifier, embedded in the key (unique)
+ * @property {String} secretHash - SHA-256 hash of the key secret (never selected by default)
+ * @property {Array} scopes - Scopes granted to the key (see config/permissions.js)
+ * @property {Date} expiresAt - When the key stops working (null = never)
+ * @property {Date} lastUsedAt - Last time the key authenticated a request
+ * @property {Date} revokedAt - When the key was revoked (null while active)
+ * @property {ObjectId} createdBy - Admin who created the key
+ */
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'API key name is required'],
+      trim: true,
+      minlength: [2, 'API key name must be at least 2 characters long'],
+      maxlength: [100, 'API key name cannot exceed 100 characters']
+    },
+
+    prefix: {
+      type: String,
+      required: true,
+      unique: true
+    },
+
+    secretHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+
+    scopes: {
+      type: [{
+        type: String,
+        enum: {
+          values: API_KEY_SCOPES,
+          message: '{VALUE} is not a valid scope'
+        }
+      }],
+      validate: {
+        validator: function(array) {
+          return array.length > 0;
+        },
+        message: 'At least one scope is required'
+      }
+    },
+
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: null
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: function(doc, ret) {
+        delete ret._id;
+        delete ret.secretHash;
+        return ret;
+      }
+    },
+    toObject: { virtuals: true }
+  }
+);
+
+/**
+ * Virtual Property: Is Active
+ * True while the key is neither revoked nor expired
+ */
+apiKeySchema.virtual('isActive').get(function() {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+/**
+ * Instance Method: Has Scope
+ * @param {String} scope - Scope to check
+ * @returns {Boolean} True if the key was granted the scope
+ */
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,93 @@
+// models/AuditEvent.js
+const mongoose = require('mongoose');
+
+/**
+ * AuditEvent Schema Definition
+ * Immutable record of a change made to a user through the API
+ * 
+ * @schema AuditEvent
+ * @property {String} entityType - Type of record changed (e.g. 'User')
+ * @property {ObjectId} entityId - ID of the record changed
+ * @property {String} action - What happened (create/update/delete/restore/purge)
+ * @property {Object} actor - Who did it ({ type, id, label })
+ * @property {String} requestId - ID of the HTTP request that made the change
+ * @property {Array} changes - Field-level diff ({ field, before, after })
+ * @property {Date} createdAt - When the change happened
+ */
+const auditEventSchema = new mongoose.Schema(
+  {
+    entityType: {
+      type: String,
+      required: true,
+      default: 'User'
+    },
+
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+
+    action: {
+      type: String,
+      required: true,
+      enum: ['create', 'update', 'delete', 'restore', 'purge']
+    },
+
+    /**
+     * Who made the change
+     * type is 'user' or 'apiKey'; label is an email or key name kept for
+     * readability even after the actor itself is deleted
+     */
+    actor: {
+      type: {
+        type: String,
+        enum: ['user', 'apiKey', 'system'],
+        required: true
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+      },
+      label: {
+        type: String,
+        default: null
+      }
+    },
+
+    requestId: {
+      type: String,
+      default: null
+    },
+
+    changes: [{
+      _id: false,
+      field: { type: String, required: true },
+      before: { type: mongoose.Schema.Types.Mixed, default: null },
+      after: { type: mongoose.Schema.Types.Mixed, default: null }
+    }]
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: function(doc, ret) {
+        delete ret._id;
+        return ret;
+      }
+    },
+    toObject: { virtuals: true }
+  }
+);
+
+/**
+ * Indexes for the history and audit log queries
+ */
+auditEventSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditEventSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ createdAt: -1 });
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+module.exports = AuditEvent;
@@ -0,0 +1,198 @@
+// models/Hobby.js
+const mongoose = require('mongoose');
+const hobbyConfig = require('../config/hobbies');
+const { toHobbyKey, toHobbySlug } = require('../utils/hobbies');
+
+/**
+ * Hobby Schema Definition
+ * Canonical hobbies that user hobbies are normalized against
+ * 
+ * @schema Hobby
+ * @property {String} name - Canonical name stored on users (required, unique)
+ * @property {String} slug - URL-friendly identifier derived from the name (unique)
+ * @property {String} category - Grouping for pickers and stats (default: Other)
+ * @property {Array} synonyms - Alternative spellings mapped to this hobby
+ * @property {String} status - approved, or pending when added automatically from
+ *           user input (lenient mode) and awaiting review
+ * @property {ObjectId} createdBy - User whose input or request created the entry
+ * @property {Array} lookupKeys - Normalized name and synonyms (never selected by default)
+ */
+const hobbySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Hobby name is required'],
+      trim: true,
+      minlength: [2, 'Hobby must be at least 2 characters'],
+      maxlength: [50, 'Hobby cannot exceed 50 characters']
+    },
+
+    slug: {
+      type: String,
+      unique: true
+    },
+
+    category: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Category cannot exceed 50 characters'],
+      default: hobbyConfig.defaultCategory
+    },
+
+    synonyms: {
+      type: [{
+        type: String,
+        trim: true,
+        minlength: [2, 'Synonym must be at least 2 characters'],
+        maxlength: [50, 'Synonym cannot exceed 50 characters']
+      }],
+      default: []
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: ['approved', 'pending'],
+        message: '{VALUE} is not a valid status'
+      },
+      default: 'approved'
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+
+    /**
+     * Keys of the name and every synonym (see utils/hobbies.js)
+     * The unique multikey index guarantees no spelling maps to two hobbies
+     */
+    lookupKeys: {
+      type: [String],
+      select: false
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: function(doc, ret) {
+        delete ret._id;
+        delete ret.lookupKeys;
+        return ret;
+      }
+    },
+    toObject: { virtuals: true }
+  }
+);
+
+/**
+ * Pre-validate Middleware
+ * Derives the slug and lookup keys, and drops synonyms that only repeat
+ * the name or each other
+ */
+hobbySchema.pre('validate', function(next) {
+  if (this.name) {
+    this.slug = toHobbySlug(this.name);
+  }
+  
+  const nameKey = toHobbyKey(this.name);
+  const seen = new Set([nameKey]);
+  this.synonyms = this.synonyms.filter(synonym => {
+    const key = toHobbyKey(synonym);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  
+  this.lookupKeys = [...seen].filter(Boolean);
+  next();
+});
+
+/**
+ * Static Method: Find by Name
+ * Finds the entry a hobby (name or synonym, any spelling) maps to
+ * @param {String} name - Hobby as entered
+ * @returns {Query} Matching entry or null
+ */
+hobbySchema.statics.findByName = function(name) {
+  return this.findOne({ lookupKeys: toHobbyKey(name) });
+};
+
+/**
+ * Static Method: Resolve Names
+ * Maps user-entered hobbies to canonical catalog names, removing duplicates
+ * that normalize to the same hobby
+ * In lenient mode unknown hobbies are added as pending entries; in strict
+ * mode they are reported back as unknown. Values that could never be valid
+ * catalog names are passed through for the User schema to reject.
+ * @param {Array<String>} names - Hobbies as entered
+ * @param {Object} options - { mode: strict|lenient, createdBy }
+ * @returns {Promise<Object>} { hobbies, unknown }
+ */
+hobbySchema.statics.resolveNames = async function(names, { mode, createdBy = null }) {
+  const keys = names.map(toHobbyKey).filter(Boolean);
+  const entries = await this.find({ lookupKeys: { $in: keys } }).select('+lookupKeys');
+  
+  const byKey = new Map();
+  entries.forEach(entry => {
+    entry.lookupKeys.forEach(key => byKey.set(key, entry.name));
+  });
+  
+  const hobbies = [];
+  const unknown = [];
+  for (const raw of names) {
+    const name = typeof raw === 'string' ? raw.trim() : raw;
+    const key = toHobbyKey(name);
+    
+    if (typeof name !== 'string' || name.length < 2 || name.length > 50 || !key) {
+      hobbies.push(name);
+      continue;
+    }
+    
+    if (!byKey.has(key)) {
+      if (mode === 'strict') {
+        unknown.push(name);
+        continue;
+      }
+      byKey.set(key, await this.addPending(name, createdBy));
+    }
+    
+    if (!hobbies.includes(byKey.get(key))) {
+      hobbies.push(byKey.get(key));
+    }
+  }
+  
+  return { hobbies, unknown };
+};
+
+/**
+ * Static Method: Add Pending
+ * Adds a hobby seen in user input as a pending entry
+ * A concurrent request may add the same hobby first; its entry is used then
+ * @param {String} name - Hobby as entered (trimmed)
+ * @param {ObjectId} createdBy - User whose input introduced it
+ * @returns {Promise<String>} Canonical name
+ */
+hobbySchema.statics.addPending = async function(name, createdBy) {
+  try {
+    const entry = await this.create({ name, status: 'pending', createdBy });
+    console.log(`🆕 Pending hobby added to the catalog: ${entry.name}`);
+    return entry.name;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const existing = await this.findByName(name);
+    if (!existing) throw error;
+    return existing.name;
+  }
+};
+
+// Indexes
+hobbySchema.index({ lookupKeys: 1 }, { unique: true }); // One hobby per spelling
+hobbySchema.index({ status: 1, category: 1, name: 1 }); // Catalog listing
+
+const Hobby = mongoose.model('Hobby', hobbySchema);
+
+module.exports = Hobby;
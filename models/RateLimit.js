@@ -0,0 +1,58 @@
+// models/RateLimit.js
+const mongoose = require('mongoose');
+
+/**
+ * RateLimit Schema Definition
+ * Counters behind the MongoDB rate limit store, shared by every API instance
+ * Documents are keyed by policy, caller and (for sliding windows) window number
+ * 
+ * @schema RateLimit
+ * @property {String} _id - Counter key (e.g. users:search:user:<id>)
+ * @property {Number} count - Requests seen in the window (sliding windows)
+ * @property {Number} tokens - Tokens left in the bucket (token buckets)
+ * @property {Date} refilledAt - When the bucket was last refilled (token buckets)
+ * @property {Boolean} allowed - Whether the last request took a token (token buckets)
+ * @property {Date} expiresAt - When the counter can be discarded
+ */
+const rateLimitSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String
+    },
+
+    count: {
+      type: Number,
+      default: 0
+    },
+
+    tokens: {
+      type: Number
+    },
+
+    refilledAt: {
+      type: Date
+    },
+
+    allowed: {
+      type: Boolean
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    versionKey: false
+  }
+);
+
+/**
+ * Indexes
+ * Stale counters are removed automatically by MongoDB's TTL monitor
+ */
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+module.exports = RateLimit;
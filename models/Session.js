@@ -0,0 +1,142 @@
+// models/Session.js
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema Definition
+ * One document per logged-in device, holding the hash of its current refresh token
+ * 
+ * @schema Session
+ * @property {ObjectId} user - Owner of the session (required)
+ * @property {String} tokenHash - SHA-256 hash of the current refresh token secret
+ * @property {Array} previousTokenHashes - Hashes of rotated-out secrets, used for reuse detection
+ * @property {String} userAgent - User-Agent header of the device that logged in
+ * @property {String} ip - IP address the session was created from
+ * @property {Date} lastUsedAt - Last time the refresh token was used
+ * @property {Date} expiresAt - When the refresh token stops being accepted
+ * @property {Date} revokedAt - When the session was revoked (null while active)
+ * @property {String} revokedReason - Why the session was revoked
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Session user is required'],
+      index: true
+    },
+
+    tokenHash: {
+      type: String,
+      required: true
+    },
+
+    previousTokenHashes: {
+      type: [String],
+      default: []
+    },
+
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: null
+    },
+
+    ip: {
+      type: String,
+      default: null
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+
+    revokedReason: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: function(doc, ret) {
+        // Never expose token hashes
+        delete ret._id;
+        delete ret.tokenHash;
+        delete ret.previousTokenHashes;
+        return ret;
+      }
+    },
+    toObject: { virtuals: true }
+  }
+);
+
+/**
+ * Virtual Property: Is Active
+ * True while the session is neither revoked nor expired
+ */
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+/**
+ * Instance Method: Revoke
+ * Marks the session as revoked so its tokens stop working
+ * @param {String} reason - Why the session is revoked
+ * @returns {Promise<Session>} Updated session document
+ */
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+/**
+ * Static Method: Find Active Sessions for a User
+ * @param {ObjectId|String} userId - Owner of the sessions
+ * @returns {Query} Active sessions, most recently used first
+ */
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Static Method: Revoke All Sessions for a User
+ * Used when a user is deactivated or deleted
+ * @param {ObjectId|String} userId - Owner of the sessions
+ * @param {String} reason - Why the sessions are revoked
+ * @returns {Promise<Object>} Update result
+ */
+sessionSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+/**
+ * Indexes
+ * Expired sessions are removed automatically by MongoDB's TTL monitor
+ */
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -1,5 +1,25 @@
 // models/User.js
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const authConfig = require('../config/auth');
+const { ROLES } = require('../config/permissions');
+const { buildSuggestKeys } = require('../utils/suggest');
+const { createError } = require('../middleware/errorHandler');
+const { invalidateUserCaches } = require('../utils/cache');
+
+/**
+ * Hobby limits: most hobbies a user may list, and the profile score each one adds
+ */
+const MAX_HOBBIES = 10;
+const POINTS_PER_HOBBY = 3;
+
+/**
+ * Error for adding a hobby past MAX_HOBBIES
+ * @returns {Error} 422 error
+ */
+const hobbyLimitError = () => createError(422, `Cannot have more than ${MAX_HOBBIES} hobbies`, {
+  hobbies: `Remove a hobby before adding another (limit: ${MAX_HOBBIES})`
+});
 
 /**
  * User Schema Definition
@@ -10,8 +30,14 @@ const mongoose = require('mongoose');
  * @property {String} email - User's email address (required, unique)
  * @property {Number} age - User's age (optional, with constraints)
  * @property {Array} hobbies - User's hobbies/interests (optional)
+ * @property {String} password - Hashed password (optional, never selected by default)
+ * @property {String} role - Access role (user/manager/admin, default: user)
  * @property {Date} createdAt - Document creation timestamp
  * @property {Date} updatedAt - Document last update timestamp
+ * @property {Date} deletedAt - When the user was soft-deleted (null while not deleted)
+ * @property {ObjectId} deletedBy - User who soft-deleted the record
+ * @property {Number} revision - Revision counter, bumped on every save (used for ETags)
+ * @property {Array} suggestKeys - Prefix/trigram keys for autocomplete (never selected by default)
  */
 const userSchema = new mongoose.Schema(
   {
@@ -88,12 +114,43 @@ const userSchema = new mongoose.Schema(
       // Validate array length
       validate: {
         validator: function(array) {
-          return array.length <= 10; // Limit to 10 hobbies
+          return array.length <= MAX_HOBBIES; // Limit to 10 hobbies
         },
-        message: 'Cannot have more than 10 hobbies'
+        message: `Cannot have more than ${MAX_HOBBIES} hobbies`
       }
     },
 
+    /**
+     * User's password
+     * Stored as a bcrypt hash (see pre-save middleware)
+     * Excluded from queries unless explicitly selected with '+password'
+     */
+    password: {
+      type: String,
+      minlength: [8, 'Password must be at least 8 characters long'],
+      // bcrypt ignores everything after 72 bytes (fewer characters when multibyte)
+      validate: {
+        validator: function(v) {
+          return Buffer.byteLength(v, 'utf8') <= 72;
+        },
+        message: 'Password cannot exceed 72 bytes'
+      },
+      select: false
+    },
+
+    /**
+     * User's access role
+     * Checked against the role policy in config/permissions.js
+     */
+    role: {
+      type: String,
+      enum: {
+        values: ROLES,
+        message: '{VALUE} is not a valid role'
+      },
+      default: 'user'
+    },
+
     /**
      * User's status
      * Indicates if the user is active
@@ -103,6 +160,25 @@ const userSchema = new mongoose.Schema(
       default: true // Users are active by default
     },
 
+    /**
+     * Soft deletion marker
+     * Deleted users stay in the collection (keeping their email reserved)
+     * but are hidden from queries by the soft delete middleware below
+     */
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+
+    /**
+     * User who soft-deleted the record (null for API key clients)
+     */
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+
     /**
      * Profile completion score
      * Calculated virtual field
@@ -112,18 +188,30 @@ const userSchema = new mongoose.Schema(
       min: 0,
       max: 100,
       default: 0
+    },
+
+    /**
+     * Autocomplete keys derived from name and email (see utils/suggest.js)
+     * Maintained by the pre-save hook; never returned to clients
+     */
+    suggestKeys: {
+      type: [String],
+      select: false
     }
   },
   {
     // Schema options
     timestamps: true, // Automatically adds createdAt and updatedAt fields
-    versionKey: false, // Disable __v field
+    versionKey: 'revision', // Revision counter exposed to clients through ETags
+    optimisticConcurrency: true, // Bump the revision on every save and reject stale saves
     toJSON: { 
       virtuals: true, // Include virtuals in JSON output
       transform: function(doc, ret) {
         // Remove sensitive/technical fields from JSON output
         delete ret._id;
         delete ret.__v;
+        delete ret.password;
+        delete ret.suggestKeys;
         return ret;
       }
     },
@@ -159,40 +247,90 @@ userSchema.virtual('ageGroup').get(function() {
 
 /**
  * Instance Method: Add a Hobby
- * Adds a new hobby to the user's hobbies array
+ * Adds a hobby with a single atomic $addToSet, so concurrent edits to the
+ * user are never overwritten; the limit is enforced in the same update
  * @param {String} hobby - Hobby to add
- * @returns {Promise<User>} Updated user document
+ * @returns {Promise<Object>} { user, changed } - user is the current document
+ *          (null if the user no longer exists)
+ * @throws {Error} 422 error when the user already has MAX_HOBBIES hobbies
  */
-userSchema.methods.addHobby = function(hobby) {
-  // Check if hobby already exists
-  if (!this.hobbies.includes(hobby) && this.hobbies.length < 10) {
-    this.hobbies.push(hobby);
-    return this.save();
+userSchema.methods.addHobby = async function(hobby) {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, hobbies: { $ne: hobby }, [`hobbies.${MAX_HOBBIES - 1}`]: { $exists: false } },
+    // Each hobby is worth a fixed number of points, so the score is kept in step
+    { $addToSet: { hobbies: hobby }, $inc: { revision: 1, profileScore: POINTS_PER_HOBBY } },
+    { new: true }
+  );
+  if (updated) {
+    return { user: updated, changed: true };
+  }
+  
+  // Nothing matched: the hobby is already listed, the limit is reached, or the user is gone
+  const current = await this.constructor.findById(this._id);
+  if (!current || current.hobbies.includes(hobby)) {
+    return { user: current, changed: false };
+  }
+  if (current.hobbies.length >= MAX_HOBBIES) {
+    throw hobbyLimitError();
+  }
+  
+  // A concurrent removal freed a slot between the two queries
+  return current.addHobby(hobby);
+};
+
+/**
+ * Instance Method: Check Hobby Limit
+ * Fails early, on the loaded document, when addHobby would hit the limit
+ * (addHobby enforces it again atomically)
+ * @param {String} hobby - Hobby about to be added
+ * @throws {Error} 422 error when the user already has MAX_HOBBIES other hobbies
+ */
+userSchema.methods.checkHobbyLimit = function(hobby) {
+  if (!this.hobbies.includes(hobby) && this.hobbies.length >= MAX_HOBBIES) {
+    throw hobbyLimitError();
   }
-  return Promise.resolve(this);
 };
 
 /**
  * Instance Method: Remove a Hobby
- * Removes a hobby from the user's hobbies array
+ * Removes a hobby with a single atomic $pull
  * @param {String} hobby - Hobby to remove
- * @returns {Promise<User>} Updated user document
+ * @returns {Promise<Object>} { user, changed } - user is the current document
+ *          (null if the user no longer exists)
  */
-userSchema.methods.removeHobby = function(hobby) {
-  const index = this.hobbies.indexOf(hobby);
-  if (index > -1) {
-    this.hobbies.splice(index, 1);
-    return this.save();
+userSchema.methods.removeHobby = async function(hobby) {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, hobbies: hobby },
+    { $pull: { hobbies: hobby }, $inc: { revision: 1, profileScore: -POINTS_PER_HOBBY } },
+    { new: true }
+  );
+  if (updated) {
+    return { user: updated, changed: true };
   }
-  return Promise.resolve(this);
+  
+  return { user: await this.constructor.findById(this._id), changed: false };
 };
 
 /**
- * Instance Method: Update Profile Score
- * Calculates and updates the user's profile completion score
- * @returns {Promise<User>} Updated user document
+ * Instance Method: Compare Password
+ * Checks a plain-text password against the stored hash
+ * Requires the document to be loaded with '+password'
+ * @param {String} candidate - Plain-text password to check
+ * @returns {Promise<Boolean>} True if the password matches
  */
-userSchema.methods.updateProfileScore = function() {
+userSchema.methods.comparePassword = function(candidate) {
+  if (!this.password || !candidate) {
+    return Promise.resolve(false);
+  }
+  return bcrypt.compare(candidate, this.password);
+};
+
+/**
+ * Instance Method: Calculate Profile Score
+ * Calculates the user's profile completion score without saving
+ * @returns {Number} Profile score between 0 and 100
+ */
+userSchema.methods.calculateProfileScore = function() {
   let score = 0;
   
   // Name: 20 points
@@ -205,9 +343,18 @@ userSchema.methods.updateProfileScore = function() {
   if (this.age) score += 20;
   
   // Hobbies: Up to 30 points (3 points per hobby, max 10 hobbies)
-  score += Math.min(this.hobbies.length * 3, 30);
+  score += Math.min(this.hobbies.length, MAX_HOBBIES) * POINTS_PER_HOBBY;
   
-  this.profileScore = score;
+  return score;
+};
+
+/**
+ * Instance Method: Update Profile Score
+ * Calculates and updates the user's profile completion score
+ * @returns {Promise<User>} Updated user document
+ */
+userSchema.methods.updateProfileScore = function() {
+  this.profileScore = this.calculateProfileScore();
   return this.save();
 };
 
@@ -220,6 +367,104 @@ userSchema.statics.findActive = function() {
   return this.find({ isActive: true });
 };
 
+/**
+ * Static Method: Find Deleted Users
+ * Returns soft-deleted users, most recently deleted first
+ * @returns {Query} Soft-deleted users
+ */
+userSchema.statics.findDeleted = function() {
+  return this.find({ deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
+};
+
+/**
+ * Static Method: Find Suggestion Candidates
+ * Returns users sharing at least one autocomplete key with the query,
+ * those sharing the most keys first
+ * Only the first scanLimit matches are scored, so short, common prefixes
+ * cannot make a request sort a large share of the collection
+ * @param {Array<String>} keys - Query keys from buildQueryKeys
+ * @param {Number} limit - Maximum candidates
+ * @param {Number} scanLimit - Maximum matches scored
+ * @returns {Promise<Array<Object>>} Candidates ({ _id, name, email })
+ */
+userSchema.statics.findSuggestCandidates = function(keys, limit, scanLimit) {
+  return this.aggregate([
+    { $match: { suggestKeys: { $in: keys } } },
+    { $limit: scanLimit },
+    {
+      $project: {
+        name: 1,
+        email: 1,
+        hits: { $size: { $setIntersection: ['$suggestKeys', keys] } }
+      }
+    },
+    { $sort: { hits: -1, name: 1 } },
+    { $limit: limit }
+  ]);
+};
+
+/**
+ * Static Method: Backfill Suggest Keys
+ * Builds autocomplete keys for users saved before they existed
+ * Safe to run repeatedly; only users without keys are touched
+ * @returns {Promise<Number>} Number of users updated
+ */
+userSchema.statics.backfillSuggestKeys = async function() {
+  const cursor = this.find({ suggestKeys: { $exists: false } })
+    .setOptions({ withDeleted: true })
+    .select('name email')
+    .lean()
+    .cursor();
+  
+  let updated = 0;
+  let batch = [];
+  for await (const user of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: user._id },
+        update: { $set: { suggestKeys: buildSuggestKeys(user) } }
+      }
+    });
+    if (batch.length === 500) {
+      await this.bulkWrite(batch);
+      updated += batch.length;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await this.bulkWrite(batch);
+    updated += batch.length;
+  }
+  
+  return updated;
+};
+
+/**
+ * Static Method: Replace Hobby
+ * Renames a hobby on every user listing it (catalog renames and merges),
+ * soft-deleted users included; users already listing the replacement
+ * simply lose the old entry
+ * @param {String} from - Hobby to replace
+ * @param {String} to - Replacement hobby
+ * @returns {Promise<Number>} Number of users changed
+ */
+userSchema.statics.replaceHobby = async function(from, to) {
+  if (from === to) return 0;
+  
+  const merged = await this.updateMany(
+    { $and: [{ hobbies: from }, { hobbies: to }] },
+    { $pull: { hobbies: from }, $inc: { revision: 1, profileScore: -POINTS_PER_HOBBY } }
+  ).setOptions({ withDeleted: true });
+  
+  const renamed = await this.updateMany(
+    { hobbies: from },
+    { $set: { 'hobbies.$[hobby]': to }, $inc: { revision: 1 } },
+    { arrayFilters: [{ hobby: from }] }
+  ).setOptions({ withDeleted: true });
+  
+  return merged.modifiedCount + renamed.modifiedCount;
+};
+
 /**
  * Static Method: Find Users by Age Range
  * Returns users within specified age range
@@ -249,17 +494,28 @@ userSchema.statics.findByHobby = function(hobby) {
 /**
  * Pre-save Middleware
  * Runs before saving a document
- * Updates profile score automatically
+ * Updates profile score and hashes the password when it changes
  */
 userSchema.pre('save', async function(next) {
   // Update profile score before saving
-  await this.updateProfileScore();
+  // (calculated in place - calling save() here would re-enter this hook)
+  this.profileScore = this.calculateProfileScore();
+  
+  // Hash the password only when it was set or changed
+  if (this.isModified('password') && this.password) {
+    this.password = await bcrypt.hash(this.password, authConfig.bcryptRounds);
+  }
   
   // Ensure email is lowercase
   if (this.email) {
     this.email = this.email.toLowerCase();
   }
   
+  // Keep the autocomplete keys in sync with the fields they are built from
+  if (this.isNew || this.isModified('name') || this.isModified('email')) {
+    this.suggestKeys = buildSuggestKeys(this);
+  }
+  
   next();
 });
 
@@ -282,6 +538,48 @@ userSchema.pre('remove', function(next) {
   next();
 });
 
+/**
+ * Soft Delete Query Middleware
+ * Hides soft-deleted users from queries and updates by default
+ * A query opts out by filtering on deletedAt itself (e.g. the trash listing)
+ * or by setting the withDeleted option: User.findOne(filter).setOptions({ withDeleted: true })
+ */
+userSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'updateOne', 'updateMany'], function() {
+  if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) {
+    return;
+  }
+  this.where({ deletedAt: null });
+});
+
+/**
+ * Soft Delete Aggregate Middleware
+ * Prepends a stage that excludes soft-deleted users from every aggregation
+ * (unless the pipeline already starts by matching on deletedAt)
+ * A $text match must stay the first stage, so the condition is merged into it
+ */
+userSchema.pre('aggregate', function() {
+  const [firstStage] = this.pipeline();
+  if (firstStage && firstStage.$match && firstStage.$match.deletedAt !== undefined) {
+    return;
+  }
+  if (firstStage && firstStage.$match && firstStage.$match.$text !== undefined) {
+    firstStage.$match.deletedAt = null;
+    return;
+  }
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+/**
+ * Cache Invalidation Middleware
+ * Every write to users clears the caches derived from them (see utils/cache.js)
+ */
+userSchema.post('save', function() {
+  invalidateUserCaches();
+});
+userSchema.post(['findOneAndUpdate', 'findOneAndDelete', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany'], function() {
+  invalidateUserCaches();
+});
+
 /**
  * Indexes for Performance Optimization
  * Creates indexes on frequently queried fields
@@ -291,6 +589,12 @@ userSchema.index({ name: 1 }); // Index for name search
 userSchema.index({ age: 1 }); // Index for age-based queries
 userSchema.index({ hobbies: 1 }); // Index for hobby-based queries
 userSchema.index({ isActive: 1 }); // Index for active status queries
+userSchema.index({ deletedAt: 1 }); // Index for soft delete filtering and the trash
+userSchema.index({ suggestKeys: 1 }); // Multikey index for autocomplete lookups
+userSchema.index(
+  { name: 'text', email: 'text', hobbies: 'text' },
+  { name: 'user_text_search', weights: { name: 10, hobbies: 5, email: 2 } }
+); // Weighted full-text index for relevance-ranked search
 
 // Create and export the User model
 const User = mongoose.model('User', userSchema);
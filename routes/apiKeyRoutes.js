@@ -0,0 +1,71 @@
+// routes/apiKeyRoutes.js
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const { requireAuth } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { validate } = require('../middleware/validate');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+/**
+ * API Key Routes
+ * Admin endpoints for managing service-to-service API keys
+ * Params, query and body schemas are declared here (see middleware/validate.js)
+ */
+
+// Only signed-in admins may manage API keys
+router.use(requireAuth, authorize('apiKeys:manage'));
+
+/**
+ * Request Schemas
+ */
+const listApiKeysSchema = {
+  query: {
+    includeRevoked: { type: 'boolean', default: false }
+  }
+};
+
+const createApiKeySchema = {
+  body: {
+    name: { type: 'string', trim: true, required: true },
+    scopes: { type: 'array', required: true, items: { type: 'string', enum: API_KEY_SCOPES } },
+    expiresAt: { type: 'date', nullable: true }
+  }
+};
+
+const apiKeyIdSchema = {
+  params: {
+    id: { type: 'objectId', required: true }
+  }
+};
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    List API keys
+ * @access  Private (admin)
+ * @query   {Boolean} includeRevoked - Include revoked keys (default: false)
+ * @returns {Array} API keys without secrets
+ */
+router.get('/', validate(listApiKeysSchema), apiKeyController.getApiKeys);
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create an API key
+ * @access  Private (admin)
+ * @body    {String} name - Label for the key (required)
+ * @body    {Array} scopes - Granted scopes: users:read, users:write, users:stats (required)
+ * @body    {Date} expiresAt - Expiry date (optional, default: never)
+ * @returns {Object} Created key, including the full key value (shown once)
+ */
+router.post('/', validate(createApiKeySchema), apiKeyController.createApiKey);
+
+/**
+ * @route   DELETE /api/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (admin)
+ * @param   {String} id - API key ID (required)
+ * @returns {Object} Revoked key
+ */
+router.delete('/:id', validate(apiKeyIdSchema), apiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// routes/auditRoutes.js
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { requireAuth } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { validate, paginationQuery } = require('../middleware/validate');
+const AuditEvent = require('../models/AuditEvent');
+
+/**
+ * Audit Routes
+ * Read-only access to the audit trail of user changes
+ * Query schemas are declared here (see middleware/validate.js)
+ */
+
+/**
+ * Request Schemas
+ */
+const listAuditEventsSchema = {
+  query: {
+    ...paginationQuery(20, 100),
+    actor: { type: 'objectId' },
+    action: { type: 'array', items: { type: 'string', enum: AuditEvent.schema.path('action').enumValues } },
+    entityId: { type: 'objectId' },
+    from: { type: 'date' },
+    to: { type: 'date' }
+  }
+};
+
+/**
+ * @route   GET /api/audit
+ * @desc    List audit events, newest first
+ * @access  Private (admin)
+ * @query   {String} actor - Actor ID (user or API key) (optional)
+ * @query   {String} action - create/update/delete/restore/purge, comma-separated (optional)
+ * @query   {String} entityId - ID of the changed user (optional)
+ * @query   {Date} from - Earliest event date, inclusive (optional)
+ * @query   {Date} to - Latest event date, inclusive (optional)
+ * @query   {Number} page - Page number (default: 1)
+ * @query   {Number} limit - Results per page (default: 20, max: 100)
+ * @returns {Array} Audit events with pagination metadata
+ */
+router.get('/', requireAuth, authorize('audit:read'), validate(listAuditEventsSchema), auditController.getAuditEvents);
+
+module.exports = router;
@@ -0,0 +1,85 @@
+// routes/authRoutes.js
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { requireAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+
+/**
+ * Auth Routes
+ * Defines endpoints for registering accounts and obtaining access tokens
+ * Body schemas are declared here (see middleware/validate.js)
+ */
+
+// Registration and login share a per-IP budget against password guessing
+const limitCredentialAttempts = rateLimit('auth:login');
+
+/**
+ * Request Schemas
+ * Field formats and limits beyond these types are enforced by the User schema
+ */
+const registerSchema = {
+  body: {
+    name: { type: 'string', trim: true, required: true },
+    email: { type: 'string', trim: true, lowercase: true, required: true },
+    password: { type: 'string', required: true },
+    age: { type: 'integer', nullable: true },
+    hobbies: { type: 'array', items: { type: 'string', trim: true } }
+  }
+};
+
+const loginSchema = {
+  body: {
+    email: { type: 'string', trim: true, lowercase: true, required: true },
+    password: { type: 'string', required: true }
+  }
+};
+
+const refreshSchema = {
+  body: {
+    refreshToken: { type: 'string', required: true }
+  }
+};
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Register a new account
+ * @access  Public
+ * @body    {String} name - User's name (required)
+ * @body    {String} email - User's email (required, unique)
+ * @body    {String} password - Password, at least 8 characters and at most 72 bytes (required)
+ * @body    {Number} age - User's age (optional)
+ * @body    {Array} hobbies - User's hobbies (optional)
+ * @returns {Object} Created user, access token and refresh token (429 after too many attempts)
+ */
+router.post('/register', limitCredentialAttempts, validate(registerSchema), authController.register);
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Exchange email and password for an access token and start a device session
+ * @access  Public
+ * @body    {String} email - User's email (required)
+ * @body    {String} password - User's password (required)
+ * @returns {Object} User, access token and refresh token (429 after too many attempts)
+ */
+router.post('/login', limitCredentialAttempts, validate(loginSchema), authController.login);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+ * @access  Public
+ * @body    {String} refreshToken - Current refresh token (required)
+ * @returns {Object} New access token and refresh token
+ */
+router.post('/refresh', validate(refreshSchema), authController.refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the current device session
+ * @access  Private
+ * @returns {Object} Confirmation message
+ */
+router.post('/logout', requireAuth, authController.logout);
+
+module.exports = router;
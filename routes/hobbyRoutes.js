@@ -0,0 +1,123 @@
+// routes/hobbyRoutes.js
+const express = require('express');
+const router = express.Router();
+const hobbyController = require('../controllers/hobbyController');
+const { requireAuth } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { validate, paginationQuery } = require('../middleware/validate');
+const Hobby = require('../models/Hobby');
+
+/**
+ * Hobby Routes
+ * The catalog of canonical hobbies user hobbies are normalized to
+ * Params, query and body schemas are declared here (see middleware/validate.js)
+ */
+
+// All catalog routes require authentication
+router.use(requireAuth);
+
+/**
+ * Request Schemas
+ * Name and synonym lengths are enforced by the Hobby schema
+ */
+const HOBBY_STATUSES = Hobby.schema.path('status').enumValues;
+
+const hobbyIdParams = {
+  id: { type: 'objectId', required: true }
+};
+
+const hobbyBody = {
+  name: { type: 'string', trim: true },
+  category: { type: 'string', trim: true },
+  synonyms: { type: 'array', items: { type: 'string', trim: true } },
+  status: { type: 'string', enum: HOBBY_STATUSES }
+};
+
+const listHobbiesSchema = {
+  query: {
+    ...paginationQuery(50, 200),
+    q: { type: 'string', trim: true },
+    status: { type: 'string', enum: HOBBY_STATUSES },
+    category: { type: 'string', trim: true }
+  }
+};
+
+const hobbyIdSchema = {
+  params: hobbyIdParams
+};
+
+const createHobbySchema = {
+  body: {
+    ...hobbyBody,
+    name: { ...hobbyBody.name, required: true }
+  }
+};
+
+const updateHobbySchema = {
+  params: hobbyIdParams,
+  body: hobbyBody
+};
+
+const deleteHobbySchema = {
+  params: hobbyIdParams,
+  query: {
+    mergeInto: { type: 'objectId' }
+  }
+};
+
+/**
+ * @route   GET /api/hobbies
+ * @desc    List catalog entries
+ * @access  Private (any signed-in user)
+ * @query   {String} q - Prefix of a name or synonym (any spelling)
+ * @query   {String} status - approved or pending
+ * @query   {String} category - Category filter
+ * @query   {Number} page - Page number (default: 1)
+ * @query   {Number} limit - Results per page (default: 50, max: 200)
+ * @returns {Array} Hobbies with pagination metadata
+ */
+router.get('/', authorize('hobbies:read'), validate(listHobbiesSchema), hobbyController.getHobbies);
+
+/**
+ * @route   GET /api/hobbies/:id
+ * @desc    Get a catalog entry
+ * @access  Private (any signed-in user)
+ * @param   {String} id - Hobby ID (required)
+ * @returns {Object} Hobby
+ */
+router.get('/:id', authorize('hobbies:read'), validate(hobbyIdSchema), hobbyController.getHobbyById);
+
+/**
+ * @route   POST /api/hobbies
+ * @desc    Add a catalog entry
+ * @access  Private (admin)
+ * @body    {String} name - Canonical name (required, 2-50 characters)
+ * @body    {String} category - Category (optional, default: Other)
+ * @body    {Array} synonyms - Alternative spellings (optional)
+ * @body    {String} status - approved or pending (optional, default: approved)
+ * @returns {Object} Created hobby (409 if the name or a synonym is taken)
+ */
+router.post('/', authorize('hobbies:manage'), validate(createHobbySchema), hobbyController.createHobby);
+
+/**
+ * @route   PATCH /api/hobbies/:id
+ * @desc    Update a catalog entry; a new name is applied to every user listing the hobby
+ * @access  Private (admin)
+ * @param   {String} id - Hobby ID (required)
+ * @body    {String} name, category, status - Fields to change (optional)
+ * @body    {Array} synonyms - Replacement list of synonyms (optional)
+ * @returns {Object} Updated hobby and the number of users renamed
+ */
+router.patch('/:id', authorize('hobbies:manage'), validate(updateHobbySchema), hobbyController.updateHobby);
+
+/**
+ * @route   DELETE /api/hobbies/:id
+ * @desc    Remove a catalog entry, or merge it into another one
+ * @access  Private (admin)
+ * @param   {String} id - Hobby ID (required)
+ * @query   {String} mergeInto - ID of the entry to merge into (required if users list the hobby)
+ * @returns {Object} Deleted hobby, or the merge target and the number of users moved
+ */
+router.delete('/:id', authorize('hobbies:manage'), validate(deleteHobbySchema), hobbyController.deleteHobby);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+// routes/index.js
+const authRoutes = require('./authRoutes');
+const userRoutes = require('./userRoutes');
+const apiKeyRoutes = require('./apiKeyRoutes');
+const auditRoutes = require('./auditRoutes');
+const hobbyRoutes = require('./hobbyRoutes');
+
+/**
+ * API Route Table
+ * Every router mounted under the API prefix, in mounting order
+ * server.js mounts them, and the OpenAPI document, the root route and the
+ * startup banner are all generated from this list
+ */
+
+/**
+ * Prefix shared by every API route (e.g. /api/users); versions are mounted
+ * below it (/api/v1/users), so a version left in an older API_PREFIX
+ * setting (API_PREFIX=/api/v1) is dropped
+ */
+const API_PREFIX = (process.env.API_PREFIX || '/api').replace(/\/v\d+\/?$/, '');
+
+/**
+ * @property {String} path - Mount path below API_PREFIX
+ * @property {String} name - Key in the root route's endpoint list
+ * @property {String} tag - OpenAPI tag for the router's operations
+ * @property {String} description - What the router is for
+ * @property {Router} router - Express router
+ */
+const apiRouters = [
+  {
+    path: '/auth',
+    name: 'auth',
+    tag: 'Auth',
+    description: 'Registration, login and token refresh',
+    router: authRoutes
+  },
+  {
+    path: '/users',
+    name: 'users',
+    tag: 'Users',
+    description: 'User management; every route requires a bearer access token or an API key',
+    router: userRoutes
+  },
+  {
+    path: '/api-keys',
+    name: 'apiKeys',
+    tag: 'API Keys',
+    description: 'API keys for service clients (admin only)',
+    router: apiKeyRoutes
+  },
+  {
+    path: '/audit',
+    name: 'audit',
+    tag: 'Audit',
+    description: 'Audit trail of user changes (admin only)',
+    router: auditRoutes
+  },
+  {
+    path: '/hobbies',
+    name: 'hobbies',
+    tag: 'Hobbies',
+    description: 'Catalog of canonical hobbies (managed by admins)',
+    router: hobbyRoutes
+  }
+];
+
+module.exports = { API_PREFIX, apiRouters };
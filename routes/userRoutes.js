@@ -2,19 +2,214 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const sessionController = require('../controllers/sessionController');
+const auditController = require('../controllers/auditController');
+const { requireAuth } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { requireIfMatch } = require('../middleware/conditional');
+const { cacheControl, cacheResponse } = require('../middleware/httpCache');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validate, paginationQuery } = require('../middleware/validate');
+const { ROLES } = require('../config/permissions');
+const { INTERVALS } = require('../utils/timeBuckets');
+const { EXPORT_FORMATS } = require('../utils/userExport');
 
 /**
  * User Routes
  * Defines REST API endpoints for user operations
  * Follows RESTful conventions and includes proper HTTP methods
+ * Role requirements per route are declared in config/permissions.js,
+ * rate limits for expensive routes in config/rateLimit.js; params, query
+ * and body schemas are declared here (see middleware/validate.js)
  */
 
+// Every user route requires a valid access token or API key
+router.use(requireAuth);
+
+/**
+ * Picks the policy for DELETE /:id: soft deletes use users:delete,
+ * permanent purges (?hard=true) use users:purge
+ */
+const authorizeSoftDelete = authorize('users:delete');
+const authorizePurge = authorize('users:purge');
+const authorizeDelete = (req, res, next) => {
+  const check = req.query.hard === 'true' ? authorizePurge : authorizeSoftDelete;
+  return check(req, res, next);
+};
+
+/**
+ * Request Schemas
+ * Shared rules first, then one schema per route; values are coerced
+ * before the controllers run, and failures are a 400 listing each field
+ */
+const userIdParams = {
+  id: { type: 'objectId', required: true }
+};
+
+// Sparse fieldsets, checked against the selectable fields by the controller
+const fieldsetQuery = {
+  fields: { type: 'string' },
+  exclude: { type: 'string' }
+};
+
+// Filters shared by the list, export and statistics routes
+const userFilterQuery = {
+  name: { type: 'string', trim: true },
+  email: { type: 'string', trim: true },
+  minAge: { type: 'integer', min: 0 },
+  maxAge: { type: 'integer', min: 0 },
+  hobby: { type: 'string', trim: true },
+  isActive: { type: 'boolean' },
+  filter: { type: 'object' }
+};
+
+// Field formats and limits beyond these types are enforced by the User schema
+const userBody = {
+  name: { type: 'string', trim: true, required: true },
+  email: { type: 'string', trim: true, lowercase: true, required: true },
+  age: { type: 'integer', nullable: true },
+  hobbies: { type: 'array', items: { type: 'string', trim: true } },
+  role: { type: 'string', enum: ROLES }
+};
+
+const listUsersSchema = {
+  query: {
+    ...userFilterQuery,
+    ...fieldsetQuery,
+    ...paginationQuery(10, 100),
+    cursor: { type: 'string' },
+    withTotal: { type: 'boolean', default: false },
+    sort: { type: 'string' },
+    sortBy: { type: 'string' },
+    order: { type: 'string', enum: ['asc', 'desc'] }
+  }
+};
+
+const exportUsersSchema = {
+  query: {
+    ...userFilterQuery,
+    format: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' },
+    fields: { type: 'string' }
+  }
+};
+
+const searchUsersSchema = {
+  query: {
+    ...fieldsetQuery,
+    ...paginationQuery(20, 50),
+    q: { type: 'string', trim: true, required: true },
+    field: { type: 'string', enum: ['all', 'name', 'email', 'hobby'], default: 'all' },
+    mode: { type: 'string', enum: ['text', 'literal'] }
+  }
+};
+
+const suggestUsersSchema = {
+  query: {
+    q: { type: 'string', trim: true, required: true, maxLength: 100 },
+    limit: { type: 'integer', min: 1, max: 20, default: 8 }
+  }
+};
+
+const userStatsSchema = {
+  query: userFilterQuery
+};
+
+const userTimeseriesSchema = {
+  query: {
+    ...userFilterQuery,
+    metric: { type: 'string', enum: ['signups', 'activations', 'deactivations'], default: 'signups' },
+    interval: { type: 'string', enum: INTERVALS, default: 'day' },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    tz: { type: 'string', trim: true, default: 'UTC' }
+  }
+};
+
+const trashSchema = {
+  query: paginationQuery(10, 100)
+};
+
+const getUserSchema = {
+  params: userIdParams,
+  query: fieldsetQuery
+};
+
+const createUserSchema = {
+  body: userBody
+};
+
+const bulkUsersSchema = {
+  body: {
+    operations: { type: 'array', required: true },
+    ordered: { type: 'boolean', default: true }
+  }
+};
+
+const importUsersSchema = {
+  query: {
+    dryRun: { type: 'boolean', default: false },
+    mode: { type: 'string', enum: ['create', 'upsert'], default: 'create' },
+    map: { type: 'object' },
+    hobbySeparator: { type: 'string', default: ';' }
+  }
+};
+
+const replaceUserSchema = {
+  params: userIdParams,
+  body: {
+    ...userBody,
+    isActive: { type: 'boolean' }
+  }
+};
+
+const userIdSchema = {
+  params: userIdParams
+};
+
+const deleteUserSchema = {
+  params: userIdParams,
+  query: {
+    hard: { type: 'boolean', default: false }
+  }
+};
+
+const userHistorySchema = {
+  params: userIdParams,
+  query: paginationQuery(20, 100)
+};
+
+const addHobbySchema = {
+  params: userIdParams,
+  body: {
+    hobby: { type: 'string', trim: true, required: true }
+  }
+};
+
+const removeHobbySchema = {
+  params: {
+    ...userIdParams,
+    hobby: { type: 'string', required: true }
+  }
+};
+
+const revokeSessionSchema = {
+  params: {
+    ...userIdParams,
+    sessionId: { type: 'objectId', required: true }
+  }
+};
+
 /**
  * @route   GET /api/users
  * @desc    Get all users with pagination, sorting, and filtering
- * @access  Public
- * @query   {Number} page - Page number (default: 1)
- * @query   {Number} limit - Results per page (default: 10)
+ * @access  Private (admin, manager)
+ * @query   {Number} page - Page number (default: 1; page-number mode)
+ * @query   {String} cursor - Keyset cursor: empty for the first page, then the previous
+ *          response's nextCursor (switches to cursor mode)
+ * @query   {Boolean} withTotal - Include totalUsers in cursor mode (default: false)
+ * @query   {Number} limit - Results per page (default: 10, max: 100)
+ * @query   {String} sort - Comma-separated sort fields, '-' prefix for descending
+ *          (e.g. -profileScore,name); takes precedence over sortBy/order
  * @query   {String} sortBy - Field to sort by (default: createdAt)
  * @query   {String} order - Sort order (asc/desc, default: desc)
  * @query   {String} name - Filter by name (partial match)
@@ -23,72 +218,261 @@ const userController = require('../controllers/userController');
  * @query   {Number} maxAge - Maximum age filter
  * @query   {String} hobby - Filter by hobby
  * @query   {Boolean} isActive - Filter by active status
- * @returns {Array} List of users with pagination metadata
+ * @query   {Object} filter - Structured filters: filter[field][operator]=value
+ *          (e.g. filter[age][gte]=18, filter[hobbies][in]=chess,go), with
+ *          filter[or][n][...] groups; fields and operators per config/queryPolicies.js
+ * @query   {String} fields - Comma-separated fields to return, including the ageGroup
+ *          and profileSummary virtuals (e.g. name,email,ageGroup)
+ * @query   {String} exclude - Comma-separated fields to leave out (not with fields)
+ * @header  {String} If-None-Match, If-Modified-Since - Conditional GET; 304 if unchanged (optional)
+ * @returns {Array} List of users with pagination metadata (weak ETag and Last-Modified headers)
  */
-router.get('/', userController.getAllUsers);
+router.get('/', authorize('users:list'), validate(listUsersSchema), cacheControl('users:list'), cacheResponse, userController.getAllUsers);
+
+/**
+ * @route   GET /api/users/export
+ * @desc    Stream all users matching the filters as a file download
+ * @access  Private (admin, manager)
+ * @query   {String} format - csv, ndjson or json (default: csv)
+ * @query   {String} fields - Comma-separated columns, including the ageGroup and
+ *          profileSummary virtuals (default: id,name,email,age,hobbies,isActive,createdAt)
+ * @query   {String} name, email, minAge, maxAge, hobby, isActive, filter - Same filters as GET /api/users
+ * @returns {Stream} Users in the requested format (daily quota per caller, see config/rateLimit.js)
+ */
+router.get('/export', authorize('users:export'), validate(exportUsersSchema), rateLimit('users:export'), userController.exportUsers);
 
 /**
  * @route   GET /api/users/search
- * @desc    Search users by name, email, or hobbies
- * @access  Public
- * @query   {String} q - Search query (required)
+ * @desc    Relevance-ranked search over name, email and hobbies, with highlighted matches
+ * @access  Private (admin, manager)
+ * @query   {String} q - Search query (required); text mode supports "exact phrases" and -negation
  * @query   {String} field - Search field (name/email/hobby/all, default: all)
- * @returns {Array} List of matching users
+ * @query   {String} mode - text (ranked by score) or literal (escaped substring);
+ *          default: text for field=all, literal otherwise
+ * @query   {Number} page - Page number (default: 1)
+ * @query   {Number} limit - Results per page (default: 20, max: 50)
+ * @query   {String} fields - Comma-separated fields to return, including the ageGroup
+ *          and profileSummary virtuals (e.g. name,email,ageGroup)
+ * @query   {String} exclude - Comma-separated fields to leave out (not with fields)
+ * @header  {String} If-None-Match, If-Modified-Since - Conditional GET; 304 if unchanged (optional)
+ * @returns {Array} Matching users with score and highlights, plus pagination metadata
+ *          (token bucket per caller; 429 with Retry-After when exhausted)
  */
-router.get('/search', userController.searchUsers);
+router.get('/search', authorize('users:search'), validate(searchUsersSchema), rateLimit('users:search'), cacheControl('users:search'), cacheResponse, userController.searchUsers);
+
+/**
+ * @route   GET /api/users/suggest
+ * @desc    Typo-tolerant autocomplete on name words and email local parts
+ * @access  Private (admin, manager)
+ * @query   {String} q - Partial input, up to 100 characters and 5 words, with a word
+ *          of at least 2 characters (required)
+ * @query   {Number} limit - Maximum suggestions (default: 8, max: 20)
+ * @returns {Array} Ranked suggestions ({ id, name, email })
+ *          (token bucket per caller; 429 with Retry-After when exhausted)
+ */
+router.get('/suggest', authorize('users:suggest'), validate(suggestUsersSchema), rateLimit('users:suggest'), userController.suggestUsers);
 
 /**
  * @route   GET /api/users/stats
  * @desc    Get user statistics (counts, averages, popular hobbies, etc.)
- * @access  Public
- * @returns {Object} User statistics
+ * @access  Private (admin)
+ * @query   {String} name, email, minAge, maxAge, hobby, isActive, filter - Same filters as GET /api/users
+ * @header  {String} If-None-Match, If-Modified-Since - Conditional GET; 304 if unchanged (optional)
+ * @returns {Object} User statistics, with fromCache and cachedAt (results are cached
+ *          per filter for STATS_CACHE_TTL_SECONDS and cleared by any user write;
+ *          shares the users:stats rate limit with /stats/timeseries)
+ */
+router.get('/stats', authorize('users:stats'), validate(userStatsSchema), rateLimit('users:stats'), cacheControl('users:stats'), cacheResponse, userController.getUserStats);
+
+/**
+ * @route   GET /api/users/stats/timeseries
+ * @desc    Signups, activations or deactivations over time, with empty buckets zero-filled
+ * @access  Private (admin)
+ * @query   {String} metric - signups, activations or deactivations (default: signups)
+ * @query   {String} interval - day, week (starting Monday) or month (default: day)
+ * @query   {Date} from - Range start (default: 30 days, 26 weeks or 12 months before to)
+ * @query   {Date} to - Range end, exclusive (default: now)
+ * @query   {String} tz - IANA time zone the buckets follow (default: UTC)
+ * @query   {String} name, email, minAge, maxAge, hobby, isActive, filter - Same filters as GET /api/users
+ * @returns {Array} Buckets ({ bucket, start, count }) with series metadata
+ */
+router.get('/stats/timeseries', authorize('users:stats'), validate(userTimeseriesSchema), rateLimit('users:stats'), userController.getUserTimeseries);
+
+/**
+ * @route   GET /api/users/trash
+ * @desc    List soft-deleted users, most recently deleted first
+ * @access  Private (admin)
+ * @query   {Number} page - Page number (default: 1)
+ * @query   {Number} limit - Results per page (default: 10, max: 100)
+ * @returns {Array} Deleted users with pagination metadata
  */
-router.get('/stats', userController.getUserStats);
+router.get('/trash', authorize('users:trash'), validate(trashSchema), userController.getDeletedUsers);
 
 /**
  * @route   GET /api/users/:id
  * @desc    Get a single user by ID
- * @access  Public
+ * @access  Private (admin, manager, self)
  * @param   {String} id - User's MongoDB ID (required)
- * @returns {Object} User object
+ * @query   {String} fields - Comma-separated fields to return, including the ageGroup
+ *          and profileSummary virtuals (e.g. name,email,ageGroup)
+ * @query   {String} exclude - Comma-separated fields to leave out (not with fields)
+ * @header  {String} If-None-Match - ETag of a cached copy; 304 if still current (optional)
+ * @header  {String} If-Modified-Since - 304 if not updated since (optional; If-None-Match wins)
+ * @returns {Object} User object (ETag header carries its revision)
  */
-router.get('/:id', userController.getUserById);
+router.get('/:id', authorize('users:read'), validate(getUserSchema), cacheControl('users:read'), cacheResponse, userController.getUserById);
 
 /**
  * @route   POST /api/users
  * @desc    Create a new user
- * @access  Public
+ * @access  Private (admin)
  * @body    {Object} user - User data
  * @body    {String} user.name - User's name (required)
  * @body    {String} user.email - User's email (required, unique)
  * @body    {Number} user.age - User's age (optional)
- * @body    {Array} user.hobbies - User's hobbies (optional)
+ * @body    {Array} user.hobbies - User's hobbies (optional; normalized to catalog names,
+ *          unknown hobbies are 422 in strict mode, added as pending in lenient mode)
+ * @body    {String} user.role - User's role (optional, default: user)
  * @returns {Object} Created user object
  */
-router.post('/', userController.createUser);
+router.post('/', authorize('users:create'), validate(createUserSchema), userController.createUser);
+
+/**
+ * @route   POST /api/users/bulk
+ * @desc    Create, update and delete many users in one request, with a result per item
+ * @access  Private (admin)
+ * @body    {Array} operations - Operations to apply (required, max BULK_MAX_OPERATIONS, default 500)
+ *          { op: 'create', data } | { op: 'update', id, data, ifMatch } | { op: 'delete', id }
+ * @body    {Boolean} ordered - Stop at the first failure (default: true); false attempts every item
+ * @returns {Object} Per-item results (status, id, errors) and a summary; 207 if any item failed
+ */
+router.post('/bulk', authorize('users:bulk'), validate(bulkUsersSchema), userController.bulkUsers);
+
+/**
+ * @route   POST /api/users/import
+ * @desc    Import users from a streamed CSV or NDJSON upload, with a row-by-row report
+ * @access  Private (admin)
+ * @header  {String} Content-Type - text/csv (header row required) or application/x-ndjson
+ * @query   {Boolean} dryRun - Validate and report without writing (default: false)
+ * @query   {String} mode - create (existing emails are errors) or upsert (update by email) (default: create)
+ * @query   {Object} map - Column mapping, e.g. map[Full Name]=name&map[E-mail]=email
+ * @query   {String} hobbySeparator - Separator for hobbies in a CSV cell (default: ;)
+ * @returns {Object} Per-row results and a summary (max IMPORT_MAX_ROWS rows, default 10000)
+ */
+router.post('/import', authorize('users:import'), validate(importUsersSchema), userController.importUsers);
 
 /**
  * @route   PUT /api/users/:id
- * @desc    Update an existing user by ID
- * @access  Public
+ * @desc    Replace an existing user's profile by ID
+ *          Omitted profile fields are reset to defaults; role and isActive are kept unless sent
+ * @access  Private (admin, manager, self; isActive and role are admin only)
  * @param   {String} id - User's MongoDB ID (required)
- * @body    {Object} updates - Fields to update
- * @body    {String} updates.name - Updated name (optional)
- * @body    {String} updates.email - Updated email (optional, unique)
- * @body    {Number} updates.age - Updated age (optional)
- * @body    {Array} updates.hobbies - Updated hobbies (optional)
- * @body    {Boolean} updates.isActive - Updated active status (optional)
+ * @body    {Object} user - Full user representation
+ * @body    {String} user.name - User's name (required)
+ * @body    {String} user.email - User's email (required, unique)
+ * @body    {Number} user.age - User's age (optional, reset to null if omitted)
+ * @body    {Array} user.hobbies - User's hobbies (optional, reset to [] if omitted;
+ *          normalized to catalog names like POST /api/users)
+ * @body    {Boolean} user.isActive - Active status (optional, admin only; false revokes all sessions)
+ * @body    {String} user.role - Role (optional, admin only)
+ * @header  {String} If-Match - ETag from a previous read; 412 if stale (required when REQUIRE_IF_MATCH=true)
  * @returns {Object} Updated user object
  */
-router.put('/:id', userController.updateUser);
+router.put('/:id', authorize('users:update'), validate(replaceUserSchema), requireIfMatch, userController.updateUser);
+
+/**
+ * @route   PATCH /api/users/:id
+ * @desc    Partially update a user by ID
+ * @access  Private (admin, manager, self; isActive and role are admin only)
+ * @param   {String} id - User's MongoDB ID (required)
+ * @header  {String} Content-Type - application/merge-patch+json (RFC 7396, also plain
+ *          application/json) or application/json-patch+json (RFC 6902)
+ * @body    {Object|Array} patch - Merge patch object (null removes a field) or
+ *          JSON Patch operations, e.g. [{ "op": "add", "path": "/hobbies/-", "value": "chess" }]
+ * @header  {String} If-Match - ETag from a previous read; 412 if stale (required when REQUIRE_IF_MATCH=true)
+ * @returns {Object} Updated user object
+ */
+router.patch('/:id', authorize('users:update'), validate(userIdSchema), requireIfMatch, userController.patchUser);
 
 /**
  * @route   DELETE /api/users/:id
- * @desc    Delete a user by ID
- * @access  Public
+ * @desc    Soft-delete a user by ID (moves it to the trash; the email stays reserved)
+ * @access  Private (admin; API keys with users:write may soft-delete but never purge)
+ * @param   {String} id - User's MongoDB ID (required)
+ * @query   {Boolean} hard - Permanently purge the user instead (default: false)
+ * @header  {String} If-Match - ETag from a previous read; 412 if stale (required when REQUIRE_IF_MATCH=true)
+ * @returns {Object} Deleted user object (all of the user's sessions are revoked)
+ */
+router.delete('/:id', authorizeDelete, validate(deleteUserSchema), requireIfMatch, userController.deleteUser);
+
+/**
+ * @route   POST /api/users/:id/restore
+ * @desc    Restore a soft-deleted user from the trash
+ * @access  Private (admin)
+ * @param   {String} id - User's MongoDB ID (required)
+ * @returns {Object} Restored user object
+ */
+router.post('/:id/restore', authorize('users:restore'), validate(userIdSchema), userController.restoreUser);
+
+/**
+ * @route   GET /api/users/:id/history
+ * @desc    Change history of a user (who changed which fields, and when), newest first
+ * @access  Private (admin, manager, self)
+ * @param   {String} id - User's MongoDB ID (required)
+ * @query   {Number} page - Page number (default: 1)
+ * @query   {Number} limit - Results per page (default: 20, max: 100)
+ * @returns {Array} Audit events with pagination metadata
+ */
+router.get('/:id/history', authorize('users:history'), validate(userHistorySchema), auditController.getUserHistory);
+
+/**
+ * @route   GET /api/users/:id/hobbies
+ * @desc    List a user's hobbies
+ * @access  Private (admin, manager, self)
+ * @param   {String} id - User's MongoDB ID (required)
+ * @header  {String} If-None-Match - ETag of a cached copy; 304 if still current (optional)
+ * @returns {Array} Hobbies (ETag header carries the user's revision)
+ */
+router.get('/:id/hobbies', authorize('users:read'), validate(userIdSchema), userController.getUserHobbies);
+
+/**
+ * @route   POST /api/users/:id/hobbies
+ * @desc    Add a hobby (atomic, safe alongside concurrent edits; existing hobbies are a no-op)
+ * @access  Private (admin, manager, self)
+ * @param   {String} id - User's MongoDB ID (required)
+ * @body    {String} hobby - Hobby to add (2-50 characters)
+ * @returns {Array} Updated hobbies (201 if added, 200 if already listed, 422 at the 10-hobby
+ *          limit or, in strict catalog mode, for hobbies outside the catalog)
+ */
+router.post('/:id/hobbies', authorize('users:update'), validate(addHobbySchema), userController.addUserHobby);
+
+/**
+ * @route   DELETE /api/users/:id/hobbies/:hobby
+ * @desc    Remove a hobby (atomic)
+ * @access  Private (admin, manager, self)
+ * @param   {String} id - User's MongoDB ID (required)
+ * @param   {String} hobby - Hobby to remove (URL-encoded; any catalog spelling)
+ * @returns {Array} Updated hobbies
+ */
+router.delete('/:id/hobbies/:hobby', authorize('users:update'), validate(removeHobbySchema), userController.removeUserHobby);
+
+/**
+ * @route   GET /api/users/:id/sessions
+ * @desc    List a user's active device sessions
+ * @access  Private (admin, self)
+ * @param   {String} id - User's MongoDB ID (required)
+ * @returns {Array} Active sessions, most recently used first
+ */
+router.get('/:id/sessions', authorize('sessions:list'), validate(userIdSchema), sessionController.listSessions);
+
+/**
+ * @route   DELETE /api/users/:id/sessions/:sessionId
+ * @desc    Revoke one of a user's device sessions
+ * @access  Private (admin, self)
  * @param   {String} id - User's MongoDB ID (required)
- * @returns {Object} Deleted user object
+ * @param   {String} sessionId - Session ID (required)
+ * @returns {Object} Revoked session
  */
-router.delete('/:id', userController.deleteUser);
+router.delete('/:id/sessions/:sessionId', authorize('sessions:revoke'), validate(revokeSessionSchema), sessionController.revokeSession);
 
 module.exports = router;
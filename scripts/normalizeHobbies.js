@@ -0,0 +1,130 @@
+// scripts/normalizeHobbies.js
+/**
+ * Hobby Normalization Migration
+ * Rewrites every user's hobbies to their canonical catalog names, merging
+ * duplicates that differ only in case, spacing or punctuation. Hobbies not
+ * in the catalog yet are added as pending entries for review.
+ * Safe to run repeatedly; users already normalized are left untouched.
+ *
+ * Usage:
+ *   npm run migrate:hobbies               Apply changes
+ *   npm run migrate:hobbies -- --dry-run  Report what would change
+ */
+
+// Load environment variables from .env file
+require('dotenv').config({ path: './config/.env' });
+
+const database = require('../config/database');
+const User = require('../models/User');
+const Hobby = require('../models/Hobby');
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Fields the migration reads (the profile score also depends on name, email and age)
+ */
+const USER_FIELDS = 'name email age hobbies revision';
+
+/**
+ * Attempts per user; each retry follows a concurrent edit of that user
+ */
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Normalizes one user's hobbies
+ * The update is conditional on the revision, so a concurrent edit is never
+ * overwritten; the user is then reloaded and normalized again
+ * @param {User} user - User document
+ * @param {Set} unknown - Collects hobbies not in the catalog
+ * @returns {Promise<String>} unchanged, changed or conflict (still edited concurrently after MAX_ATTEMPTS)
+ */
+async function normalizeUser(user, unknown) {
+  let current = user;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const before = current.hobbies.toObject();
+    
+    // A dry run only looks hobbies up; it never adds pending entries
+    const result = await Hobby.resolveNames(before, { mode: dryRun ? 'strict' : 'lenient' });
+    result.unknown.forEach(hobby => unknown.add(hobby));
+    const hobbies = [...result.hobbies, ...result.unknown];
+    
+    if (JSON.stringify(hobbies) === JSON.stringify(before)) {
+      return 'unchanged';
+    }
+    
+    console.log(`   ${current.email}: ${JSON.stringify(before)} -> ${JSON.stringify(hobbies)}`);
+    if (dryRun) {
+      return 'changed';
+    }
+    
+    current.hobbies = hobbies;
+    const { matchedCount } = await User.updateOne(
+      { _id: current._id, revision: current.revision },
+      { $set: { hobbies, profileScore: current.calculateProfileScore() }, $inc: { revision: 1 } }
+    ).setOptions({ withDeleted: true });
+    if (matchedCount === 1) {
+      return 'changed';
+    }
+    
+    // Edited since it was read: start again from its current hobbies
+    current = await User.findById(user._id).setOptions({ withDeleted: true }).select(USER_FIELDS);
+    if (!current) {
+      return 'unchanged'; // Purged in the meantime
+    }
+  }
+  return 'conflict';
+}
+
+/**
+ * Normalizes the hobbies of every user (soft-deleted users included)
+ * @returns {Promise<Object>} { scanned, changed, skipped, unknown } - skipped lists
+ *          the emails of users left as they were because of concurrent edits
+ */
+async function normalizeHobbies() {
+  const cursor = User.find()
+    .setOptions({ withDeleted: true })
+    .select(USER_FIELDS)
+    .cursor();
+  
+  let scanned = 0;
+  let changed = 0;
+  const skipped = [];
+  const unknown = new Set();
+  
+  for await (const user of cursor) {
+    scanned++;
+    const outcome = await normalizeUser(user, unknown);
+    if (outcome === 'changed') {
+      changed++;
+    } else if (outcome === 'conflict') {
+      skipped.push(user.email);
+    }
+  }
+  
+  return { scanned, changed, skipped, unknown: [...unknown] };
+}
+
+async function main() {
+  console.log(`🎯 Normalizing user hobbies${dryRun ? ' (dry run)' : ''}...`);
+  await database.connect();
+  
+  try {
+    const { scanned, changed, skipped, unknown } = await normalizeHobbies();
+    console.log(`✅ ${scanned} users scanned, ${changed} ${dryRun ? 'would change' : 'updated'}`);
+    if (skipped.length > 0) {
+      console.log(`⚠️ ${skipped.length} users skipped, still being edited after ${MAX_ATTEMPTS} attempts (run again to normalize them): ${skipped.join(', ')}`);
+    }
+    if (unknown.length > 0) {
+      console.log(`🆕 ${unknown.length} hobbies not in the catalog${dryRun ? ' (would be added as pending)' : ''}: ${unknown.join(', ')}`);
+    }
+  } finally {
+    await database.disconnect();
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Hobby normalization failed:', error.message);
+    process.exit(1);
+  });
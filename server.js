@@ -13,13 +13,30 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const morgan = require('morgan');
+const swaggerUiDist = require('swagger-ui-dist');
 const database = require('./config/database');
-const userRoutes = require('./routes/userRoutes');
+const User = require('./models/User');
+const authConfig = require('./config/auth');
+const httpConfig = require('./config/http');
+const hobbyConfig = require('./config/hobbies');
+const cacheConfig = require('./config/cache');
+const rateLimitConfig = require('./config/rateLimit');
+const apiVersionConfig = require('./config/apiVersions');
+const { API_PREFIX, apiRouters } = require('./routes/index');
+const docsController = require('./controllers/docsController');
+const { listRoutes, readRouteDocs } = require('./utils/openapi');
+const { authenticateApiKey } = require('./middleware/auth');
+const { requestId } = require('./middleware/requestId');
+const { rateLimit } = require('./middleware/rateLimit');
+const { SUPPORTED_VERSIONS, apiVersion, negotiateApiVersion } = require('./middleware/apiVersion');
 const { notFound, errorHandler } = require('./middleware/errorHandler');
 
 // Initialize Express application
 const app = express();
 
+// Behind a reverse proxy, take the client's address from X-Forwarded-For (used for rate limiting)
+app.set('trust proxy', httpConfig.trustProxy);
+
 // ============================================
 // MIDDLEWARE CONFIGURATION
 // ============================================
@@ -31,28 +48,37 @@ const app = express();
  */
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*', // Allow all origins in development
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'If-Match', 'If-None-Match', 'If-Modified-Since', 'X-Request-Id', 'Accept-Version'],
+  exposedHeaders: ['ETag', 'Last-Modified', 'X-Cache', 'X-Request-Id', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'API-Version', 'Deprecation', 'Sunset', 'Link'], // Let browser clients read ETags for If-Match
   credentials: true // Allow cookies and authentication headers
 }));
 
 /**
- * 2. Request Logging
+ * 2. Request IDs
+ * Tags every request with an ID (echoed in X-Request-Id) for logs and audit events
+ */
+app.use(requestId);
+
+/**
+ * 3. Request Logging
  * Logs HTTP requests for debugging and monitoring
  * Uses Morgan middleware with custom format
  */
-app.use(morgan(':method :url :status :response-time ms - :res[content-length]', {
+app.use(morgan(':method :url :status :response-time ms - :res[content-length] :res[x-request-id]', {
   skip: (req) => req.url === '/health' // Skip logging for health checks
 }));
 
 /**
- * 3. Body Parsing Middleware
+ * 4. Body Parsing Middleware
  * Parses incoming request bodies in JSON format
+ * (including the merge-patch and JSON Patch media types used by PATCH)
  * Limits request size to prevent abuse
  */
 app.use(express.json({
   limit: '10mb', // Limit request body size to 10MB
-  strict: true // Only accept arrays and objects
+  strict: true, // Only accept arrays and objects
+  type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json']
 }));
 
 app.use(express.urlencoded({
@@ -60,6 +86,13 @@ app.use(express.urlencoded({
   limit: '10mb'
 }));
 
+/**
+ * 5. API Key Authentication
+ * Identifies service clients sending an X-API-Key header
+ * Requests without the header fall through to bearer token authentication
+ */
+app.use(authenticateApiKey);
+
 // ============================================
 // HEALTH CHECK ENDPOINTS
 // ============================================
@@ -107,30 +140,80 @@ app.get('/health', async (req, res) => {
  * Simple welcome message and API documentation
  */
 app.get('/', (req, res) => {
+  const latestVersion = SUPPORTED_VERSIONS[SUPPORTED_VERSIONS.length - 1];
+  const endpoints = {};
+  apiRouters.forEach(({ name, path }) => {
+    endpoints[name] = `${API_PREFIX}/${latestVersion}${path}`;
+  });
+  endpoints.health = '/health';
+  
   res.json({
     message: 'Welcome to User Management REST API',
     version: '1.0.0',
+    apiVersions: {
+      supported: SUPPORTED_VERSIONS,
+      latest: latestVersion,
+      default: apiVersionConfig.defaultVersion,
+      deprecated: SUPPORTED_VERSIONS.filter(version => apiVersionConfig.versions[version].deprecatedAt)
+    },
     documentation: {
-      endpoints: {
-        users: '/api/users',
-        health: '/health'
-      },
-      methods: ['GET', 'POST', 'PUT', 'DELETE']
+      endpoints,
+      openapi: `${API_PREFIX}/${latestVersion}/openapi.json`,
+      docs: '/docs',
+      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']
     },
     timestamp: new Date().toISOString()
   });
 });
 
+// ============================================
+// API DOCUMENTATION
+// ============================================
+
+/**
+ * Docs Page
+ * Swagger UI for the OpenAPI document, with its assets served from swagger-ui-dist
+ */
+app.get('/docs', docsController.getDocsPage);
+app.use('/docs', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
 // ============================================
 // API ROUTES
 // ============================================
 
 /**
- * User Management Routes
- * All user-related endpoints are prefixed with /api/users
+ * Global Rate Limit
+ * Every API request counts against the default policy (per API key or IP);
+ * expensive routes add their own policies in their routers
  */
-const API_PREFIX = process.env.API_PREFIX || '/api';
-app.use(`${API_PREFIX}/users`, userRoutes);
+app.use(API_PREFIX, rateLimit('default'));
+
+/**
+ * Resource Routes
+ * Auth, users, API keys, audit log and hobby catalog (see routes/index.js),
+ * plus the OpenAPI document generated from them, its validation schemas and the User model
+ */
+const versionedApi = express.Router();
+versionedApi.get('/openapi.json', docsController.getOpenApiDocument);
+apiRouters.forEach(({ path, router }) => {
+  versionedApi.use(path, router);
+});
+
+/**
+ * Versioned Routes
+ * Every version serves the same routes (/api/v1/users, /api/v2/users, ...);
+ * they differ in response contract (see utils/responseContracts.js)
+ */
+SUPPORTED_VERSIONS.forEach(version => {
+  app.use(`${API_PREFIX}/${version}`, apiVersion(version), versionedApi);
+});
+
+/**
+ * Unversioned Routes
+ * /api/users serves the version named in the Accept-Version header,
+ * or the default version for clients that send none
+ */
+app.use(API_PREFIX, negotiateApiVersion, versionedApi);
 
 // ============================================
 // ERROR HANDLING MIDDLEWARE
@@ -166,12 +249,30 @@ async function startServer() {
     console.log(`   Environment: ${process.env.NODE_ENV}`);
     console.log(`   Port: ${process.env.PORT}`);
     console.log(`   API Prefix: ${API_PREFIX}`);
+    console.log(`   API Versions: ${SUPPORTED_VERSIONS.join(', ')} (default ${apiVersionConfig.defaultVersion})`);
     console.log(`   Database URI: ${process.env.MONGODB_URI ? 'Set (hidden for security)' : 'Not set'}`);
+    console.log(`   JWT Secret: ${authConfig.jwtSecret ? 'Set (hidden for security)' : 'Not set'}`);
+    console.log(`   Require If-Match: ${httpConfig.requireIfMatch}`);
+    console.log(`   Hobby Catalog Mode: ${hobbyConfig.catalogMode}`);
+    console.log(`   Stats Cache TTL: ${cacheConfig.statsTtlSeconds}s`);
+    console.log(`   Response Cache TTL: ${cacheConfig.responseTtlSeconds ? `${cacheConfig.responseTtlSeconds}s` : 'disabled'}`);
+    console.log(`   Rate Limiting: ${rateLimitConfig.enabled ? `enabled (${rateLimitConfig.store} store)` : 'disabled'}`);
+    
+    // Access tokens cannot be signed or verified without a secret
+    if (!authConfig.jwtSecret) {
+      throw new Error('JWT_SECRET is not defined in environment variables');
+    }
     
     // Connect to MongoDB
     console.log('\n🔌 Connecting to MongoDB...');
     await database.connect();
     
+    // Build autocomplete keys for users created before they existed
+    const backfilled = await User.backfillSuggestKeys();
+    if (backfilled > 0) {
+      console.log(`🔤 Built autocomplete keys for ${backfilled} existing user(s)`);
+    }
+    
     // Get the port from environment or default to 3000
     const PORT = process.env.PORT || 3000;
     
@@ -180,13 +281,19 @@ async function startServer() {
       console.log('\n✅ Server is running!');
       console.log('='.repeat(50));
       console.log(`🌐 Server URL: http://localhost:${PORT}`);
-      console.log(`📚 API Documentation:`);
-      console.log(`   GET  ${API_PREFIX}/users       - Get all users`);
-      console.log(`   POST ${API_PREFIX}/users       - Create new user`);
-      console.log(`   GET  ${API_PREFIX}/users/:id   - Get user by ID`);
-      console.log(`   PUT  ${API_PREFIX}/users/:id   - Update user by ID`);
-      console.log(`   DELETE ${API_PREFIX}/users/:id - Delete user by ID`);
-      console.log(`   GET  /health                   - Health check`);
+      console.log(`📚 API Documentation: http://localhost:${PORT}/docs (OpenAPI: ${API_PREFIX}/<version>/openapi.json)`);
+      
+      // Listed from the mounted routers, so new routes show up here without edits
+      const routeDocs = readRouteDocs();
+      const endpoints = listRoutes(apiRouters).map(({ method, path }) => {
+        const doc = routeDocs.get(`${method} ${path}`);
+        return { method, path: `${API_PREFIX}/<version>${path}`, summary: doc && doc.desc ? doc.desc.split('\n')[0] : '' };
+      });
+      endpoints.push({ method: 'GET', path: '/health', summary: 'Health check' });
+      const pathWidth = Math.max(...endpoints.map(({ path }) => path.length));
+      endpoints.forEach(({ method, path, summary }) => {
+        console.log(`   ${method.padEnd(6)} ${path.padEnd(pathWidth)} - ${summary}`);
+      });
       console.log('='.repeat(50));
       console.log('📋 Ready to accept requests...\n');
     });
@@ -0,0 +1,66 @@
+// test/controllers/userController.test.js
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const Hobby = require('../../models/Hobby');
+const userController = require('../../controllers/userController');
+
+/**
+ * Minimal response recording the status and JSON body
+ */
+const createResponse = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+describe('userController.suggestUsers', () => {
+  it('rejects queries without a word of at least 2 characters', async () => {
+    const res = createResponse();
+    await userController.suggestUsers({ query: { q: 'a b', limit: 8 } }, res);
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /at least 2/);
+  });
+  
+  it('rejects queries with too many words', async () => {
+    const res = createResponse();
+    await userController.suggestUsers({ query: { q: 'aa bb cc dd ee ff', limit: 8 } }, res);
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /more than 5 words/);
+  });
+});
+
+describe('userController.addUserHobby', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  it('answers 422 at the limit without adding the hobby to the catalog', async () => {
+    const hobbies = ['Chess', 'Golf', 'Go', 'Poker', 'Darts', 'Rowing', 'Skiing', 'Diving', 'Hiking', 'Yoga'];
+    const user = new User({ name: 'Ann Lee', email: 'ann@example.com', hobbies });
+    mock.method(User, 'findById', async () => user);
+    mock.method(Hobby, 'resolveNames', async (names) => ({ hobbies: [], unknown: names }));
+    const addPending = mock.method(Hobby, 'addPending', async (name) => name);
+    const addHobby = mock.method(user, 'addHobby');
+    
+    const res = createResponse();
+    const req = {
+      params: { id: String(new mongoose.Types.ObjectId()) },
+      body: { hobby: 'Kiting' },
+      user: { _id: new mongoose.Types.ObjectId() }
+    };
+    await userController.addUserHobby(req, res);
+    
+    assert.equal(res.statusCode, 422);
+    assert.equal(addPending.mock.callCount(), 0);
+    assert.equal(addHobby.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,97 @@
+// test/middleware/authorize.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { authorize, findForbiddenFields } = require('../../middleware/authorize');
+
+/**
+ * Runs an authorize() middleware and resolves with the error it passed on (or null)
+ */
+const runAuthorize = (action, req) => new Promise(resolve => {
+  authorize(action)({ params: {}, body: {}, ...req }, {}, error => resolve(error || null));
+});
+
+const apiKey = (scopes) => ({ hasScope: scope => scopes.includes(scope) });
+
+describe('authorize', () => {
+  it('allows roles listed in the policy', async () => {
+    assert.equal(await runAuthorize('users:list', { user: { role: 'manager' } }), null);
+  });
+  
+  it('rejects other roles with 403', async () => {
+    const error = await runAuthorize('users:list', { user: { role: 'user' } });
+    assert.equal(error.statusCode, 403);
+  });
+  
+  it('allows users to act on their own record when the policy allows self', async () => {
+    const req = { user: { role: 'user', id: 'abc' }, params: { id: 'abc' } };
+    assert.equal(await runAuthorize('users:read', req), null);
+  });
+  
+  it('rejects restricted fields for roles not allowed to change them', async () => {
+    const req = { user: { role: 'user', id: 'abc' }, params: { id: 'abc' }, body: { role: 'admin' } };
+    const error = await runAuthorize('users:update', req);
+    assert.equal(error.statusCode, 403);
+    assert.deepEqual(Object.keys(error.details), ['role']);
+  });
+  
+  it('checks restricted fields changed through JSON Patch operations', async () => {
+    const req = {
+      user: { role: 'manager' },
+      body: [{ op: 'replace', path: '/isActive', value: false }]
+    };
+    const error = await runAuthorize('users:update', req);
+    assert.equal(error.statusCode, 403);
+    assert.ok(error.details.isActive);
+  });
+  
+  it('checks restricted fields replaced through a root JSON Patch pointer', async () => {
+    const req = {
+      user: { role: 'user', id: 'abc' },
+      params: { id: 'abc' },
+      body: [{ op: 'replace', path: '', value: { name: 'x', email: 'x@y.z', role: 'admin', isActive: true } }]
+    };
+    const error = await runAuthorize('users:update', req);
+    assert.equal(error.statusCode, 403);
+    assert.deepEqual(Object.keys(error.details).sort(), ['isActive', 'role']);
+  });
+  
+  it('allows API keys holding the action scope', async () => {
+    const req = { apiKey: apiKey(['users:write']), body: { name: 'Ann' } };
+    assert.equal(await runAuthorize('users:create', req), null);
+  });
+  
+  it('rejects API keys without the action scope', async () => {
+    const error = await runAuthorize('users:create', { apiKey: apiKey(['users:read']) });
+    assert.equal(error.statusCode, 403);
+  });
+  
+  it('never lets API keys change restricted fields', async () => {
+    for (const action of ['users:create', 'users:update']) {
+      const req = { apiKey: apiKey(['users:write']), body: { name: 'Ann', role: 'admin', isActive: true } };
+      const error = await runAuthorize(action, req);
+      assert.equal(error.statusCode, 403);
+      assert.deepEqual(Object.keys(error.details).sort(), ['isActive', 'role']);
+    }
+  });
+  
+  it('throws for actions missing from the policy', () => {
+    assert.throws(() => authorize('users:unknown'), /No role policy/);
+  });
+});
+
+describe('findForbiddenFields', () => {
+  it('returns null when every field is allowed', () => {
+    assert.equal(findForbiddenFields({ user: { role: 'admin' } }, 'users:bulk', ['role', 'name']), null);
+  });
+  
+  it('lists restricted fields an API key tries to set in bulk items or import rows', () => {
+    const req = { apiKey: apiKey(['users:write']) };
+    assert.deepEqual(findForbiddenFields(req, 'users:import', ['name', 'isActive']), {
+      isActive: 'API keys cannot change isActive'
+    });
+  });
+  
+  it('returns null for actions without restricted fields', () => {
+    assert.equal(findForbiddenFields({ user: { role: 'user' } }, 'users:list', ['role']), null);
+  });
+});
@@ -0,0 +1,29 @@
+// test/models/User.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../../models/User');
+
+/**
+ * Validation error message for the password field, or undefined if valid
+ */
+const passwordError = (password) => {
+  const error = new User({ name: 'Ann Lee', email: 'ann@example.com', password }).validateSync('password');
+  return error && error.errors.password && error.errors.password.message;
+};
+
+describe('User password validation', () => {
+  it('accepts passwords of 8 characters up to 72 bytes', () => {
+    assert.equal(passwordError('a'.repeat(8)), undefined);
+    assert.equal(passwordError('a'.repeat(72)), undefined);
+  });
+  
+  it('rejects passwords shorter than 8 characters', () => {
+    assert.match(passwordError('short'), /at least 8 characters/);
+  });
+  
+  it('counts the bytes bcrypt reads, not characters', () => {
+    // 40 characters, 80 bytes in UTF-8
+    assert.equal(passwordError('é'.repeat(40)), 'Password cannot exceed 72 bytes');
+    assert.equal(passwordError('a'.repeat(73)), 'Password cannot exceed 72 bytes');
+  });
+});
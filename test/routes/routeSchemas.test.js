@@ -0,0 +1,107 @@
+// test/routes/routeSchemas.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const authRoutes = require('../../routes/authRoutes');
+const hobbyRoutes = require('../../routes/hobbyRoutes');
+const apiKeyRoutes = require('../../routes/apiKeyRoutes');
+const auditRoutes = require('../../routes/auditRoutes');
+
+/**
+ * Runs the validate() middleware of a route and resolves with the request
+ * and the error it passed on (null if the request is valid)
+ */
+const runValidator = (router, method, path, req) => new Promise(resolve => {
+  const layer = router.stack.find(item => item.route && item.route.path === path && item.route.methods[method]);
+  const validator = layer.route.stack.map(item => item.handle).find(handle => handle.schemas);
+  const request = { params: {}, query: {}, body: {}, ...req };
+  validator(request, {}, error => resolve({ req: request, error: error || null }));
+});
+
+const id = '5f43a1b2c3d4e5f6a7b8c9d0';
+
+describe('auth route schemas', () => {
+  it('rejects non-string registration fields with 400', async () => {
+    const { error } = await runValidator(authRoutes, 'post', '/register', {
+      body: { name: ['Ann'], email: 'ann@example.com', password: { length: 8 } }
+    });
+    assert.equal(error.statusCode, 400);
+    assert.deepEqual(Object.keys(error.details).sort(), ['name', 'password']);
+  });
+  
+  it('reports every missing registration field', async () => {
+    const { error } = await runValidator(authRoutes, 'post', '/register', { body: { name: 'Ann' } });
+    assert.deepEqual(Object.keys(error.details).sort(), ['email', 'password']);
+  });
+  
+  it('normalizes the login email', async () => {
+    const { req, error } = await runValidator(authRoutes, 'post', '/login', {
+      body: { email: ' Ann@Example.com ', password: 'secret123' }
+    });
+    assert.equal(error, null);
+    assert.equal(req.body.email, 'ann@example.com');
+  });
+});
+
+describe('hobby route schemas', () => {
+  it('defaults and coerces pagination', async () => {
+    const { req, error } = await runValidator(hobbyRoutes, 'get', '/', { query: { page: '2' } });
+    assert.equal(error, null);
+    assert.deepEqual(req.query, { page: 2, limit: 50 });
+  });
+  
+  it('rejects non-numeric and out-of-range pagination', async () => {
+    const { error } = await runValidator(hobbyRoutes, 'get', '/', { query: { limit: 'abc', page: '0' } });
+    assert.equal(error.statusCode, 400);
+    assert.deepEqual(Object.keys(error.details).sort(), ['limit', 'page']);
+  });
+  
+  it('rejects malformed hobby and merge target IDs', async () => {
+    const { error } = await runValidator(hobbyRoutes, 'delete', '/:id', {
+      params: { id: 'abc' },
+      query: { mergeInto: 'xyz' }
+    });
+    assert.deepEqual(Object.keys(error.details).sort(), ['id', 'mergeInto']);
+  });
+  
+  it('keeps only catalog fields in the body', async () => {
+    const { req, error } = await runValidator(hobbyRoutes, 'patch', '/:id', {
+      params: { id },
+      body: { status: 'approved', createdBy: id, lookupKeys: ['x'] }
+    });
+    assert.equal(error, null);
+    assert.deepEqual(req.body, { status: 'approved' });
+  });
+});
+
+describe('API key route schemas', () => {
+  it('rejects unknown scopes', async () => {
+    const { error } = await runValidator(apiKeyRoutes, 'post', '/', {
+      body: { name: 'CI', scopes: ['users:read', 'users:purge'] }
+    });
+    assert.equal(error.statusCode, 400);
+    assert.match(error.details.scopes, /item 2 must be one of/);
+  });
+  
+  it('coerces includeRevoked', async () => {
+    const { req } = await runValidator(apiKeyRoutes, 'get', '/', { query: { includeRevoked: 'true' } });
+    assert.equal(req.query.includeRevoked, true);
+  });
+});
+
+describe('audit route schemas', () => {
+  it('splits and checks the action list', async () => {
+    const { req, error } = await runValidator(auditRoutes, 'get', '/', { query: { action: 'create, update' } });
+    assert.equal(error, null);
+    assert.deepEqual(req.query.action, ['create', 'update']);
+    
+    const invalid = await runValidator(auditRoutes, 'get', '/', { query: { action: 'create,rename' } });
+    assert.equal(invalid.error.statusCode, 400);
+  });
+  
+  it('rejects malformed IDs and dates', async () => {
+    const { error } = await runValidator(auditRoutes, 'get', '/', {
+      query: { actor: 'abc', entityId: '123', from: 'yesterday' }
+    });
+    assert.deepEqual(Object.keys(error.details).sort(), ['actor', 'entityId', 'from']);
+  });
+});
@@ -0,0 +1,101 @@
+// test/utils/etag.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getUserETag,
+  getContentETag,
+  ifMatchSatisfied,
+  isNotModified,
+  isRequestFresh
+} = require('../../utils/etag');
+
+/**
+ * Minimal request exposing req.get() for the given headers
+ */
+const request = (headers = {}) => ({ get: name => headers[name] });
+
+describe('getUserETag', () => {
+  it('combines the user ID and revision', () => {
+    assert.equal(getUserETag({ _id: 'abc', revision: 3 }), '"abc-3"');
+  });
+  
+  it('treats a missing revision as 0', () => {
+    assert.equal(getUserETag({ _id: 'abc' }), '"abc-0"');
+  });
+});
+
+describe('getContentETag', () => {
+  it('returns the same weak tag for equal content', () => {
+    const etag = getContentETag({ users: [1, 2] });
+    assert.match(etag, /^W\/"[\w-]+"$/);
+    assert.equal(getContentETag({ users: [1, 2] }), etag);
+  });
+  
+  it('returns different tags for different content', () => {
+    assert.notEqual(getContentETag({ users: [1] }), getContentETag({ users: [2] }));
+  });
+});
+
+describe('ifMatchSatisfied', () => {
+  it('lets requests without If-Match proceed', () => {
+    assert.equal(ifMatchSatisfied(undefined, '"abc-1"'), true);
+  });
+  
+  it('matches any listed tag or the wildcard', () => {
+    assert.equal(ifMatchSatisfied('"abc-0", "abc-1"', '"abc-1"'), true);
+    assert.equal(ifMatchSatisfied('*', '"abc-1"'), true);
+  });
+  
+  it('uses strong comparison', () => {
+    assert.equal(ifMatchSatisfied('"abc-0"', '"abc-1"'), false);
+    assert.equal(ifMatchSatisfied('W/"abc-1"', '"abc-1"'), false);
+  });
+});
+
+describe('isNotModified', () => {
+  it('is false without If-None-Match', () => {
+    assert.equal(isNotModified(undefined, '"abc-1"'), false);
+  });
+  
+  it('uses weak comparison', () => {
+    assert.equal(isNotModified('W/"abc-1"', '"abc-1"'), true);
+    assert.equal(isNotModified('"x", "abc-1"', 'W/"abc-1"'), true);
+    assert.equal(isNotModified('"abc-0"', '"abc-1"'), false);
+  });
+  
+  it('matches the wildcard', () => {
+    assert.equal(isNotModified('*', '"abc-1"'), true);
+  });
+});
+
+describe('isRequestFresh', () => {
+  const lastModified = new Date('2026-01-01T12:00:00.500Z');
+  
+  it('compares If-Modified-Since at one-second precision', () => {
+    const headers = { 'If-Modified-Since': 'Thu, 01 Jan 2026 12:00:00 GMT' };
+    assert.equal(isRequestFresh(request(headers), { etag: '"a"', lastModified }), true);
+  });
+  
+  it('is stale when the resource changed after If-Modified-Since', () => {
+    const headers = { 'If-Modified-Since': 'Thu, 01 Jan 2026 11:59:59 GMT' };
+    assert.equal(isRequestFresh(request(headers), { etag: '"a"', lastModified }), false);
+  });
+  
+  it('ignores invalid dates and unknown modification times', () => {
+    assert.equal(isRequestFresh(request({ 'If-Modified-Since': 'yesterday' }), { etag: '"a"', lastModified }), false);
+    const headers = { 'If-Modified-Since': 'Thu, 01 Jan 2026 12:00:00 GMT' };
+    assert.equal(isRequestFresh(request(headers), { etag: '"a"', lastModified: null }), false);
+  });
+  
+  it('prefers If-None-Match over If-Modified-Since', () => {
+    const headers = {
+      'If-None-Match': '"b"',
+      'If-Modified-Since': 'Thu, 01 Jan 2026 12:00:00 GMT'
+    };
+    assert.equal(isRequestFresh(request(headers), { etag: '"a"', lastModified }), false);
+  });
+  
+  it('is stale without conditional headers', () => {
+    assert.equal(isRequestFresh(request(), { etag: '"a"', lastModified }), false);
+  });
+});
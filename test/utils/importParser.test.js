@@ -0,0 +1,92 @@
+// test/utils/importParser.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { readCsvRecords, readNdjsonRecords, mapRecord } = require('../../utils/importParser');
+
+/**
+ * Collects everything a record generator yields for the given upload body
+ */
+const readAll = async (reader, body) => {
+  const results = [];
+  for await (const result of reader(Readable.from([body]))) {
+    results.push(result);
+  }
+  return results;
+};
+
+describe('readCsvRecords', () => {
+  it('yields header-keyed records with their line numbers', async () => {
+    const results = await readAll(readCsvRecords, '\uFEFFname , email\nAnn, ann@example.com\n\nBea,bea@example.com\n');
+    assert.deepEqual(results, [
+      { line: 2, record: { name: 'Ann', email: 'ann@example.com' } },
+      { line: 4, record: { name: 'Bea', email: 'bea@example.com' } }
+    ]);
+  });
+  
+  it('reports malformed records in place and keeps reading', async () => {
+    const results = await readAll(readCsvRecords, 'name,email\nAnn,ann@example.com,extra\nBea,bea@example.com\n');
+    assert.equal(results.length, 2);
+    assert.equal(results[0].line, 2);
+    assert.match(results[0].error, /^Malformed CSV: /);
+    assert.deepEqual(results[1], { line: 3, record: { name: 'Bea', email: 'bea@example.com' } });
+  });
+  
+  it('reports an error that stops the parser after the rows read before it', async () => {
+    const results = await readAll(readCsvRecords, 'name,email\nAnn,ann@example.com\nBea,"bea@example.com\n');
+    assert.deepEqual(results[0], { line: 2, record: { name: 'Ann', email: 'ann@example.com' } });
+    assert.equal(results.length, 2);
+    assert.match(results[1].error, /^Malformed CSV: /);
+  });
+});
+
+describe('readNdjsonRecords', () => {
+  it('yields one record per non-empty line', async () => {
+    const results = await readAll(readNdjsonRecords, '{"name":"Ann"}\n\n{"name":"Bea"}\r\n');
+    assert.deepEqual(results, [
+      { line: 1, record: { name: 'Ann' } },
+      { line: 3, record: { name: 'Bea' } }
+    ]);
+  });
+  
+  it('reports invalid JSON and non-object lines', async () => {
+    const results = await readAll(readNdjsonRecords, '{"name":\n[1, 2]\nnull\n{"name":"Ann"}\n');
+    assert.match(results[0].error, /^Invalid JSON: /);
+    assert.deepEqual(results.slice(1), [
+      { line: 2, error: 'Each line must be a JSON object' },
+      { line: 3, error: 'Each line must be a JSON object' },
+      { line: 4, record: { name: 'Ann' } }
+    ]);
+  });
+});
+
+describe('mapRecord', () => {
+  const options = { hobbySeparator: ';' };
+  
+  it('renames mapped columns and drops fields that cannot be imported', () => {
+    const record = { 'Full Name': 'Ann', email: 'ann@example.com', role: 'admin', notes: 'x' };
+    assert.deepEqual(mapRecord(record, { 'Full Name': 'name' }, options), {
+      name: 'Ann',
+      email: 'ann@example.com'
+    });
+  });
+  
+  it('coerces CSV strings to the field types', () => {
+    const record = { age: '42', hobbies: 'chess; golf;;', isActive: 'Yes' };
+    assert.deepEqual(mapRecord(record, {}, options), {
+      age: 42,
+      hobbies: ['chess', 'golf'],
+      isActive: true
+    });
+    assert.equal(mapRecord({ isActive: 'no' }, {}, options).isActive, false);
+  });
+  
+  it('keeps values that are already typed', () => {
+    const record = { age: 42, hobbies: ['chess'], isActive: false };
+    assert.deepEqual(mapRecord(record, {}, options), record);
+  });
+  
+  it('leaves out empty cells', () => {
+    assert.deepEqual(mapRecord({ name: 'Ann', age: '', hobbies: null }, {}, options), { name: 'Ann' });
+  });
+});
@@ -0,0 +1,138 @@
+// test/utils/keysetPagination.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  encodeCursor,
+  decodeCursor,
+  cursorMatchesSort,
+  buildKeysetFilter
+} = require('../../utils/keysetPagination');
+
+const schema = new mongoose.Schema({
+  name: String,
+  age: Number,
+  isActive: Boolean,
+  createdAt: Date
+});
+
+const id = new mongoose.Types.ObjectId();
+
+/**
+ * Encodes an arbitrary cursor payload the way encodeCursor does
+ */
+const rawCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('encodeCursor / decodeCursor', () => {
+  it('round-trips sort values and the row ID', () => {
+    const row = { _id: id, name: 'Ann', age: 30, isActive: true, createdAt: new Date('2026-01-01T00:00:00Z') };
+    const sortKeys = [
+      { field: 'createdAt', order: -1 },
+      { field: 'name', order: 1 },
+      { field: 'age', order: 1 },
+      { field: 'isActive', order: -1 }
+    ];
+    
+    const decoded = decodeCursor(encodeCursor(row, sortKeys), schema);
+    assert.deepEqual(decoded.keys, [
+      { field: 'createdAt', order: -1, value: new Date('2026-01-01T00:00:00Z') },
+      { field: 'name', order: 1, value: 'Ann' },
+      { field: 'age', order: 1, value: 30 },
+      { field: 'isActive', order: -1, value: true }
+    ]);
+    assert.ok(decoded.id.equals(id));
+  });
+  
+  it('encodes missing values as null', () => {
+    const decoded = decodeCursor(encodeCursor({ _id: id }, [{ field: 'age', order: 1 }]), schema);
+    assert.equal(decoded.keys[0].value, null);
+  });
+  
+  it('rejects cursors that are not valid payloads', () => {
+    assert.equal(decodeCursor('not a cursor', schema), null);
+    assert.equal(decodeCursor(rawCursor({ k: [], id: String(id) }), schema), null);
+    assert.equal(decodeCursor(rawCursor({ k: [['name', 1, 'Ann']], id: 'abc' }), schema), null);
+    assert.equal(decodeCursor(rawCursor({ k: [['name', 1]], id: String(id) }), schema), null);
+  });
+  
+  it('rejects unknown fields and sort orders', () => {
+    assert.equal(decodeCursor(rawCursor({ k: [['password', 1, 'x']], id: String(id) }), schema), null);
+    assert.equal(decodeCursor(rawCursor({ k: [['name', 0, 'Ann']], id: String(id) }), schema), null);
+  });
+  
+  it('rejects values that do not match the field type', () => {
+    const cases = [
+      ['name', { $ne: null }],
+      ['name', 42],
+      ['age', '30'],
+      ['age', { $gt: 0 }],
+      ['isActive', 'true'],
+      ['createdAt', '2026-01-01'],
+      ['createdAt', { $date: 'not a date' }],
+      ['createdAt', { $date: '2026-01-01', $gt: 0 }]
+    ];
+    cases.forEach(([field, value]) => {
+      assert.equal(decodeCursor(rawCursor({ k: [[field, 1, value]], id: String(id) }), schema), null);
+    });
+  });
+});
+
+describe('cursorMatchesSort', () => {
+  const decoded = { keys: [{ field: 'name', order: 1, value: 'Ann' }], id };
+  
+  it('accepts the sort the cursor was issued for', () => {
+    assert.equal(cursorMatchesSort(decoded, [{ field: 'name', order: 1 }]), true);
+  });
+  
+  it('rejects a different field, order or number of keys', () => {
+    assert.equal(cursorMatchesSort(decoded, [{ field: 'age', order: 1 }]), false);
+    assert.equal(cursorMatchesSort(decoded, [{ field: 'name', order: -1 }]), false);
+    assert.equal(cursorMatchesSort(decoded, [{ field: 'name', order: 1 }, { field: 'age', order: 1 }]), false);
+  });
+});
+
+describe('buildKeysetFilter', () => {
+  it('continues after the cursor on the sort key, then on _id', () => {
+    assert.deepEqual(buildKeysetFilter({ keys: [{ field: 'age', order: 1, value: 30 }], id }), {
+      $or: [
+        { age: { $gt: 30 } },
+        { $and: [{ age: 30 }, { _id: { $gt: id } }] }
+      ]
+    });
+  });
+  
+  it('includes null values after every value when descending', () => {
+    assert.deepEqual(buildKeysetFilter({ keys: [{ field: 'age', order: -1, value: 30 }], id }), {
+      $or: [
+        { $or: [{ age: { $lt: 30 } }, { age: null }] },
+        { $and: [{ age: 30 }, { _id: { $lt: id } }] }
+      ]
+    });
+  });
+  
+  it('handles null cursor values', () => {
+    assert.deepEqual(buildKeysetFilter({ keys: [{ field: 'age', order: 1, value: null }], id }), {
+      $or: [
+        { age: { $ne: null } },
+        { $and: [{ age: null }, { _id: { $gt: id } }] }
+      ]
+    });
+    assert.deepEqual(buildKeysetFilter({ keys: [{ field: 'age', order: -1, value: null }], id }), {
+      $or: [{ $and: [{ age: null }, { _id: { $lt: id } }] }]
+    });
+  });
+  
+  it('ties on earlier keys before comparing later ones', () => {
+    const keys = [
+      { field: 'name', order: 1, value: 'Ann' },
+      { field: 'age', order: 1, value: 30 }
+    ];
+    assert.deepEqual(buildKeysetFilter({ keys, id }), {
+      $or: [
+        { name: { $gt: 'Ann' } },
+        { $and: [{ name: 'Ann' }, { age: { $gt: 30 } }] },
+        { $and: [{ name: 'Ann' }, { age: 30 }, { _id: { $gt: id } }] }
+      ]
+    });
+  });
+});
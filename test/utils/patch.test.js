@@ -0,0 +1,114 @@
+// test/utils/patch.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyMergePatch, applyJsonPatch, getJsonPatchFields } = require('../../utils/patch');
+
+/**
+ * Runs applyJsonPatch and returns the error it threw
+ */
+const jsonPatchError = (target, operations) => {
+  try {
+    applyJsonPatch(target, operations);
+  } catch (error) {
+    return error;
+  }
+  assert.fail('expected applyJsonPatch to throw');
+};
+
+describe('applyMergePatch', () => {
+  it('replaces members and removes members set to null', () => {
+    const target = { name: 'Ann', age: 30, email: 'ann@example.com' };
+    assert.deepEqual(applyMergePatch(target, { age: 31, email: null }), { name: 'Ann', age: 31 });
+  });
+  
+  it('merges nested objects recursively', () => {
+    const target = { address: { city: 'Oslo', zip: '0150' } };
+    assert.deepEqual(applyMergePatch(target, { address: { zip: null, street: 'Main' } }), {
+      address: { city: 'Oslo', street: 'Main' }
+    });
+  });
+  
+  it('replaces arrays and non-object patches as a whole', () => {
+    assert.deepEqual(applyMergePatch({ hobbies: ['a', 'b'] }, { hobbies: ['c'] }), { hobbies: ['c'] });
+    assert.equal(applyMergePatch({ name: 'Ann' }, 'text'), 'text');
+  });
+  
+  it('does not mutate the target', () => {
+    const target = { name: 'Ann', address: { city: 'Oslo' } };
+    applyMergePatch(target, { name: null, address: { city: 'Bergen' } });
+    assert.deepEqual(target, { name: 'Ann', address: { city: 'Oslo' } });
+  });
+});
+
+describe('applyJsonPatch', () => {
+  it('applies the operations to a copy of the document', () => {
+    const target = { name: 'Ann', hobbies: ['chess'] };
+    const result = applyJsonPatch(target, [
+      { op: 'replace', path: '/name', value: 'Bea' },
+      { op: 'add', path: '/hobbies/-', value: 'golf' }
+    ]);
+    assert.deepEqual(result, { name: 'Bea', hobbies: ['chess', 'golf'] });
+    assert.deepEqual(target, { name: 'Ann', hobbies: ['chess'] });
+  });
+  
+  it('rejects documents that are not an array with 400', () => {
+    assert.equal(jsonPatchError({}, { op: 'add' }).statusCode, 400);
+  });
+  
+  it('rejects malformed operations with 400', () => {
+    const error = jsonPatchError({}, [{ op: 'frobnicate', path: '/name' }]);
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.operationIndex, 0);
+  });
+  
+  it('reports failed test operations with 409', () => {
+    const error = jsonPatchError({ name: 'Ann' }, [
+      { op: 'add', path: '/age', value: 1 },
+      { op: 'test', path: '/name', value: 'Bea' }
+    ]);
+    assert.equal(error.statusCode, 409);
+    assert.equal(error.operationIndex, 1);
+  });
+  
+  it('rejects operations on the whole document with 400', () => {
+    const target = { name: 'Ann', role: 'user' };
+    const value = { name: 'x', email: 'x@y.z', role: 'admin', isActive: true };
+    ['replace', 'add'].forEach(op => {
+      const error = jsonPatchError(target, [{ op: 'test', path: '/name', value: 'Ann' }, { op, path: '', value }]);
+      assert.equal(error.statusCode, 400);
+      assert.equal(error.operationIndex, 1);
+    });
+    assert.equal(jsonPatchError(target, [{ op: 'copy', from: '', path: '/role' }]).statusCode, 400);
+    assert.deepEqual(target, { name: 'Ann', role: 'user' });
+  });
+  
+  it('reports operations on missing paths with 422', () => {
+    assert.equal(jsonPatchError({}, [{ op: 'replace', path: '/address/city', value: 'Oslo' }]).statusCode, 422);
+    assert.equal(jsonPatchError({ hobbies: [] }, [{ op: 'add', path: '/hobbies/first', value: 'x' }]).statusCode, 422);
+  });
+});
+
+describe('getJsonPatchFields', () => {
+  it('lists unique top-level fields, skipping test operations', () => {
+    assert.deepEqual(getJsonPatchFields([
+      { op: 'test', path: '/role', value: 'user' },
+      { op: 'replace', path: '/name', value: 'Ann' },
+      { op: 'add', path: '/hobbies/-', value: 'chess' },
+      { op: 'remove', path: '/hobbies/0' }
+    ]), ['name', 'hobbies']);
+  });
+  
+  it('counts both ends of a move', () => {
+    assert.deepEqual(getJsonPatchFields([{ op: 'move', from: '/role', path: '/name' }]), ['name', 'role']);
+  });
+  
+  it('counts every field of the value for root pointers', () => {
+    const value = { name: 'x', role: 'admin', isActive: true };
+    assert.deepEqual(getJsonPatchFields([{ op: 'replace', path: '', value }]), ['name', 'role', 'isActive']);
+    assert.deepEqual(getJsonPatchFields([{ op: 'add', path: '', value }]), ['name', 'role', 'isActive']);
+  });
+  
+  it('unescapes JSON Pointer segments', () => {
+    assert.deepEqual(getJsonPatchFields([{ op: 'remove', path: '/a~1b~0c' }]), ['a/b~c']);
+  });
+});
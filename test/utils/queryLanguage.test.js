@@ -0,0 +1,131 @@
+// test/utils/queryLanguage.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeRegex, parseFilter, parseSort, toMongoSort } = require('../../utils/queryLanguage');
+
+const policy = {
+  filterable: {
+    name: { type: 'string', operators: ['eq', 'contains', 'startsWith'] },
+    age: { type: 'number', operators: ['eq', 'gte', 'lte', 'in', 'exists'] },
+    isActive: { type: 'boolean', operators: ['eq'] },
+    createdAt: { type: 'date', operators: ['gte'] },
+    hobbies: { type: 'string', operators: ['in', 'all'] }
+  },
+  sortable: ['name', 'age', 'createdAt']
+};
+
+/**
+ * Asserts that fn throws a 400 error
+ */
+const assertBadRequest = (fn, message) => {
+  assert.throws(fn, error => error.statusCode === 400 && (!message || message.test(error.message)));
+};
+
+describe('escapeRegex', () => {
+  it('escapes regular expression metacharacters', () => {
+    const text = 'a.b*c+(d)|[e]^$?{f}\\';
+    assert.equal(escapeRegex(text), 'a\\.b\\*c\\+\\(d\\)\\|\\[e\\]\\^\\$\\?\\{f\\}\\\\');
+    assert.ok(new RegExp(`^${escapeRegex(text)}$`).test(text));
+  });
+});
+
+describe('parseFilter', () => {
+  it('returns an empty filter when none is given', () => {
+    assert.deepEqual(parseFilter(undefined, policy), {});
+  });
+  
+  it('parses values according to the field type', () => {
+    assert.deepEqual(parseFilter({
+      age: { gte: '18', lte: '65' },
+      isActive: 'true',
+      createdAt: { gte: '2026-01-01' }
+    }, policy), {
+      $and: [
+        { age: { $gte: 18, $lte: 65 } },
+        { isActive: { $eq: true } },
+        { createdAt: { $gte: new Date('2026-01-01') } }
+      ]
+    });
+  });
+  
+  it('splits list operators on commas and accepts repeated values', () => {
+    assert.deepEqual(parseFilter({ hobbies: { in: 'chess, go' } }, policy), { hobbies: { $in: ['chess', 'go'] } });
+    assert.deepEqual(parseFilter({ age: { in: ['18', '21'] } }, policy), { age: { $in: [18, 21] } });
+  });
+  
+  it('escapes contains and startsWith patterns', () => {
+    assert.deepEqual(parseFilter({ name: { contains: 'a.b' } }, policy), {
+      name: { $regex: 'a\\.b', $options: 'i' }
+    });
+    assert.deepEqual(parseFilter({ name: { startsWith: '(x' } }, policy), {
+      name: { $regex: '^\\(x', $options: 'i' }
+    });
+  });
+  
+  it('keeps both patterns when contains and startsWith are combined', () => {
+    assert.deepEqual(parseFilter({ name: { contains: 'a', startsWith: 'b' } }, policy), {
+      $and: [
+        { name: { $regex: 'a', $options: 'i' } },
+        { name: { $regex: '^b', $options: 'i' } }
+      ]
+    });
+  });
+  
+  it('translates exists into null checks', () => {
+    assert.deepEqual(parseFilter({ age: { exists: 'true' } }, policy), { age: { $ne: null } });
+    assert.deepEqual(parseFilter({ age: { exists: 'false' } }, policy), { age: { $eq: null } });
+  });
+  
+  it('parses or groups', () => {
+    assert.deepEqual(parseFilter({
+      or: [{ name: { contains: 'ann' } }, { age: { gte: '30' } }]
+    }, policy), {
+      $or: [{ name: { $regex: 'ann', $options: 'i' } }, { age: { $gte: 30 } }]
+    });
+  });
+  
+  it('rejects unknown fields and disallowed operators', () => {
+    assertBadRequest(() => parseFilter({ password: 'x' }, policy), /Unknown filter field/);
+    assertBadRequest(() => parseFilter({ name: { regex: '.*' } }, policy), /not allowed/);
+  });
+  
+  it('rejects values that do not match the field type', () => {
+    assertBadRequest(() => parseFilter({ age: { gte: 'old' } }, policy));
+    assertBadRequest(() => parseFilter({ age: { gte: '' } }, policy));
+    assertBadRequest(() => parseFilter({ createdAt: { gte: 'soon' } }, policy));
+    assertBadRequest(() => parseFilter({ isActive: 'yes' }, policy));
+    assertBadRequest(() => parseFilter({ name: { eq: { $ne: null } } }, policy));
+  });
+  
+  it('rejects malformed filters, empty or groups and deep nesting', () => {
+    assertBadRequest(() => parseFilter('name', policy), /Invalid filter syntax/);
+    assertBadRequest(() => parseFilter({ or: [] }, policy), /at least one condition/);
+    const nested = { or: [{ or: [{ or: [{ or: [{ name: 'x' }] }] }] }] };
+    assertBadRequest(() => parseFilter(nested, policy), /nested/);
+  });
+});
+
+describe('parseSort', () => {
+  it('parses ascending and descending fields in order', () => {
+    assert.deepEqual(parseSort('-age, name,+createdAt', policy), [
+      { field: 'age', order: -1 },
+      { field: 'name', order: 1 },
+      { field: 'createdAt', order: 1 }
+    ]);
+  });
+  
+  it('rejects empty sorts and fields that are not sortable', () => {
+    assertBadRequest(() => parseSort(' , ', policy), /at least one field/);
+    assertBadRequest(() => parseSort('email', policy), /Cannot sort by email/);
+  });
+});
+
+describe('toMongoSort', () => {
+  it('adds _id as a tie-breaker in the direction of the last key', () => {
+    assert.deepEqual(toMongoSort([{ field: 'age', order: 1 }, { field: 'name', order: -1 }]), {
+      age: 1,
+      name: -1,
+      _id: -1
+    });
+  });
+});
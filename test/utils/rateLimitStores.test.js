@@ -0,0 +1,85 @@
+// test/utils/rateLimitStores.test.js
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryRateLimitStore } = require('../../utils/rateLimitStores');
+
+describe('MemoryRateLimitStore', () => {
+  let now;
+  let store;
+  
+  beforeEach(() => {
+    now = 1000000;
+    mock.method(Date, 'now', () => now);
+    store = new MemoryRateLimitStore({ sweepIntervalMs: 5000 });
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  describe('increment / get', () => {
+    it('counts per key', async () => {
+      assert.equal(await store.increment('a', 1000), 1);
+      assert.equal(await store.increment('a', 1000), 2);
+      assert.equal(await store.increment('b', 1000), 1);
+      assert.equal(await store.get('a'), 2);
+      assert.equal(await store.get('unknown'), 0);
+    });
+    
+    it('restarts a counter once its window expires', async () => {
+      await store.increment('a', 1000);
+      now += 999;
+      assert.equal(await store.increment('a', 1000), 2);
+      now += 1;
+      assert.equal(await store.get('a'), 0);
+      assert.equal(await store.increment('a', 1000), 1);
+    });
+  });
+  
+  describe('takeToken', () => {
+    const bucket = { capacity: 2, refillPerMs: 1 / 1000, ttlMs: 10000 };
+    
+    it('starts full and rejects requests once empty', async () => {
+      assert.deepEqual(await store.takeToken('a', bucket), { allowed: true, tokens: 1 });
+      assert.deepEqual(await store.takeToken('a', bucket), { allowed: true, tokens: 0 });
+      assert.deepEqual(await store.takeToken('a', bucket), { allowed: false, tokens: 0 });
+    });
+    
+    it('refills over time up to the capacity', async () => {
+      await store.takeToken('a', bucket);
+      await store.takeToken('a', bucket);
+      now += 500;
+      assert.deepEqual(await store.takeToken('a', bucket), { allowed: false, tokens: 0.5 });
+      now += 500;
+      assert.deepEqual(await store.takeToken('a', bucket), { allowed: true, tokens: 0 });
+      now += 9000;
+      assert.deepEqual(await store.takeToken('a', bucket), { allowed: true, tokens: 1 });
+    });
+    
+    it('forgets buckets idle for longer than their ttl', async () => {
+      await store.takeToken('a', { ...bucket, ttlMs: 100 });
+      await store.takeToken('a', { ...bucket, ttlMs: 100 });
+      now += 100;
+      assert.deepEqual(await store.takeToken('a', bucket), { allowed: true, tokens: 1 });
+    });
+  });
+  
+  it('sweeps expired counters at most once per interval', async () => {
+    await store.increment('short', 1000);
+    await store.increment('long', 60000);
+    
+    now += 4000;
+    await store.get('long');
+    assert.equal(store.entries.size, 2);
+    
+    now += 1000;
+    await store.get('long');
+    assert.deepEqual([...store.entries.keys()], ['long']);
+  });
+  
+  it('clear removes every counter', async () => {
+    await store.increment('a', 1000);
+    store.clear();
+    assert.equal(await store.get('a'), 0);
+  });
+});
@@ -0,0 +1,42 @@
+// test/utils/responseContracts.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { RESPONSE_CONTRACTS, withConsistentIds } = require('../../utils/responseContracts');
+
+describe('withConsistentIds', () => {
+  it('renames _id to id and drops __v in nested objects and arrays', () => {
+    const id = new mongoose.Types.ObjectId();
+    const body = { data: [{ _id: id, __v: 0, name: 'Ann', apiKey: { _id: 'k1' } }] };
+    assert.deepEqual(withConsistentIds(body), {
+      data: [{ id: String(id), name: 'Ann', apiKey: { id: 'k1' } }]
+    });
+  });
+  
+  it('keeps an existing id over _id', () => {
+    assert.deepEqual(withConsistentIds({ _id: 'a', id: 'b' }), { id: 'b' });
+  });
+  
+  it('serializes dates and passes primitives through', () => {
+    assert.equal(withConsistentIds(new Date('2026-01-01T00:00:00Z')), '2026-01-01T00:00:00.000Z');
+    assert.equal(withConsistentIds(null), null);
+    assert.equal(withConsistentIds('text'), 'text');
+  });
+});
+
+describe('RESPONSE_CONTRACTS', () => {
+  const body = { success: true, data: [{ _id: 'a', __v: 0 }], filters: { applied: true, details: { age: 1 } } };
+  
+  it('leaves v1 bodies unchanged', () => {
+    assert.equal(RESPONSE_CONTRACTS.v1(body), body);
+  });
+  
+  it('uses consistent ids and hides the filter query in v2', () => {
+    assert.deepEqual(RESPONSE_CONTRACTS.v2(body), {
+      success: true,
+      data: [{ id: 'a' }],
+      filters: { applied: true }
+    });
+    assert.deepEqual(body.filters.details, { age: 1 });
+  });
+});
@@ -0,0 +1,95 @@
+// test/utils/suggest.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  tokenize,
+  buildSuggestKeys,
+  buildQueryKeys,
+  editDistance,
+  scoreSuggestion
+} = require('../../utils/suggest');
+
+describe('tokenize', () => {
+  it('lowercases, strips accents and splits on non-alphanumerics', () => {
+    assert.deepEqual(tokenize('José  Müller-Smith'), ['jose', 'muller', 'smith']);
+  });
+  
+  it('drops duplicate and empty words', () => {
+    assert.deepEqual(tokenize(' Ann ann '), ['ann']);
+    assert.deepEqual(tokenize(undefined), []);
+  });
+});
+
+describe('buildSuggestKeys', () => {
+  it('stores prefixes and start-anchored trigrams of name and email words', () => {
+    const keys = buildSuggestKeys({ name: 'Jo', email: 'ann.b@example.com' });
+    assert.deepEqual(keys.sort(), [
+      'g:^an', 'g:^jo', 'g:ann',
+      'p:a', 'p:an', 'p:ann', 'p:b', 'p:j', 'p:jo'
+    ]);
+  });
+  
+  it('ignores the email domain', () => {
+    const keys = buildSuggestKeys({ name: 'Ann', email: 'ann@example.com' });
+    assert.ok(!keys.includes('p:example'));
+  });
+  
+  it('caps prefixes at ten characters', () => {
+    const keys = buildSuggestKeys({ name: 'Abcdefghijklmn' });
+    assert.ok(keys.includes('p:abcdefghij'));
+    assert.ok(!keys.includes('p:abcdefghijk'));
+    assert.ok(keys.includes('g:lmn'));
+  });
+});
+
+describe('buildQueryKeys', () => {
+  it('looks up short words by prefix only', () => {
+    assert.deepEqual(buildQueryKeys(['jo']), ['p:jo']);
+  });
+  
+  it('adds no key for single-character words', () => {
+    assert.deepEqual(buildQueryKeys(['a']), []);
+    assert.deepEqual(buildQueryKeys(['a', 'jo']), ['p:jo']);
+  });
+  
+  it('adds trigrams for words of three or more characters', () => {
+    assert.deepEqual(buildQueryKeys(['jonh']), ['p:jonh', 'g:^jo', 'g:jon', 'g:onh']);
+  });
+});
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    assert.equal(editDistance('kitten', 'sitting'), 3);
+    assert.equal(editDistance('', 'abc'), 3);
+    assert.equal(editDistance('same', 'same'), 0);
+  });
+  
+  it('counts an adjacent swap as one edit', () => {
+    assert.equal(editDistance('jonh', 'john'), 1);
+  });
+});
+
+describe('scoreSuggestion', () => {
+  const user = { name: 'John Johnson', email: 'jj@example.com' };
+  
+  it('ranks exact words above prefixes above typos', () => {
+    const exact = scoreSuggestion(['john'], user);
+    const prefix = scoreSuggestion(['joh'], user);
+    const typo = scoreSuggestion(['jonh'], user);
+    assert.equal(exact, 1);
+    assert.equal(prefix, 0.9);
+    assert.ok(typo > 0 && typo < prefix);
+  });
+  
+  it('tolerates a typo in a prefix of a longer word', () => {
+    assert.ok(scoreSuggestion(['jonhso'], user) > 0);
+  });
+  
+  it('requires every query word to match', () => {
+    assert.equal(scoreSuggestion(['john', 'smith'], user), 0);
+  });
+  
+  it('does not tolerate typos in words of three characters or fewer', () => {
+    assert.equal(scoreSuggestion(['jhn'], user), 0);
+  });
+});
@@ -0,0 +1,93 @@
+// test/utils/timeBuckets.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidTimeZone, countBuckets, fillBuckets } = require('../../utils/timeBuckets');
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA zones and rejects unknown names', () => {
+    assert.equal(isValidTimeZone('Europe/Paris'), true);
+    assert.equal(isValidTimeZone('UTC'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus'), false);
+  });
+});
+
+describe('countBuckets', () => {
+  const from = new Date('2026-01-01T00:00:00Z');
+  const to = new Date('2026-03-15T00:00:00Z');
+  
+  it('counts calendar days, weeks and months covering the range', () => {
+    assert.equal(countBuckets(from, to, 'day', 'UTC'), 74);
+    // 2026-01-01 is a Thursday, so its week starts on 2025-12-29
+    assert.equal(countBuckets(from, to, 'week', 'UTC'), 11);
+    assert.equal(countBuckets(from, to, 'month', 'UTC'), 3);
+  });
+  
+  it('uses local days in the requested zone', () => {
+    const late = new Date('2026-01-01T23:30:00Z');
+    assert.equal(countBuckets(from, late, 'day', 'UTC'), 1);
+    assert.equal(countBuckets(from, late, 'day', 'Europe/Paris'), 2);
+  });
+});
+
+describe('fillBuckets', () => {
+  it('zero-fills every day in the range', () => {
+    const range = {
+      from: new Date('2026-01-01T00:00:00Z'),
+      to: new Date('2026-01-03T12:00:00Z'),
+      interval: 'day',
+      tz: 'UTC'
+    };
+    assert.deepEqual(fillBuckets([{ _id: '2026-01-02', count: 4 }], range), [
+      { bucket: '2026-01-01', start: '2026-01-01T00:00:00.000Z', count: 0 },
+      { bucket: '2026-01-02', start: '2026-01-02T00:00:00.000Z', count: 4 },
+      { bucket: '2026-01-03', start: '2026-01-03T00:00:00.000Z', count: 0 }
+    ]);
+  });
+  
+  it('rolls days up into weeks starting on Monday', () => {
+    const range = {
+      from: new Date('2026-01-01T00:00:00Z'),
+      to: new Date('2026-01-06T00:00:00Z'),
+      interval: 'week',
+      tz: 'UTC'
+    };
+    const counts = [
+      { _id: '2026-01-01', count: 1 },
+      { _id: '2026-01-04', count: 2 },
+      { _id: '2026-01-05', count: 3 }
+    ];
+    assert.deepEqual(fillBuckets(counts, range).map(({ bucket, count }) => ({ bucket, count })), [
+      { bucket: '2025-12-29', count: 3 },
+      { bucket: '2026-01-05', count: 3 }
+    ]);
+  });
+  
+  it('rolls days up into months', () => {
+    const range = {
+      from: new Date('2026-01-15T00:00:00Z'),
+      to: new Date('2026-03-01T00:00:00Z'),
+      interval: 'month',
+      tz: 'UTC'
+    };
+    const counts = [{ _id: '2026-01-20', count: 2 }, { _id: '2026-01-31', count: 1 }];
+    assert.deepEqual(fillBuckets(counts, range).map(({ bucket, count }) => ({ bucket, count })), [
+      { bucket: '2026-01-01', count: 3 },
+      { bucket: '2026-02-01', count: 0 },
+      { bucket: '2026-03-01', count: 0 }
+    ]);
+  });
+  
+  it('starts buckets at local midnight across DST changes', () => {
+    const range = {
+      from: new Date('2026-03-28T12:00:00Z'),
+      to: new Date('2026-03-30T12:00:00Z'),
+      interval: 'day',
+      tz: 'Europe/Paris'
+    };
+    assert.deepEqual(fillBuckets([], range).map(({ start }) => start), [
+      '2026-03-27T23:00:00.000Z',
+      '2026-03-28T23:00:00.000Z',
+      '2026-03-29T22:00:00.000Z'
+    ]);
+  });
+});
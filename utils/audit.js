@@ -0,0 +1,91 @@
+// utils/audit.js
+const AuditEvent = require('../models/AuditEvent');
+
+/**
+ * Audit Utilities
+ * Records who changed which user fields, from which request
+ */
+
+/**
+ * User fields tracked in audit diffs
+ */
+const AUDITED_FIELDS = ['name', 'email', 'age', 'hobbies', 'isActive', 'role', 'deletedAt', 'deletedBy'];
+
+/**
+ * Describes the caller of a request for the audit log
+ * @param {Object} req - Express request object
+ * @returns {Object} Actor ({ type, id, label })
+ */
+const getActor = (req) => {
+  if (req.apiKey) {
+    return { type: 'apiKey', id: req.apiKey._id, label: req.apiKey.name };
+  }
+  if (req.user) {
+    return { type: 'user', id: req.user._id, label: req.user.email };
+  }
+  return { type: 'system', id: null, label: null };
+};
+
+/**
+ * Converts a field value into a form that can be compared and stored
+ * @param {*} value - Field value (may be a Mongoose array, Date or ObjectId)
+ * @returns {*} Plain JSON-compatible value
+ */
+const toPlainValue = (value) => {
+  if (value === undefined || value === null) return null;
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Computes a field-level diff between two versions of a user
+ * @param {Object} before - Previous state (empty object for creates)
+ * @param {Object} after - New state (empty object for purges)
+ * @returns {Array<Object>} Changes ({ field, before, after })
+ */
+const diffFields = (before, after) => {
+  const changes = [];
+  AUDITED_FIELDS.forEach(field => {
+    const oldValue = toPlainValue(before[field]);
+    const newValue = toPlainValue(after[field]);
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, before: oldValue, after: newValue });
+    }
+  });
+  return changes;
+};
+
+/**
+ * Records an audit event for a user change
+ * The change itself has already been committed, so a failure to write the
+ * audit event is logged rather than turned into an error response
+ * 
+ * @param {Object} req - Express request object
+ * @param {String} action - create/update/delete/restore/purge
+ * @param {Object} before - User state before the change (null for creates)
+ * @param {Object} after - User state after the change (null for purges)
+ * @returns {Promise<AuditEvent|null>} Saved event, or null if nothing was recorded
+ */
+const recordUserAudit = async (req, action, before, after) => {
+  const changes = diffFields(before || {}, after || {});
+  
+  // Updates that did not change any tracked field are not worth an entry
+  if (action === 'update' && changes.length === 0) {
+    return null;
+  }
+  
+  try {
+    return await AuditEvent.create({
+      entityType: 'User',
+      entityId: (after || before)._id,
+      action,
+      actor: getActor(req),
+      requestId: req.id || null,
+      changes
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record audit event (${action}):`, error.message);
+    return null;
+  }
+};
+
+module.exports = { AUDITED_FIELDS, getActor, diffFields, recordUserAudit };
@@ -0,0 +1,103 @@
+// utils/cache.js
+/**
+ * Cache Utilities
+ * In-memory caches for derived user data (statistics, responses)
+ * Caches are registered as user caches so any write to the users
+ * collection clears them (see the User model's write middleware)
+ */
+
+/**
+ * Least-recently-used cache whose entries also expire after a TTL
+ */
+class TtlCache {
+  /**
+   * @param {Object} options - { ttlMs, maxEntries }
+   */
+  constructor({ ttlMs, maxEntries = 100 }) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // Insertion order doubles as recency order
+  }
+
+  /**
+   * Whether the cache stores anything (a TTL of 0 disables it)
+   * @returns {Boolean} True if enabled
+   */
+  get enabled() {
+    return this.ttlMs > 0 && this.maxEntries > 0;
+  }
+
+  /**
+   * Looks up a live entry and marks it as recently used
+   * @param {String} key - Cache key
+   * @returns {Object|undefined} { value, cachedAt } or undefined on a miss
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+    
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Stores a value, evicting the least recently used entry when full
+   * @param {String} key - Cache key
+   * @param {*} value - Value to cache
+   * @returns {Object} { value, cachedAt }
+   */
+  set(key, value) {
+    const entry = { value, cachedAt: new Date(), expiresAt: Date.now() + this.ttlMs };
+    if (!this.enabled) return entry;
+    
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return entry;
+  }
+
+  /**
+   * Removes every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Caches derived from user data, and when user data last changed in this process
+ */
+const userCaches = new Set();
+let lastUserWriteAt = null;
+
+/**
+ * Registers a cache to be cleared whenever user data changes
+ * @param {TtlCache} cache - Cache to register
+ * @returns {TtlCache} The same cache
+ */
+const registerUserCache = (cache) => {
+  userCaches.add(cache);
+  return cache;
+};
+
+/**
+ * Clears every registered user cache
+ */
+const invalidateUserCaches = () => {
+  lastUserWriteAt = new Date();
+  userCaches.forEach(cache => cache.clear());
+};
+
+/**
+ * When user data last changed in this process
+ * Covers changes that leave no updatedAt behind, such as purges
+ * @returns {Date|null} Time of the last write, or null if none since startup
+ */
+const getLastUserWrite = () => lastUserWriteAt;
+
+module.exports = { TtlCache, registerUserCache, invalidateUserCaches, getLastUserWrite };
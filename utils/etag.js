@@ -0,0 +1,105 @@
+// utils/etag.js
+const crypto = require('crypto');
+
+/**
+ * ETag Utilities
+ * Builds entity tags for users and result sets, and evaluates If-Match,
+ * If-None-Match and If-Modified-Since headers
+ */
+
+/**
+ * Builds the strong ETag for a user from its ID and revision counter
+ * @param {Object} user - User document or lean object
+ * @returns {String} Quoted ETag
+ */
+const getUserETag = (user) => {
+  return `"${user._id}-${user.revision || 0}"`;
+};
+
+/**
+ * Builds a weak ETag from the content of a response (e.g. a page of users)
+ * Equal content always yields the same tag, whatever the request path
+ * @param {*} content - JSON-serializable content
+ * @returns {String} Weak ETag
+ */
+const getContentETag = (content) => {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(content)).digest('base64url');
+  return `W/"${hash}"`;
+};
+
+/**
+ * Splits an If-Match / If-None-Match header into entity tags
+ * @param {String} header - Header value
+ * @returns {Array<String>} Entity tags (may include "*")
+ */
+const parseETagList = (header) => {
+  return header
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Evaluates If-Match (strong comparison, RFC 9110 section 13.1.1)
+ * @param {String} header - If-Match header value (may be undefined)
+ * @param {String} etag - Current ETag of the resource
+ * @returns {Boolean} True if the request may proceed
+ */
+const ifMatchSatisfied = (header, etag) => {
+  if (!header) return true;
+  
+  const tags = parseETagList(header);
+  return tags.includes('*') || tags.includes(etag);
+};
+
+/**
+ * Evaluates If-None-Match (weak comparison, RFC 9110 section 13.1.2)
+ * @param {String} header - If-None-Match header value (may be undefined)
+ * @param {String} etag - Current ETag of the resource
+ * @returns {Boolean} True if the client's copy is current (respond 304)
+ */
+const isNotModified = (header, etag) => {
+  if (!header) return false;
+  
+  const stripWeak = tag => tag.replace(/^W\//, '');
+  const tags = parseETagList(header);
+  return tags.includes('*') || tags.map(stripWeak).includes(stripWeak(etag));
+};
+
+/**
+ * Evaluates If-Modified-Since (RFC 9110 section 13.1.3)
+ * HTTP dates have one-second precision, so milliseconds are ignored
+ * @param {String} header - If-Modified-Since header value (may be undefined)
+ * @param {Date} lastModified - When the resource last changed (may be null)
+ * @returns {Boolean} True if the client's copy is current (respond 304)
+ */
+const isUnmodifiedSince = (header, lastModified) => {
+  if (!header || !lastModified) return false;
+  
+  const since = new Date(header);
+  if (isNaN(since)) return false;
+  return Math.floor(lastModified.getTime() / 1000) <= Math.floor(since.getTime() / 1000);
+};
+
+/**
+ * Decides whether a conditional GET can be answered with 304
+ * If-None-Match takes precedence; If-Modified-Since is only used without it
+ * @param {Object} req - Express request object
+ * @param {Object} validators - { etag, lastModified }
+ * @returns {Boolean} True if the client's copy is current
+ */
+const isRequestFresh = (req, { etag, lastModified }) => {
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch) {
+    return isNotModified(ifNoneMatch, etag);
+  }
+  return isUnmodifiedSince(req.get('If-Modified-Since'), lastModified);
+};
+
+module.exports = {
+  getUserETag,
+  getContentETag,
+  ifMatchSatisfied,
+  isNotModified,
+  isRequestFresh
+};
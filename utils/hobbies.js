@@ -0,0 +1,32 @@
+// utils/hobbies.js
+/**
+ * Hobby Utilities
+ * Normalization used to match hobbies against the catalog
+ */
+
+/**
+ * Reduces a hobby to its comparison key
+ * Case, accents, punctuation and spacing are ignored, so "Chess", "chess "
+ * and "CHESS!" all share the key "chess"
+ * @param {String} text - Hobby as entered
+ * @returns {String} Lookup key
+ */
+const toHobbyKey = (text) => {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Builds the URL-friendly slug of a hobby ("Rock Climbing" -> "rock-climbing")
+ * @param {String} text - Hobby name
+ * @returns {String} Slug
+ */
+const toHobbySlug = (text) => {
+  return toHobbyKey(text).replace(/ /g, '-');
+};
+
+module.exports = { toHobbyKey, toHobbySlug };
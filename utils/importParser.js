@@ -0,0 +1,154 @@
+// utils/importParser.js
+const readline = require('readline');
+const { parse } = require('csv-parse');
+
+/**
+ * Import Parsing Utilities
+ * Streams records out of CSV and NDJSON request bodies and maps them to User fields
+ * Records are produced one at a time, so the whole upload is never held in memory
+ */
+
+/**
+ * Media types accepted by the import endpoint
+ */
+const CSV_TYPE = 'text/csv';
+const NDJSON_TYPE = 'application/x-ndjson';
+
+/**
+ * User fields that can be imported
+ * (role is deliberately excluded; imports cannot grant privileges)
+ */
+const IMPORTABLE_FIELDS = ['name', 'email', 'age', 'hobbies', 'isActive'];
+
+/**
+ * Reads records from a CSV stream whose first line is a header row
+ * Malformed records are yielded with an error instead, like invalid NDJSON
+ * lines; an error that stops the parser (e.g. an unclosed quote) is yielded
+ * last, so rows read before it are still reported
+ * @param {Stream} stream - Readable stream (e.g. the request)
+ * @yields {Object} { line, record } or { line, error }
+ */
+async function* readCsvRecords(stream) {
+  // Records skipped by the parser, in line order; the parser may run ahead of
+  // this loop, so each is yielded just before the first record that follows it
+  const skipped = [];
+  const parser = stream.pipe(parse({
+    bom: true,
+    columns: header => header.map(column => column.trim()),
+    skip_empty_lines: true,
+    trim: true,
+    info: true,
+    skip_records_with_error: true,
+    on_skip: (error) => {
+      skipped.push({ line: error.lines, error: `Malformed CSV: ${error.message}` });
+    }
+  }));
+  
+  try {
+    for await (const { record, info } of parser) {
+      while (skipped.length > 0 && skipped[0].line < info.lines) {
+        yield skipped.shift();
+      }
+      yield { line: info.lines, record };
+    }
+    yield* skipped.splice(0);
+  } catch (error) {
+    yield* skipped.splice(0);
+    yield { line: error.lines || null, error: `Malformed CSV: ${error.message}` };
+    // The parser has stopped; drain the rest of the upload
+    stream.unpipe(parser);
+    stream.resume();
+  }
+}
+
+/**
+ * Reads records from an NDJSON stream (one JSON object per line)
+ * Lines that are not valid JSON objects are yielded with an error instead
+ * @param {Stream} stream - Readable stream (e.g. the request)
+ * @yields {Object} { line, record } or { line, error }
+ */
+async function* readNdjsonRecords(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let line = 0;
+  
+  for await (const text of lines) {
+    line++;
+    if (!text.trim()) continue;
+    
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch (error) {
+      yield { line, error: `Invalid JSON: ${error.message}` };
+      continue;
+    }
+    
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+      yield { line, error: 'Each line must be a JSON object' };
+      continue;
+    }
+    yield { line, record };
+  }
+}
+
+/**
+ * Converts a raw value into the type a User field expects
+ * CSV values are always strings; NDJSON values may already be typed
+ * @param {String} field - User field name
+ * @param {*} value - Raw value
+ * @param {Object} options - { hobbySeparator }
+ * @returns {*} Converted value, or undefined for empty cells
+ */
+const coerceValue = (field, value, { hobbySeparator }) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  
+  switch (field) {
+    case 'age':
+      return typeof value === 'number' ? value : Number(value);
+    case 'hobbies':
+      if (Array.isArray(value)) return value;
+      return String(value)
+        .split(hobbySeparator)
+        .map(hobby => hobby.trim())
+        .filter(Boolean);
+    case 'isActive':
+      if (typeof value === 'boolean') return value;
+      return ['true', '1', 'yes', 'y'].includes(String(value).trim().toLowerCase());
+    default:
+      return value;
+  }
+};
+
+/**
+ * Maps a source record to User fields
+ * Columns are renamed through the mapping (source column -> field); unmapped
+ * columns are kept if they already match an importable field, otherwise ignored
+ * @param {Object} record - Source record
+ * @param {Object} mapping - Column mapping
+ * @param {Object} options - { hobbySeparator }
+ * @returns {Object} User data
+ */
+const mapRecord = (record, mapping, options) => {
+  const data = {};
+  Object.keys(record).forEach(column => {
+    const field = mapping[column] || column;
+    if (!IMPORTABLE_FIELDS.includes(field)) return;
+    
+    const value = coerceValue(field, record[column], options);
+    if (value !== undefined) {
+      data[field] = value;
+    }
+  });
+  return data;
+};
+
+module.exports = {
+  CSV_TYPE,
+  NDJSON_TYPE,
+  IMPORTABLE_FIELDS,
+  readCsvRecords,
+  readNdjsonRecords,
+  mapRecord
+};
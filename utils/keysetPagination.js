@@ -0,0 +1,149 @@
+// utils/keysetPagination.js
+const mongoose = require('mongoose');
+
+/**
+ * Keyset Pagination Utilities
+ * Opaque cursors that encode the sort keys and _id of the last row of a page
+ * The next page continues strictly after that row, so deep pages stay fast
+ * and rows inserted between requests never shift or repeat results
+ */
+
+/**
+ * Serializes a sort value, tagging Dates so they are restored as Dates
+ * @param {*} value - Raw field value
+ * @returns {*} JSON-safe value
+ */
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  return value === undefined ? null : value;
+};
+
+/**
+ * Encodes a cursor pointing just after the given row
+ * @param {Object} row - Last row of the current page
+ * @param {Array<Object>} sortKeys - Sort keys ({ field, order }) in priority order
+ * @returns {String} Opaque base64url cursor
+ */
+const encodeCursor = (row, sortKeys) => {
+  const payload = {
+    k: sortKeys.map(({ field, order }) => [field, order, encodeValue(row[field])]),
+    id: String(row._id)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Restores a sort value serialized by encodeValue, checking it against the
+ * type of the field it sorts (cursors come from clients and end up in queries)
+ * @param {*} value - Value from the cursor
+ * @param {String} type - Schema type of the sort field (String, Number, Date, ...)
+ * @returns {Object|null} { value } or null if the value is not valid for the field
+ */
+const decodeValue = (value, type) => {
+  // Missing values sort as null whatever the field's type
+  if (value === null) return { value };
+  
+  switch (type) {
+    case 'String':
+      return typeof value === 'string' ? { value } : null;
+    case 'Number':
+      return typeof value === 'number' && Number.isFinite(value) ? { value } : null;
+    case 'Boolean':
+      return typeof value === 'boolean' ? { value } : null;
+    case 'Date': {
+      const isTagged = typeof value === 'object' && Object.keys(value).length === 1 && typeof value.$date === 'string';
+      const date = isTagged ? new Date(value.$date) : null;
+      return date && !Number.isNaN(date.getTime()) ? { value: date } : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param {String} cursor - Opaque cursor from the client
+ * @param {Schema} schema - Mongoose schema of the paginated model (types the sort values)
+ * @returns {Object|null} { keys: [{ field, order, value }], id } or null if invalid
+ */
+const decodeCursor = (cursor, schema) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || !Array.isArray(payload.k) || payload.k.length === 0 ||
+      typeof payload.id !== 'string' || !mongoose.isValidObjectId(payload.id)) {
+      return null;
+    }
+    
+    const keys = [];
+    for (const entry of payload.k) {
+      if (!Array.isArray(entry) || entry.length !== 3) return null;
+      
+      const [field, order, value] = entry;
+      const schemaType = typeof field === 'string' ? schema.path(field) : null;
+      if (!schemaType || ![1, -1].includes(order)) return null;
+      
+      const decoded = decodeValue(value, schemaType.instance);
+      if (!decoded) return null;
+      keys.push({ field, order, value: decoded.value });
+    }
+    
+    return { keys, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Checks that a decoded cursor was issued for the given sort
+ * @param {Object} decoded - Decoded cursor
+ * @param {Array<Object>} sortKeys - Requested sort keys
+ * @returns {Boolean} True if the cursor continues the same sort
+ */
+const cursorMatchesSort = (decoded, sortKeys) => {
+  return decoded.keys.length === sortKeys.length &&
+    decoded.keys.every((key, index) => key.field === sortKeys[index].field && key.order === sortKeys[index].order);
+};
+
+/**
+ * Builds the condition selecting values strictly after the cursor value
+ * MongoDB sorts null/missing values before everything else, so ascending
+ * pages reach them first and descending pages reach them last
+ * @param {Object} key - { field, order, value }
+ * @returns {Object|null} MongoDB condition, or null if nothing can follow
+ */
+const buildAfterCondition = ({ field, order, value }) => {
+  if (value === null) {
+    return order === 1 ? { [field]: { $ne: null } } : null;
+  }
+  
+  return order === 1
+    ? { [field]: { $gt: value } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * Builds the filter selecting rows after the cursor position
+ * Rows follow the cursor if they tie on the first n keys and come after it
+ * on key n + 1, or tie on every key and come after it on _id
+ * @param {Object} cursor - Decoded cursor
+ * @returns {Object} MongoDB filter
+ */
+const buildKeysetFilter = ({ keys, id }) => {
+  const branches = [];
+  const ties = [];
+  
+  keys.forEach(key => {
+    const after = buildAfterCondition(key);
+    if (after) {
+      branches.push(ties.length > 0 ? { $and: [...ties, after] } : after);
+    }
+    ties.push({ [key.field]: key.value });
+  });
+  
+  const idOrder = keys[keys.length - 1].order === 1 ? '$gt' : '$lt';
+  branches.push({ $and: [...ties, { _id: { [idOrder]: id } }] });
+  
+  return { $or: branches };
+};
+
+module.exports = { encodeCursor, decodeCursor, cursorMatchesSort, buildKeysetFilter };
@@ -0,0 +1,551 @@
+// utils/openapi.js
+const fs = require('fs');
+const path = require('path');
+const { requireAuth } = require('../middleware/auth');
+const { policy } = require('../config/permissions');
+
+/**
+ * OpenAPI Utilities
+ * Builds an OpenAPI 3.1 document from the mounted routers: paths and methods
+ * come from the Express route stack, parameters and bodies from validate()
+ * schemas, roles from authorize(), and summaries from each route's JSDoc
+ * (@route, @desc, @access, @query, @param, @body, @header, @returns)
+ */
+
+const ROUTES_DIR = path.join(__dirname, '..', 'routes');
+
+/**
+ * Headers OpenAPI describes elsewhere (content negotiation and security schemes)
+ */
+const IMPLICIT_HEADERS = ['accept', 'authorization', 'content-type'];
+
+/**
+ * JSDoc types used in the route comments, as JSON Schema
+ */
+const DOC_TYPES = {
+  String: { type: 'string' },
+  Number: { type: 'number' },
+  Boolean: { type: 'boolean' },
+  Date: { type: 'string', format: 'date-time' },
+  Array: { type: 'array' },
+  Object: { type: 'object' }
+};
+
+/**
+ * Parses "{Type} name, other - Description" from a JSDoc tag
+ * @param {String} text - Tag text after the tag name
+ * @returns {Object|null} { type, names, description }
+ */
+const parseTypedTag = (text) => {
+  const match = text.match(/^\{([^}]+)\}\s+(.+?)\s+-\s+([\s\S]*)$/);
+  if (!match) return null;
+  return {
+    type: match[1],
+    names: match[2].split(',').map(name => name.trim()),
+    description: match[3]
+  };
+};
+
+/**
+ * Reads the JSDoc block of every route in routes/*.js
+ * @returns {Map<String, Object>} Docs keyed by "METHOD /path" (path without the /api prefix)
+ */
+const readRouteDocs = () => {
+  const docs = new Map();
+  
+  fs.readdirSync(ROUTES_DIR).filter(file => file.endsWith('.js')).forEach(file => {
+    const source = fs.readFileSync(path.join(ROUTES_DIR, file), 'utf8');
+    const blocks = source.match(/\/\*\*[\s\S]*?\*\//g) || [];
+    
+    blocks.forEach(block => {
+      // Join continuation lines to the tag they belong to
+      const tags = [];
+      block.split('\n').forEach(line => {
+        const text = line.replace(/^\s*\/?\*+\/?\s?/, '').trim();
+        const tag = text.match(/^@(\w+)\s+([\s\S]*)$/);
+        if (tag) {
+          tags.push({ name: tag[1], text: tag[2].trim() });
+        } else if (text && tags.length > 0) {
+          tags[tags.length - 1].text += `\n${text}`;
+        }
+      });
+      
+      const route = tags.find(tag => tag.name === 'route');
+      if (!route) return;
+      
+      const [method, routePath] = route.text.split(/\s+/);
+      const doc = { query: [], param: [], body: [], header: [] };
+      tags.forEach(({ name, text }) => {
+        // Only @desc keeps its line breaks: the first line is the summary
+        const line = name === 'desc' ? text : text.replace(/\n/g, ' ');
+        if (name === 'desc' || name === 'access') {
+          doc[name] = line;
+        } else if (name === 'returns') {
+          const match = line.match(/^\{([^}]+)\}\s+([\s\S]*)$/);
+          if (match) doc.returns = { type: match[1], description: match[2] };
+        } else if (doc[name]) {
+          const entry = parseTypedTag(line);
+          if (entry) doc[name].push(entry);
+        }
+      });
+      
+      docs.set(`${method} ${routePath.replace(/^\/api(?=\/)/, '')}`, doc);
+    });
+  });
+  
+  return docs;
+};
+
+/**
+ * Lists the routes of the mounted routers
+ * @param {Array<Object>} apiRouters - Route table from routes/index.js
+ * @returns {Array<Object>} Routes ({ method, path, tag, handlers, secured }) in mounting order
+ */
+const listRoutes = (apiRouters) => {
+  const routes = [];
+  
+  apiRouters.forEach(({ path: mountPath, tag, router }) => {
+    // router.use(requireAuth) protects every route declared after it
+    let securedFromHere = false;
+    
+    router.stack.forEach(layer => {
+      if (!layer.route) {
+        if (layer.handle === requireAuth) securedFromHere = true;
+        return;
+      }
+      
+      const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+      const routePath = layer.route.path === '/' ? mountPath : `${mountPath}${layer.route.path}`;
+      Object.keys(layer.route.methods).filter(method => method !== '_all').forEach(method => {
+        routes.push({
+          method: method.toUpperCase(),
+          path: routePath,
+          tag,
+          handlers,
+          secured: securedFromHere || handlers.includes(requireAuth)
+        });
+      });
+    });
+  });
+  
+  return routes;
+};
+
+/**
+ * Converts a validate() field rule to JSON Schema
+ * @param {Object} rule - Field rule (see middleware/validate.js)
+ * @returns {Object} JSON Schema
+ */
+const ruleToSchema = (rule) => {
+  const schemas = {
+    string: () => ({ type: 'string', minLength: rule.minLength, maxLength: rule.maxLength }),
+    integer: () => ({ type: 'integer', minimum: rule.min, maximum: rule.max }),
+    number: () => ({ type: 'number', minimum: rule.min, maximum: rule.max }),
+    boolean: () => ({ type: 'boolean' }),
+    objectId: () => ({ type: 'string', pattern: '^[0-9a-fA-F]{24}$' }),
+    date: () => ({ type: 'string', format: 'date-time' }),
+    array: () => ({ type: 'array', items: rule.items ? ruleToSchema(rule.items) : {}, maxItems: rule.maxItems }),
+    object: () => ({ type: 'object' })
+  };
+  
+  const schema = schemas[rule.type]();
+  if (rule.enum) schema.enum = rule.enum;
+  if (rule.default !== undefined) schema.default = rule.default;
+  if (rule.nullable) schema.type = [schema.type, 'null'];
+  
+  // Drop limits the rule does not set
+  Object.keys(schema).forEach(key => schema[key] === undefined && delete schema[key]);
+  return schema;
+};
+
+/**
+ * Reads a mongoose validator option, which may be a value or [value, message]
+ * @param {*} option - Option value
+ * @returns {*} The value
+ */
+const optionValue = (option) => (Array.isArray(option) ? option[0] : option);
+
+/**
+ * Converts one mongoose schema path to JSON Schema
+ * @param {SchemaType} schemaType - Mongoose schema type
+ * @returns {Object} JSON Schema
+ */
+const pathToSchema = (schemaType) => {
+  const { options } = schemaType;
+  
+  if (schemaType.instance === 'Array') {
+    return { type: 'array', items: schemaType.caster ? pathToSchema(schemaType.caster) : {} };
+  }
+  
+  const schema = {
+    String: () => ({ type: 'string' }),
+    Number: () => ({ type: 'number' }),
+    Boolean: () => ({ type: 'boolean' }),
+    Date: () => ({ type: 'string', format: 'date-time' }),
+    ObjectId: () => ({ type: 'string', pattern: '^[0-9a-fA-F]{24}$' })
+  }[schemaType.instance];
+  const result = schema ? schema() : {};
+  
+  const enumValues = options.enum && (Array.isArray(options.enum) ? options.enum : options.enum.values);
+  if (enumValues) result.enum = enumValues;
+  if (options.minlength !== undefined) result.minLength = optionValue(options.minlength);
+  if (options.maxlength !== undefined) result.maxLength = optionValue(options.maxlength);
+  if (options.min !== undefined) result.minimum = optionValue(options.min);
+  if (options.max !== undefined) result.maximum = optionValue(options.max);
+  if (options.default !== undefined && typeof options.default !== 'function') {
+    result.default = options.default;
+  }
+  if (options.default === null && result.type) result.type = [result.type, 'null'];
+  return result;
+};
+
+/**
+ * Builds the JSON Schema of a model as its toJSON output looks
+ * Hidden fields (select: false), _id and the version key are left out;
+ * id, timestamps and virtuals are read-only
+ * @param {Model} model - Mongoose model
+ * @returns {Object} JSON Schema
+ */
+const modelToSchema = (model) => {
+  const properties = { id: { type: 'string', readOnly: true } };
+  const required = ['id'];
+  
+  model.schema.eachPath((pathName, schemaType) => {
+    if (pathName === '_id' || pathName === '__v' || schemaType.options.select === false) return;
+    
+    const schema = pathToSchema(schemaType);
+    if (pathName === 'createdAt' || pathName === 'updatedAt') schema.readOnly = true;
+    properties[pathName] = schema;
+    if (schemaType.isRequired) required.push(pathName);
+  });
+  
+  Object.keys(model.schema.virtuals)
+    .filter(name => name !== 'id' && !properties[name])
+    .forEach(name => {
+      properties[name] = { type: 'string', readOnly: true };
+    });
+  
+  return { type: 'object', properties, required };
+};
+
+/**
+ * Converts an Express path to an OpenAPI path (/:id -> /{id})
+ * @param {String} routePath - Express path
+ * @returns {String} OpenAPI path
+ */
+const toOpenApiPath = (routePath) => routePath.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Finds the JSDoc description of a parameter or body field
+ * @param {Array<Object>} entries - Parsed @query/@param/@body tags
+ * @param {String} name - Field name
+ * @returns {Object|undefined} Matching entry
+ */
+const findDocEntry = (entries, name) => {
+  return entries.find(entry => entry.names.some(entryName => entryName.split('.').pop() === name));
+};
+
+/**
+ * Builds the parameters of one location, from its schema or else its JSDoc
+ * @param {String} location - path or query
+ * @param {Object} [schema] - validate() field rules
+ * @param {Array<Object>} entries - Parsed JSDoc tags for the location
+ * @param {Array<String>} [pathNames] - Names in the path (always required)
+ * @returns {Array<Object>} OpenAPI parameters
+ */
+const buildParameters = (location, schema, entries, pathNames = []) => {
+  const names = schema
+    ? Object.keys(schema)
+    : [...new Set([...pathNames, ...entries.flatMap(entry => entry.names)])];
+  
+  return names.map(name => {
+    const rule = schema && schema[name];
+    const entry = findDocEntry(entries, name);
+    const docType = entry && DOC_TYPES[entry.type];
+    const parameter = {
+      name,
+      in: location,
+      required: location === 'path' || Boolean(rule && rule.required),
+      schema: rule ? ruleToSchema(rule) : { ...(docType || { type: 'string' }) }
+    };
+    if (entry) parameter.description = entry.description;
+    
+    // filter[field][operator]=value
+    if (parameter.schema.type === 'object') {
+      parameter.style = 'deepObject';
+      parameter.explode = true;
+    }
+    return parameter;
+  });
+};
+
+/**
+ * Builds the request body from the body schema or else the @body tags
+ * @param {Object} [schema] - validate() field rules
+ * @param {Object} doc - Parsed JSDoc of the route
+ * @returns {Object|undefined} OpenAPI requestBody
+ */
+const buildRequestBody = (schema, doc) => {
+  const contentHeader = doc.header.find(entry => entry.names.includes('Content-Type'));
+  const mediaTypes = contentHeader
+    ? contentHeader.description.match(/[a-z]+\/[a-z0-9.+-]+/g)
+    : ['application/json'];
+  
+  let bodySchema;
+  if (schema) {
+    const properties = {};
+    Object.keys(schema).forEach(name => {
+      properties[name] = ruleToSchema(schema[name]);
+      const entry = findDocEntry(doc.body, name);
+      if (entry) properties[name].description = entry.description;
+    });
+    const required = Object.keys(schema).filter(name => schema[name].required);
+    bodySchema = { type: 'object', properties, required, additionalProperties: false };
+  } else if (doc.body.length > 0) {
+    // "{Object} user" followed by "user.name" entries documents the fields of user;
+    // a lone object entry (e.g. a patch document) describes the whole body
+    const nested = doc.body.filter(entry => entry.names.some(name => name.includes('.')));
+    const fields = nested.length > 0 ? nested : doc.body;
+    if (fields.length === 1 && /Object/.test(fields[0].type)) {
+      bodySchema = { description: fields[0].description };
+    } else {
+      const properties = {};
+      const required = [];
+      fields.forEach(entry => {
+        entry.names.forEach(name => {
+          const field = name.split('.').pop();
+          properties[field] = { ...(DOC_TYPES[entry.type] || {}), description: entry.description };
+          if (/\(required\b/.test(entry.description)) required.push(field);
+        });
+      });
+      bodySchema = { type: 'object', properties, required };
+    }
+  } else if (!contentHeader) {
+    return undefined;
+  }
+  
+  const content = {};
+  mediaTypes.forEach(mediaType => {
+    content[mediaType] = /json/.test(mediaType) && bodySchema ? { schema: bodySchema } : {};
+  });
+  return { required: true, content };
+};
+
+/**
+ * Builds the success response, shaped by the route's @returns tag
+ * @param {Object} route - Listed route
+ * @param {Object} doc - Parsed JSDoc of the route
+ * @returns {Object} { status, response }
+ */
+const buildSuccessResponse = (route, doc) => {
+  const returns = doc.returns || { type: 'Object', description: 'Result' };
+  const status = route.method === 'POST' && /^(create|register|add a catalog)/i.test(doc.desc || '') ? '201' : '200';
+  
+  // Exports stream files rather than the JSON envelope
+  if (returns.type === 'Stream') {
+    return {
+      status,
+      response: {
+        description: returns.description,
+        content: { 'text/csv': {}, 'application/x-ndjson': {}, 'application/json': {} }
+      }
+    };
+  }
+  
+  let data = { ...(DOC_TYPES[returns.type] || {}) };
+  if (/\buser object\b/i.test(returns.description)) {
+    data = { $ref: '#/components/schemas/User' };
+  } else if (/^(list of|matching|deleted) users\b/i.test(returns.description)) {
+    data = { type: 'array', items: { $ref: '#/components/schemas/User' } };
+  }
+  
+  const properties = {
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    data
+  };
+  if (/pagination/i.test(returns.description)) {
+    properties.pagination = { type: 'object' };
+  }
+  properties.timestamp = { type: 'string', format: 'date-time' };
+  
+  return {
+    status,
+    response: {
+      description: returns.description,
+      content: {
+        'application/json': {
+          schema: { type: 'object', properties, required: ['success', 'message', 'timestamp'] }
+        }
+      }
+    }
+  };
+};
+
+/**
+ * Builds the OpenAPI operation for one route
+ * @param {Object} route - Listed route
+ * @param {Object} doc - Parsed JSDoc of the route
+ * @param {Set<String>} operationIds - IDs already used (kept unique)
+ * @returns {Object} OpenAPI operation
+ */
+const buildOperation = (route, doc, operationIds) => {
+  const validator = route.handlers.find(handler => handler.schemas);
+  const schemas = validator ? validator.schemas : {};
+  const permission = route.handlers.find(handler => handler.action);
+  const pathNames = (route.path.match(/:(\w+)/g) || []).map(name => name.slice(1));
+  
+  // Controller method names make readable SDK method names
+  let operationId = route.handlers[route.handlers.length - 1].name.replace(/^bound /, '');
+  if (!operationId || operationIds.has(operationId)) {
+    operationId = `${route.method.toLowerCase()}${route.path.replace(/\W+(\w)/g, (match, letter) => letter.toUpperCase())}`;
+  }
+  operationIds.add(operationId);
+  
+  const [summary, ...details] = (doc.desc || `${route.method} ${route.path}`).split('\n');
+  const description = [details.join(' '), doc.access && `Access: ${doc.access}`]
+    .filter(Boolean)
+    .join('\n\n');
+  
+  const headers = doc.header
+    .flatMap(entry => entry.names.map(name => ({ name, description: entry.description })))
+    .filter(({ name }) => !IMPLICIT_HEADERS.includes(name.toLowerCase()));
+  
+  const operation = {
+    tags: [route.tag],
+    operationId,
+    summary
+  };
+  if (description) operation.description = description;
+  
+  const parameters = [
+    ...buildParameters('path', schemas.params, doc.param, pathNames),
+    ...buildParameters('query', schemas.query, doc.query),
+    ...headers.map(({ name, description: headerDescription }) => ({
+      name,
+      in: 'header',
+      required: false,
+      description: headerDescription,
+      schema: { type: 'string' }
+    }))
+  ];
+  if (parameters.length > 0) operation.parameters = parameters;
+  
+  if (['POST', 'PUT', 'PATCH'].includes(route.method)) {
+    const requestBody = buildRequestBody(schemas.body, doc);
+    if (requestBody) operation.requestBody = requestBody;
+  }
+  
+  const { status, response } = buildSuccessResponse(route, doc);
+  operation.responses = { [status]: response };
+  if (headers.some(({ name }) => name === 'If-None-Match' || name === 'If-Modified-Since')) {
+    operation.responses['304'] = { description: 'Not modified since the cached copy' };
+  }
+  operation.responses['400'] = { $ref: '#/components/responses/BadRequest' };
+  if (route.secured) {
+    operation.responses['401'] = { $ref: '#/components/responses/Unauthorized' };
+  }
+  if (permission) {
+    operation.responses['403'] = { $ref: '#/components/responses/Forbidden' };
+  }
+  if (pathNames.length > 0) {
+    operation.responses['404'] = { $ref: '#/components/responses/NotFound' };
+  }
+  if (headers.some(({ name }) => name === 'If-Match')) {
+    operation.responses['412'] = { description: 'The resource changed since the If-Match ETag was read' };
+  }
+  operation.responses['429'] = { $ref: '#/components/responses/TooManyRequests' };
+  
+  operation.security = route.secured ? [{ bearerAuth: [] }, { apiKeyAuth: [] }] : [];
+  
+  if (permission) {
+    const rule = policy[permission.action];
+    operation['x-permission'] = {
+      action: permission.action,
+      roles: rule.roles,
+      allowSelf: Boolean(rule.allowSelf),
+      apiKeyScope: rule.scope || null
+    };
+  }
+  
+  return operation;
+};
+
+/**
+ * Builds the OpenAPI document for the mounted routers
+ * @param {Object} options - { apiPrefix, apiRouters, userModel, version, deprecated }
+ * (apiPrefix includes the API version, e.g. /api/v2; deprecated marks every operation)
+ * @returns {Object} OpenAPI 3.1 document
+ */
+const buildOpenApiDocument = ({ apiPrefix, apiRouters, userModel, version, deprecated = false }) => {
+  const docs = readRouteDocs();
+  const operationIds = new Set();
+  const paths = {};
+  
+  listRoutes(apiRouters).forEach(route => {
+    const doc = docs.get(`${route.method} ${route.path}`) || { query: [], param: [], body: [], header: [] };
+    const openApiPath = toOpenApiPath(route.path);
+    paths[openApiPath] = paths[openApiPath] || {};
+    const operation = buildOperation(route, doc, operationIds);
+    if (deprecated) operation.deprecated = true;
+    paths[openApiPath][route.method.toLowerCase()] = operation;
+  });
+  
+  const errorResponse = (description, headers) => {
+    const response = {
+      description,
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+    if (headers) response.headers = headers;
+    return response;
+  };
+  const integerHeader = (description) => ({ description, schema: { type: 'integer' } });
+  
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'User Management REST API',
+      version,
+      description: 'REST API for managing users, built with Express and MongoDB. ' +
+        'Generated from the route definitions; responses use the { success, message, data, timestamp } envelope.'
+    },
+    servers: [{ url: apiPrefix }],
+    tags: apiRouters.map(({ tag, description }) => ({ name: tag, description })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas: {
+        User: modelToSchema(userModel),
+        Error: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', const: false },
+            message: { type: 'string' },
+            errors: { type: 'object', additionalProperties: true, description: 'Messages per field, when available' },
+            timestamp: { type: 'string', format: 'date-time' },
+            path: { type: 'string' },
+            method: { type: 'string' }
+          },
+          required: ['success', 'message', 'timestamp']
+        }
+      },
+      responses: {
+        BadRequest: errorResponse('Invalid parameters or body; errors lists each failing field'),
+        Unauthorized: errorResponse('Missing, invalid or expired credentials'),
+        Forbidden: errorResponse('The caller\'s role or API key scope does not permit this action'),
+        NotFound: errorResponse('Resource not found'),
+        TooManyRequests: errorResponse('Rate limit exceeded', {
+          'Retry-After': integerHeader('Seconds to wait before retrying'),
+          'RateLimit-Limit': integerHeader('Requests allowed by the policy'),
+          'RateLimit-Remaining': integerHeader('Requests left in the current window'),
+          'RateLimit-Reset': integerHeader('Seconds until the quota resets')
+        })
+      }
+    }
+  };
+};
+
+module.exports = { listRoutes, readRouteDocs, buildOpenApiDocument };
@@ -0,0 +1,128 @@
+// utils/patch.js
+const jsonPatch = require('fast-json-patch');
+
+/**
+ * Patch Utilities
+ * Applies JSON Merge Patch (RFC 7396) and JSON Patch (RFC 6902) documents
+ * to plain objects without mutating them
+ */
+
+/**
+ * Media types accepted by PATCH endpoints
+ */
+const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+const JSON_PATCH_TYPE = 'application/json-patch+json';
+
+/**
+ * Checks whether a value is a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {Boolean} True for plain objects
+ */
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+/**
+ * Applies a JSON Merge Patch (RFC 7396)
+ * null removes a member, objects merge recursively, everything else replaces
+ * @param {*} target - Document to patch
+ * @param {*} patch - Merge patch document
+ * @returns {*} Patched copy of the document
+ */
+const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) {
+    return patch;
+  }
+  
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.keys(patch).forEach(key => {
+    if (patch[key] === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], patch[key]);
+    }
+  });
+  return result;
+};
+
+/**
+ * Applies a JSON Patch (RFC 6902)
+ * Failures are thrown as errors carrying a statusCode:
+ *   400 - the patch document itself is malformed, or replaces the whole document
+ *   409 - a "test" operation failed
+ *   422 - an operation cannot be applied to the current document
+ * @param {Object} target - Document to patch
+ * @param {Array} operations - JSON Patch operations
+ * @returns {Object} Patched copy of the document
+ */
+const applyJsonPatch = (target, operations) => {
+  if (!Array.isArray(operations)) {
+    const error = new Error('JSON Patch document must be an array of operations');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  // A root pointer ("") would swap out the whole document, server-managed fields included
+  const rootIndex = operations.findIndex(operation => {
+    return operation && operation.op !== 'test' && (operation.path === '' || operation.from === '');
+  });
+  if (rootIndex !== -1) {
+    const error = new Error('JSON Patch operations cannot target the whole document');
+    error.statusCode = 400;
+    error.operationIndex = rootIndex;
+    throw error;
+  }
+  
+  try {
+    return jsonPatch.applyPatch(target, operations, true, false).newDocument;
+  } catch (error) {
+    if (!(error instanceof jsonPatch.JsonPatchError)) {
+      throw error;
+    }
+    
+    const patchError = new Error(error.message.split('\n')[0]);
+    patchError.operationIndex = error.index;
+    if (error.name === 'TEST_OPERATION_FAILED') {
+      patchError.statusCode = 409;
+    } else if (error.name === 'OPERATION_PATH_UNRESOLVABLE' || error.name === 'OPERATION_PATH_ILLEGAL_ARRAY_INDEX') {
+      patchError.statusCode = 422;
+    } else {
+      patchError.statusCode = 400;
+    }
+    throw patchError;
+  }
+};
+
+/**
+ * Lists the top-level fields a JSON Patch changes
+ * "test" operations change nothing; a "move" also changes its source; a root
+ * pointer ("") changes every field of its value
+ * @param {Array} operations - JSON Patch operations
+ * @returns {Array<String>} Unique top-level field names
+ */
+const getJsonPatchFields = (operations) => {
+  const fields = new Set();
+  operations.forEach(operation => {
+    if (!operation || operation.op === 'test') return;
+    
+    const pointers = operation.op === 'move' ? [operation.path, operation.from] : [operation.path];
+    pointers.forEach(pointer => {
+      if (pointer === '') {
+        const value = operation.value;
+        if (value && typeof value === 'object') Object.keys(value).forEach(field => fields.add(field));
+      } else if (typeof pointer === 'string' && pointer.startsWith('/')) {
+        // Unescape the first JSON Pointer segment (~1 is "/", ~0 is "~")
+        fields.add(pointer.split('/')[1].replace(/~1/g, '/').replace(/~0/g, '~'));
+      }
+    });
+  });
+  return [...fields];
+};
+
+module.exports = {
+  MERGE_PATCH_TYPE,
+  JSON_PATCH_TYPE,
+  applyMergePatch,
+  applyJsonPatch,
+  getJsonPatchFields
+};
@@ -0,0 +1,224 @@
+// utils/queryLanguage.js
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Query Language Utilities
+ * Translates the structured filter and sort query syntax into MongoDB
+ * filters and sort specs, checking every field and operator against a
+ * query policy (see config/queryPolicies.js)
+ *
+ *   filter[age][gte]=18                   -> { age: { $gte: 18 } }
+ *   filter[hobbies][in]=chess,go          -> { hobbies: { $in: ['chess', 'go'] } }
+ *   filter[or][0][name][contains]=ann&filter[or][1][email][eq]=a@b.co
+ *                                         -> { $or: [...] }
+ *   sort=-profileScore,name               -> [profileScore desc, name asc]
+ */
+
+/**
+ * Operators taking a list of values (comma-separated or repeated)
+ */
+const LIST_OPERATORS = ['in', 'nin', 'all'];
+
+/**
+ * Maximum nesting depth of or groups
+ */
+const MAX_GROUP_DEPTH = 3;
+
+/**
+ * Escapes user input for literal use inside a regular expression
+ * @param {String} text - Raw input
+ * @returns {String} Escaped pattern
+ */
+const escapeRegex = (text) => {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Describes the policy for error messages
+ * @param {Object} policy - Query policy
+ * @returns {String} e.g. "name (eq, ne, ...), age (...)"
+ */
+const describeFilterable = (policy) => {
+  return Object.keys(policy.filterable)
+    .map(field => `${field} (${policy.filterable[field].operators.join(', ')})`)
+    .join('; ');
+};
+
+/**
+ * Parses one value according to a field type
+ * @param {String} field - Field name (for error messages)
+ * @param {String} type - string, number, date or boolean
+ * @param {*} raw - Raw query string value
+ * @returns {*} Parsed value
+ */
+const parseValue = (field, type, raw) => {
+  if (typeof raw !== 'string') {
+    throw createError(400, `Invalid value for ${field}`, { [field]: 'Expected a single value' });
+  }
+  
+  switch (type) {
+    case 'number': {
+      const number = Number(raw);
+      if (raw.trim() === '' || !Number.isFinite(number)) {
+        throw createError(400, `Invalid value for ${field}`, { [field]: `"${raw}" is not a number` });
+      }
+      return number;
+    }
+    case 'date': {
+      const date = new Date(raw);
+      if (isNaN(date)) {
+        throw createError(400, `Invalid value for ${field}`, { [field]: `"${raw}" is not a valid date` });
+      }
+      return date;
+    }
+    case 'boolean':
+      if (raw !== 'true' && raw !== 'false') {
+        throw createError(400, `Invalid value for ${field}`, { [field]: 'Expected true or false' });
+      }
+      return raw === 'true';
+    default:
+      return raw;
+  }
+};
+
+/**
+ * Translates one field's operators into MongoDB conditions
+ * A condition holds a single $regex, so when contains and startsWith are
+ * combined the second pattern becomes a condition of its own
+ * @param {String} field - Field name
+ * @param {Object|String} operators - { operator: value } or a bare value (eq)
+ * @param {Object} policy - Query policy
+ * @returns {Array<Object>} MongoDB conditions for the field (all must match)
+ */
+const parseFieldConditions = (field, operators, policy) => {
+  const rule = policy.filterable[field];
+  if (!rule) {
+    throw createError(400, `Unknown filter field: ${field}`, {
+      [field]: `Not filterable. Filterable fields: ${describeFilterable(policy)}`
+    });
+  }
+  
+  // filter[isActive]=true is shorthand for filter[isActive][eq]=true
+  const entries = typeof operators === 'string'
+    ? [['eq', operators]]
+    : Object.entries(operators || {});
+  
+  const condition = {};
+  const patterns = [];
+  entries.forEach(([operator, raw]) => {
+    if (!rule.operators.includes(operator)) {
+      throw createError(400, `Operator ${operator} is not allowed on ${field}`, {
+        [field]: `Allowed operators: ${rule.operators.join(', ')}`
+      });
+    }
+    
+    if (LIST_OPERATORS.includes(operator)) {
+      const list = Array.isArray(raw) ? raw : String(raw).split(',');
+      condition[`$${operator}`] = list.map(item => parseValue(field, rule.type, String(item).trim()));
+    } else if (operator === 'contains') {
+      patterns.push(escapeRegex(parseValue(field, 'string', raw)));
+    } else if (operator === 'startsWith') {
+      patterns.push(`^${escapeRegex(parseValue(field, 'string', raw))}`);
+    } else if (operator === 'exists') {
+      // Optional fields are stored as null rather than left out
+      condition[parseValue(field, 'boolean', raw) ? '$ne' : '$eq'] = null;
+    } else {
+      condition[`$${operator}`] = parseValue(field, rule.type, raw);
+    }
+  });
+  
+  const [firstPattern, ...otherPatterns] = patterns;
+  if (firstPattern !== undefined) {
+    condition.$regex = firstPattern;
+    condition.$options = 'i';
+  }
+  return [condition, ...otherPatterns.map(pattern => ({ $regex: pattern, $options: 'i' }))];
+};
+
+/**
+ * Translates a filter object (and its or groups) into a MongoDB filter
+ * @param {Object} filter - Parsed filter query parameter
+ * @param {Object} policy - Query policy
+ * @param {Number} depth - Current or group depth
+ * @returns {Object} MongoDB filter
+ */
+const parseFilterGroup = (filter, policy, depth) => {
+  if (filter === null || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw createError(400, 'Invalid filter syntax', {
+      filter: 'Use filter[field][operator]=value, e.g. filter[age][gte]=18'
+    });
+  }
+  
+  const conditions = [];
+  Object.keys(filter).forEach(key => {
+    if (key === 'or') {
+      if (depth >= MAX_GROUP_DEPTH) {
+        throw createError(400, `or groups cannot be nested more than ${MAX_GROUP_DEPTH} levels deep`);
+      }
+      // qs turns large indexes into object keys, so accept both shapes
+      const groups = Object.values(filter.or || {});
+      if (groups.length === 0) {
+        throw createError(400, 'or group must contain at least one condition');
+      }
+      conditions.push({ $or: groups.map(group => parseFilterGroup(group, policy, depth + 1)) });
+    } else {
+      parseFieldConditions(key, filter[key], policy).forEach(condition => {
+        conditions.push({ [key]: condition });
+      });
+    }
+  });
+  
+  if (conditions.length === 0) return {};
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+/**
+ * Parses the filter query parameter
+ * @param {Object} filter - req.query.filter (undefined when absent)
+ * @param {Object} policy - Query policy
+ * @returns {Object} MongoDB filter (empty when no filter was given)
+ */
+const parseFilter = (filter, policy) => {
+  if (filter === undefined) return {};
+  return parseFilterGroup(filter, policy, 0);
+};
+
+/**
+ * Parses the sort query parameter
+ * @param {String} sort - e.g. "-profileScore,name"
+ * @param {Object} policy - Query policy
+ * @returns {Array<Object>} Sort keys ({ field, order }) in priority order
+ */
+const parseSort = (sort, policy) => {
+  const fields = String(sort).split(',').map(item => item.trim()).filter(Boolean);
+  if (fields.length === 0) {
+    throw createError(400, 'sort must name at least one field');
+  }
+  
+  return fields.map(item => {
+    const descending = item.startsWith('-');
+    const field = descending ? item.slice(1) : item.replace(/^\+/, '');
+    if (!policy.sortable.includes(field)) {
+      throw createError(400, `Cannot sort by ${field}`, {
+        sort: `Sortable fields: ${policy.sortable.join(', ')}`
+      });
+    }
+    return { field, order: descending ? -1 : 1 };
+  });
+};
+
+/**
+ * Converts parsed sort keys into a MongoDB sort spec, with _id as tie-breaker
+ * @param {Array<Object>} sortKeys - Output of parseSort
+ * @returns {Object} MongoDB sort spec
+ */
+const toMongoSort = (sortKeys) => {
+  const spec = {};
+  sortKeys.forEach(({ field, order }) => {
+    spec[field] = order;
+  });
+  spec._id = sortKeys[sortKeys.length - 1].order;
+  return spec;
+};
+
+module.exports = { escapeRegex, parseFilter, parseSort, toMongoSort };
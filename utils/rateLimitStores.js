@@ -0,0 +1,191 @@
+// utils/rateLimitStores.js
+const RateLimit = require('../models/RateLimit');
+
+/**
+ * Rate Limit Stores
+ * Where rate limit counters live. Every store offers the same three
+ * operations, so the algorithms in middleware/rateLimit.js work with either:
+ * - increment(key, ttlMs): adds one to a counter, resolving to the new count
+ * - get(key): resolves to a counter's current count (0 if unknown)
+ * - takeToken(key, { capacity, refillPerMs, ttlMs }): refills a token bucket
+ *   and takes one token if available, resolving to { allowed, tokens }
+ */
+
+/**
+ * Adds the tokens earned since the last refill, up to the bucket's capacity
+ * @param {Number|undefined} tokens - Tokens left after the last request (undefined for a new bucket)
+ * @param {Number} refilledAt - When the bucket was last refilled, in ms
+ * @param {Object} bucket - { capacity, refillPerMs }
+ * @param {Number} now - Current time in ms
+ * @returns {Number} Tokens available now
+ */
+const refillTokens = (tokens, refilledAt, { capacity, refillPerMs }, now) => {
+  if (tokens === undefined) return capacity;
+  return Math.min(capacity, tokens + (now - refilledAt) * refillPerMs);
+};
+
+/**
+ * Keeps counters in this process's memory
+ * Limits are per instance, so N instances allow up to N times the limit
+ */
+class MemoryRateLimitStore {
+  /**
+   * @param {Object} [options] - { sweepIntervalMs } how often expired counters are dropped
+   */
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.entries = new Map();
+    this.sweepIntervalMs = sweepIntervalMs;
+    this.lastSweepAt = Date.now();
+  }
+
+  /**
+   * Returns a live entry, dropping it if it has expired
+   * @param {String} key - Counter key
+   * @param {Number} now - Current time in ms
+   * @returns {Object|undefined} Stored entry
+   */
+  getEntry(key, now) {
+    this.sweep(now);
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Drops expired counters, at most once per sweep interval
+   * @param {Number} now - Current time in ms
+   */
+  sweep(now) {
+    if (now - this.lastSweepAt < this.sweepIntervalMs) return;
+    
+    this.lastSweepAt = now;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  async increment(key, ttlMs) {
+    const now = Date.now();
+    const entry = this.getEntry(key, now) || { count: 0, expiresAt: now + ttlMs };
+    entry.count += 1;
+    this.entries.set(key, entry);
+    return entry.count;
+  }
+
+  async get(key) {
+    const entry = this.getEntry(key, Date.now());
+    return entry ? entry.count : 0;
+  }
+
+  async takeToken(key, bucket) {
+    const now = Date.now();
+    const entry = this.getEntry(key, now) || {};
+    const available = refillTokens(entry.tokens, entry.refilledAt, bucket, now);
+    const allowed = available >= 1;
+    const tokens = allowed ? available - 1 : available;
+    
+    this.entries.set(key, { tokens, refilledAt: now, expiresAt: now + bucket.ttlMs });
+    return { allowed, tokens };
+  }
+
+  /**
+   * Removes every counter
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Keeps counters in the ratelimits collection, shared by every instance
+ * Each operation is a single atomic update, so concurrent requests on
+ * different instances cannot both take the last token
+ */
+class MongoRateLimitStore {
+  async increment(key, ttlMs) {
+    const update = {
+      $inc: { count: 1 },
+      $setOnInsert: { expiresAt: new Date(Date.now() + ttlMs) }
+    };
+    
+    try {
+      const doc = await RateLimit.findOneAndUpdate({ _id: key }, update, { upsert: true, new: true }).lean();
+      return doc.count;
+    } catch (error) {
+      // Two instances upserted the same new counter; the loser retries as an update
+      if (error.code !== 11000) throw error;
+      const doc = await RateLimit.findOneAndUpdate({ _id: key }, update, { new: true }).lean();
+      return doc.count;
+    }
+  }
+
+  async get(key) {
+    const doc = await RateLimit.findById(key).select('count').lean();
+    return doc ? doc.count : 0;
+  }
+
+  async takeToken(key, { capacity, refillPerMs, ttlMs }) {
+    const now = new Date();
+    
+    // Update pipeline: refill, then take a token only if one is available
+    const pipeline = [
+      {
+        $set: {
+          tokens: {
+            $min: [
+              capacity,
+              {
+                $add: [
+                  { $ifNull: ['$tokens', capacity] },
+                  { $multiply: [{ $subtract: [now, { $ifNull: ['$refilledAt', now] }] }, refillPerMs] }
+                ]
+              }
+            ]
+          }
+        }
+      },
+      { $set: { allowed: { $gte: ['$tokens', 1] } } },
+      {
+        $set: {
+          tokens: { $cond: ['$allowed', { $subtract: ['$tokens', 1] }, '$tokens'] },
+          refilledAt: now,
+          expiresAt: new Date(now.getTime() + ttlMs)
+        }
+      }
+    ];
+    
+    let doc;
+    try {
+      doc = await RateLimit.findOneAndUpdate({ _id: key }, pipeline, { upsert: true, new: true }).lean();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      doc = await RateLimit.findOneAndUpdate({ _id: key }, pipeline, { new: true }).lean();
+    }
+    return { allowed: doc.allowed, tokens: doc.tokens };
+  }
+
+  /**
+   * Removes every counter
+   * @returns {Promise<Object>} Delete result
+   */
+  clear() {
+    return RateLimit.deleteMany({});
+  }
+}
+
+/**
+ * Creates the store named in config/rateLimit.js
+ * @param {String} name - memory or mongodb
+ * @returns {MemoryRateLimitStore|MongoRateLimitStore} Store instance
+ */
+const createRateLimitStore = (name) => {
+  if (name === 'mongodb') {
+    return new MongoRateLimitStore();
+  }
+  return new MemoryRateLimitStore();
+};
+
+module.exports = { MemoryRateLimitStore, MongoRateLimitStore, createRateLimitStore };
@@ -0,0 +1,63 @@
+// utils/responseContracts.js
+/**
+ * Response Contracts
+ * How each API version shapes the JSON bodies the controllers send
+ * - v1: bodies as the controllers build them (ids are "id" for documents
+ *   but "_id" for lean results, and list filters echo the raw MongoDB query)
+ * - v2: every object id is "id" (never "_id"), the version key is dropped
+ *   and filters only report whether any were applied
+ */
+
+/**
+ * Serializes a value the way JSON.stringify would, renaming _id to id and
+ * dropping __v in every nested object
+ * @param {*} value - Response value (documents, lean objects, arrays, primitives)
+ * @returns {*} Plain JSON value
+ */
+const withConsistentIds = (value) => {
+  // Documents (toJSON transform), ObjectIds and Dates serialize themselves first
+  const plain = value && typeof value.toJSON === 'function' ? value.toJSON() : value;
+  
+  if (Array.isArray(plain)) {
+    return plain.map(withConsistentIds);
+  }
+  if (plain === null || typeof plain !== 'object') {
+    return plain;
+  }
+  
+  const result = {};
+  Object.keys(plain).forEach(key => {
+    if (key === '__v') return;
+    if (key === '_id') {
+      if (plain.id === undefined) result.id = withConsistentIds(plain._id);
+      return;
+    }
+    result[key] = withConsistentIds(plain[key]);
+  });
+  return result;
+};
+
+/**
+ * Shapes a body for the v2 contract
+ * @param {Object} body - Body built by a controller or the error handler
+ * @returns {Object} v2 body
+ */
+const toV2Body = (body) => {
+  const shaped = withConsistentIds(body);
+  
+  // The MongoDB query behind a list is an implementation detail
+  if (shaped && shaped.filters && typeof shaped.filters === 'object') {
+    delete shaped.filters.details;
+  }
+  return shaped;
+};
+
+/**
+ * Body shapers by API version
+ */
+const RESPONSE_CONTRACTS = {
+  v1: (body) => body,
+  v2: toV2Body
+};
+
+module.exports = { RESPONSE_CONTRACTS, withConsistentIds };
@@ -0,0 +1,198 @@
+// utils/suggest.js
+/**
+ * Suggest Utilities
+ * Prefix and trigram keys for typo-tolerant autocomplete
+ *
+ * Each user stores keys derived from the words of their name and the parts
+ * of their email local part:
+ *   p:<prefix>   - every prefix up to PREFIX_MAX_LENGTH characters
+ *   g:<trigram>  - trigrams of the word anchored at its start ("^jo", "joh", ...)
+ * Prefix keys answer exact prefixes (even one or two characters); trigram
+ * keys find candidates despite typos, which are then ranked by edit distance
+ */
+
+/**
+ * Longest prefix stored per word
+ */
+const PREFIX_MAX_LENGTH = 10;
+
+/**
+ * Shortest query word looked up by prefix (one character matches too many users)
+ */
+const QUERY_PREFIX_MIN_LENGTH = 2;
+
+/**
+ * Most words a query may contain
+ */
+const MAX_QUERY_WORDS = 5;
+
+/**
+ * Lowercases and strips accents so "José" matches "jose"
+ * @param {String} text - Raw text
+ * @returns {String} Normalized text
+ */
+const normalizeText = (text) => {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+};
+
+/**
+ * Splits text into searchable words
+ * @param {String} text - Raw text
+ * @returns {Array<String>} Unique normalized words
+ */
+const tokenize = (text) => {
+  return [...new Set(normalizeText(text).split(/[^a-z0-9]+/).filter(Boolean))];
+};
+
+/**
+ * Words a user can be found by: name words and email local part pieces
+ * @param {Object} user - { name, email }
+ * @returns {Array<String>} Unique words
+ */
+const getUserWords = ({ name, email }) => {
+  const localPart = String(email || '').split('@')[0];
+  return [...new Set([...tokenize(name), ...tokenize(localPart)])];
+};
+
+/**
+ * Start-anchored trigrams of a word ("john" -> ^jo, joh, ohn)
+ * @param {String} word - Normalized word
+ * @returns {Array<String>} Trigrams
+ */
+const getTrigrams = (word) => {
+  const anchored = `^${word}`;
+  const trigrams = [];
+  for (let i = 0; i + 3 <= anchored.length; i++) {
+    trigrams.push(anchored.slice(i, i + 3));
+  }
+  return trigrams;
+};
+
+/**
+ * Builds the stored suggest keys for a user
+ * @param {Object} user - { name, email }
+ * @returns {Array<String>} Unique keys
+ */
+const buildSuggestKeys = (user) => {
+  const keys = new Set();
+  getUserWords(user).forEach(word => {
+    for (let length = 1; length <= Math.min(word.length, PREFIX_MAX_LENGTH); length++) {
+      keys.add(`p:${word.slice(0, length)}`);
+    }
+    getTrigrams(word).forEach(trigram => keys.add(`g:${trigram}`));
+  });
+  return [...keys];
+};
+
+/**
+ * Builds the keys used to look up candidates for a query
+ * Single-character words add no key; they still have to match when scoring
+ * @param {Array<String>} queryWords - Tokenized query
+ * @returns {Array<String>} Unique keys
+ */
+const buildQueryKeys = (queryWords) => {
+  const keys = new Set();
+  queryWords.forEach(word => {
+    if (word.length >= QUERY_PREFIX_MIN_LENGTH) {
+      keys.add(`p:${word.slice(0, PREFIX_MAX_LENGTH)}`);
+    }
+    if (word.length >= 3) {
+      getTrigrams(word).forEach(trigram => keys.add(`g:${trigram}`));
+    }
+  });
+  return [...keys];
+};
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps)
+ * @param {String} a - First string
+ * @param {String} b - Second string
+ * @returns {Number} Edit distance
+ */
+const editDistance = (a, b) => {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows[i] = [i];
+  }
+  for (let j = 0; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+  
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+/**
+ * Typos tolerated for a query word of the given length
+ * @param {Number} length - Query word length
+ * @returns {Number} Maximum edit distance
+ */
+const allowedTypos = (length) => {
+  if (length <= 3) return 0;
+  return length <= 6 ? 1 : 2;
+};
+
+/**
+ * Scores how well one query word matches one of the user's words
+ * Words are compared with the start of each user word of the same length,
+ * so a typo'd prefix ("jonh") still matches ("johnson")
+ * @param {String} queryWord - Normalized query word
+ * @param {Array<String>} words - User's words
+ * @returns {Number} 0 (no match) to 1 (exact word)
+ */
+const scoreWord = (queryWord, words) => {
+  let best = 0;
+  words.forEach(word => {
+    if (word === queryWord) {
+      best = Math.max(best, 1);
+    } else if (word.startsWith(queryWord)) {
+      best = Math.max(best, 0.9);
+    } else {
+      const distance = Math.min(
+        editDistance(queryWord, word.slice(0, queryWord.length)),
+        editDistance(queryWord, word)
+      );
+      if (distance <= allowedTypos(queryWord.length)) {
+        best = Math.max(best, 0.7 - 0.15 * distance);
+      }
+    }
+  });
+  return best;
+};
+
+/**
+ * Scores a user against the query; every query word must match
+ * @param {Array<String>} queryWords - Tokenized query
+ * @param {Object} user - { name, email }
+ * @returns {Number} 0 (no match) to 1
+ */
+const scoreSuggestion = (queryWords, user) => {
+  const words = getUserWords(user);
+  let total = 0;
+  for (const queryWord of queryWords) {
+    const score = scoreWord(queryWord, words);
+    if (score === 0) return 0;
+    total += score;
+  }
+  return total / queryWords.length;
+};
+
+module.exports = {
+  MAX_QUERY_WORDS,
+  tokenize,
+  buildSuggestKeys,
+  buildQueryKeys,
+  editDistance,
+  scoreSuggestion
+};
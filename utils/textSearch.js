@@ -0,0 +1,105 @@
+// utils/textSearch.js
+const { escapeRegex } = require('./queryLanguage');
+
+/**
+ * Text Search Utilities
+ * Parses search input the way MongoDB $text does, and builds highlighted
+ * snippets showing where each result matched
+ */
+
+/**
+ * Fields covered by the user text index, in the order highlights are built
+ */
+const SEARCH_FIELDS = ['name', 'email', 'hobbies'];
+
+/**
+ * Splits a $text search string into phrases, terms and negated words
+ * e.g. '"rock climbing" chess -golf'
+ *   -> { phrases: ['rock climbing'], terms: ['chess'], excluded: ['golf'] }
+ * @param {String} search - Raw search input
+ * @returns {Object} { phrases, terms, excluded }
+ */
+const parseSearchTerms = (search) => {
+  const phrases = [];
+  const withoutPhrases = String(search).replace(/"([^"]*)"/g, (match, phrase) => {
+    if (phrase.trim()) phrases.push(phrase.trim());
+    return ' ';
+  });
+  
+  const terms = [];
+  const excluded = [];
+  withoutPhrases.split(/\s+/).filter(Boolean).forEach(word => {
+    if (word.startsWith('-')) {
+      if (word.length > 1) excluded.push(word.slice(1));
+    } else {
+      terms.push(word);
+    }
+  });
+  
+  return { phrases, terms, excluded };
+};
+
+/**
+ * Escapes text for safe display inside HTML
+ * @param {String} text - Raw text
+ * @returns {String} Escaped text
+ */
+const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Wraps every occurrence of the needles in <mark> tags
+ * Longer needles are tried first so phrases win over their own words
+ * @param {String} text - Field value
+ * @param {Array<String>} needles - Phrases and terms to highlight
+ * @returns {String|null} HTML snippet, or null if nothing matched
+ */
+const highlight = (text, needles) => {
+  const sorted = [...needles].sort((a, b) => b.length - a.length);
+  const pattern = new RegExp(sorted.map(escapeRegex).join('|'), 'gi');
+  
+  let matched = false;
+  let snippet = '';
+  let lastIndex = 0;
+  String(text).replace(pattern, (match, offset) => {
+    matched = true;
+    snippet += escapeHtml(text.slice(lastIndex, offset)) + `<mark>${escapeHtml(match)}</mark>`;
+    lastIndex = offset + match.length;
+    return match;
+  });
+  
+  return matched ? snippet + escapeHtml(text.slice(lastIndex)) : null;
+};
+
+/**
+ * Builds highlighted snippets for the searchable fields of a user
+ * Text search stems words, so a result can match without a literal
+ * occurrence; such fields simply have no snippet
+ * @param {Object} user - Lean user with name, email and hobbies loaded
+ * @param {Array<String>} needles - Phrases and terms to highlight
+ * @returns {Object} e.g. { name: 'Ann <mark>Lee</mark>', hobbies: ['<mark>chess</mark>'] }
+ */
+const buildHighlights = (user, needles) => {
+  const highlights = {};
+  if (needles.length === 0) return highlights;
+  
+  SEARCH_FIELDS.forEach(field => {
+    const value = user[field];
+    if (Array.isArray(value)) {
+      const snippets = value.map(item => highlight(item, needles)).filter(Boolean);
+      if (snippets.length > 0) highlights[field] = snippets;
+    } else if (value) {
+      const snippet = highlight(value, needles);
+      if (snippet) highlights[field] = snippet;
+    }
+  });
+  
+  return highlights;
+};
+
+module.exports = { SEARCH_FIELDS, parseSearchTerms, buildHighlights };
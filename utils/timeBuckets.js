@@ -0,0 +1,180 @@
+// utils/timeBuckets.js
+/**
+ * Time Bucket Utilities
+ * Calendar bucketing in an IANA time zone for time-series statistics
+ *
+ * MongoDB groups events by local calendar day (YYYY-MM-DD in the requested
+ * zone); days are then rolled up into weeks (starting Monday) or months and
+ * every bucket in the range is emitted, empty ones with a zero count
+ */
+
+const INTERVALS = ['day', 'week', 'month'];
+
+/**
+ * Most buckets a single request may produce
+ */
+const MAX_BUCKETS = 1000;
+
+/**
+ * Checks that a time zone name is known to the runtime
+ * @param {String} tz - IANA zone, e.g. Europe/Paris
+ * @returns {Boolean} True if valid
+ */
+const isValidTimeZone = (tz) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Local calendar date of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {String} tz - IANA zone
+ * @returns {String} YYYY-MM-DD
+ */
+const toLocalDay = (date, tz) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ * @param {Date} date - Instant
+ * @param {String} tz - IANA zone
+ * @returns {Number} Offset (positive east of UTC)
+ */
+const getZoneOffset = (date, tz) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Instant at which a local calendar day starts in a time zone
+ * The offset is looked up twice so days starting next to a DST change are exact
+ * @param {String} day - YYYY-MM-DD
+ * @param {String} tz - IANA zone
+ * @returns {Date} Start of the day
+ */
+const startOfLocalDay = (day, tz) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const midnightUtc = Date.UTC(year, month - 1, date);
+  const guess = midnightUtc - getZoneOffset(new Date(midnightUtc), tz);
+  return new Date(midnightUtc - getZoneOffset(new Date(guess), tz));
+};
+
+/**
+ * Calendar arithmetic on YYYY-MM-DD strings (time zone independent)
+ */
+const parseDay = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date));
+};
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * First day of the bucket containing a day
+ * @param {String} day - YYYY-MM-DD
+ * @param {String} interval - day, week or month
+ * @returns {String} YYYY-MM-DD
+ */
+const toBucketStart = (day, interval) => {
+  const date = parseDay(day);
+  if (interval === 'week') {
+    // ISO weeks start on Monday
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    date.setUTCDate(1);
+  }
+  return formatDay(date);
+};
+
+/**
+ * First day of the bucket after the given one
+ * @param {String} bucket - Bucket start (YYYY-MM-DD)
+ * @param {String} interval - day, week or month
+ * @returns {String} YYYY-MM-DD
+ */
+const nextBucketStart = (bucket, interval) => {
+  const date = parseDay(bucket);
+  if (interval === 'month') {
+    date.setUTCMonth(date.getUTCMonth() + 1);
+  } else {
+    date.setUTCDate(date.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+  return formatDay(date);
+};
+
+/**
+ * Number of buckets between two instants
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {String} interval - day, week or month
+ * @param {String} tz - IANA zone
+ * @returns {Number} Bucket count
+ */
+const countBuckets = (from, to, interval, tz) => {
+  const first = parseDay(toBucketStart(toLocalDay(from, tz), interval));
+  const last = parseDay(toBucketStart(toLocalDay(to, tz), interval));
+  if (interval === 'month') {
+    return (last.getUTCFullYear() - first.getUTCFullYear()) * 12 + last.getUTCMonth() - first.getUTCMonth() + 1;
+  }
+  const days = Math.round((last - first) / 86400000);
+  return Math.floor(days / (interval === 'week' ? 7 : 1)) + 1;
+};
+
+/**
+ * Rolls per-day counts up into zero-filled buckets covering a range
+ * @param {Array<Object>} dailyCounts - [{ _id: 'YYYY-MM-DD', count }] in local days
+ * @param {Object} range - { from, to, interval, tz }
+ * @returns {Array<Object>} [{ bucket, start, count }] in order
+ */
+const fillBuckets = (dailyCounts, { from, to, interval, tz }) => {
+  const counts = new Map();
+  dailyCounts.forEach(({ _id: day, count }) => {
+    const bucket = toBucketStart(day, interval);
+    counts.set(bucket, (counts.get(bucket) || 0) + count);
+  });
+  
+  const buckets = [];
+  const last = toBucketStart(toLocalDay(to, tz), interval);
+  for (let bucket = toBucketStart(toLocalDay(from, tz), interval); bucket <= last; bucket = nextBucketStart(bucket, interval)) {
+    buckets.push({
+      bucket,
+      start: startOfLocalDay(bucket, tz).toISOString(),
+      count: counts.get(bucket) || 0
+    });
+  }
+  return buckets;
+};
+
+module.exports = {
+  INTERVALS,
+  MAX_BUCKETS,
+  isValidTimeZone,
+  countBuckets,
+  fillBuckets
+};
@@ -0,0 +1,153 @@
+// utils/tokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+
+/**
+ * Token Utilities
+ * Signs and verifies the JWT access tokens handed out by the auth endpoints
+ * and builds the opaque refresh tokens backing device sessions and API keys
+ */
+
+/**
+ * Signs a short-lived access token for a user
+ * @param {User} user - User document the token is issued for
+ * @param {Session} [session] - Device session the token belongs to
+ * @returns {String} Signed JWT
+ */
+const signAccessToken = (user, session) => {
+  const claims = { email: user.email };
+  if (session) {
+    claims.sid = String(session._id);
+  }
+  
+  return jwt.sign(
+    claims,
+    authConfig.jwtSecret,
+    {
+      subject: String(user._id),
+      issuer: authConfig.issuer,
+      expiresIn: authConfig.accessTokenExpiresIn
+    }
+  );
+};
+
+/**
+ * Verifies an access token and returns its payload
+ * Throws JsonWebTokenError / TokenExpiredError, which errorHandler maps to 401
+ * @param {String} token - Raw JWT from the Authorization header
+ * @returns {Object} Decoded token payload
+ */
+const verifyAccessToken = (token) => {
+  return jwt.verify(token, authConfig.jwtSecret, { issuer: authConfig.issuer });
+};
+
+/**
+ * Returns the lifetime of an access token in seconds
+ * @param {String} token - Signed JWT
+ * @returns {Number} Seconds until expiry
+ */
+const getExpiresIn = (token) => {
+  const { iat, exp } = jwt.decode(token);
+  return exp - iat;
+};
+
+/**
+ * Hashes a refresh token secret for storage
+ * Secrets are high-entropy random values, so a fast hash is sufficient
+ * @param {String} secret - Refresh token secret
+ * @returns {String} Hex-encoded SHA-256 hash
+ */
+const hashToken = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Generates a new random refresh token secret
+ * @returns {String} URL-safe random secret
+ */
+const generateRefreshSecret = () => {
+  return crypto.randomBytes(32).toString('base64url');
+};
+
+/**
+ * Builds the refresh token handed to the client
+ * Format: <sessionId>.<secret>
+ * @param {Session} session - Session the token belongs to
+ * @param {String} secret - Refresh token secret
+ * @returns {String} Refresh token
+ */
+const buildRefreshToken = (session, secret) => {
+  return `${session._id}.${secret}`;
+};
+
+/**
+ * Splits a refresh token into its session ID and secret
+ * @param {String} token - Refresh token from the client
+ * @returns {Object|null} { sessionId, secret } or null if malformed
+ */
+const parseRefreshToken = (token) => {
+  if (typeof token !== 'string') return null;
+  
+  const [sessionId, secret] = token.split('.');
+  if (!sessionId || !secret || !/^[0-9a-fA-F]{24}$/.test(sessionId)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+/**
+ * Computes the expiry date for a refresh token issued now
+ * @returns {Date} Expiry date
+ */
+const getRefreshExpiry = () => {
+  const ttlMs = authConfig.refreshTokenExpiresInDays * 24 * 60 * 60 * 1000;
+  return new Date(Date.now() + ttlMs);
+};
+
+/**
+ * Generates a new API key
+ * Format: ak_<prefix>_<secret>, where the prefix identifies the key record
+ * @returns {Object} { key, prefix, secret }
+ */
+const generateApiKey = () => {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { key: `ak_${prefix}_${secret}`, prefix, secret };
+};
+
+/**
+ * Splits an API key into its prefix and secret
+ * @param {String} key - API key from the X-API-Key header
+ * @returns {Object|null} { prefix, secret } or null if malformed
+ */
+const parseApiKey = (key) => {
+  const match = /^ak_([0-9a-f]{12})_([A-Za-z0-9_-]+)$/.exec(key || '');
+  return match ? { prefix: match[1], secret: match[2] } : null;
+};
+
+/**
+ * Compares two token hashes in constant time
+ * @param {String} a - Hex-encoded hash
+ * @param {String} b - Hex-encoded hash
+ * @returns {Boolean} True if equal
+ */
+const safeCompareHashes = (a, b) => {
+  const bufferA = Buffer.from(a, 'hex');
+  const bufferB = Buffer.from(b, 'hex');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  getExpiresIn,
+  hashToken,
+  generateRefreshSecret,
+  buildRefreshToken,
+  parseRefreshToken,
+  getRefreshExpiry,
+  generateApiKey,
+  parseApiKey,
+  safeCompareHashes
+};
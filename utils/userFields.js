@@ -0,0 +1,119 @@
+// utils/userFields.js
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * User Field Utilities
+ * Whitelist of user fields clients may select, and sparse fieldset
+ * (?fields= / ?exclude=) resolution
+ */
+
+/**
+ * Stored fields clients may select (_id is always returned)
+ */
+const STORED_FIELDS = ['name', 'email', 'age', 'hobbies', 'isActive', 'role', 'profileScore', 'createdAt', 'updatedAt'];
+
+/**
+ * Virtual fields and the stored fields they are computed from
+ */
+const VIRTUAL_FIELDS = {
+  ageGroup: ['age'],
+  profileSummary: ['name', 'age', 'hobbies']
+};
+
+const SELECTABLE_FIELDS = [...STORED_FIELDS, ...Object.keys(VIRTUAL_FIELDS)];
+
+/**
+ * Splits and validates a comma-separated field list
+ * @param {String} value - e.g. "name,email,ageGroup"
+ * @param {String} param - Query parameter name (for error messages)
+ * @returns {Array<String>} Unique field names
+ */
+const parseFieldList = (value, param) => {
+  const fields = [...new Set(String(value).split(',').map(field => field.trim()).filter(Boolean))];
+  if (fields.length === 0) {
+    throw createError(400, `${param} must list at least one field`);
+  }
+  
+  const unknown = fields.filter(field => !SELECTABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw createError(400, `Unknown field(s) in ${param}: ${unknown.join(', ')}`, {
+      [param]: `Selectable fields: ${SELECTABLE_FIELDS.join(', ')}`
+    });
+  }
+  
+  return fields;
+};
+
+/**
+ * Resolves ?fields= / ?exclude= into the fields to return
+ * exclude is turned into the equivalent field list, so both are projected
+ * the same way and virtual dependencies are always loaded
+ * @param {Object} params - Query parameters (fields, exclude)
+ * @returns {Object|null} { fields, virtuals, projection }, or null for full documents
+ */
+const resolveFieldset = ({ fields, exclude }) => {
+  if (fields === undefined && exclude === undefined) return null;
+  if (fields !== undefined && exclude !== undefined) {
+    throw createError(400, 'Use either fields or exclude, not both');
+  }
+  
+  let selected;
+  if (fields !== undefined) {
+    selected = parseFieldList(fields, 'fields');
+  } else {
+    const excluded = parseFieldList(exclude, 'exclude');
+    selected = SELECTABLE_FIELDS.filter(field => !excluded.includes(field));
+  }
+  
+  const projection = {};
+  selected.forEach(field => {
+    (VIRTUAL_FIELDS[field] || [field]).forEach(storedField => {
+      projection[storedField] = 1;
+    });
+  });
+  
+  return {
+    fields: selected,
+    virtuals: selected.filter(field => VIRTUAL_FIELDS[field]),
+    projection
+  };
+};
+
+/**
+ * Builds the MongoDB projection for a fieldset
+ * @param {Object} fieldset - Output of resolveFieldset
+ * @param {Array<String>} extraFields - Fields the server needs internally (e.g. sort keys)
+ * @returns {Object} Inclusion projection
+ */
+const buildFieldsetProjection = (fieldset, extraFields = []) => {
+  const projection = { ...fieldset.projection };
+  extraFields.forEach(field => {
+    projection[field] = 1;
+  });
+  return projection;
+};
+
+/**
+ * Picks the selected fields out of a user
+ * @param {Object} user - Lean user
+ * @param {Object} fieldset - Output of resolveFieldset
+ * @param {Object} document - Hydrated document to read virtuals from (if any)
+ * @returns {Object} Sparse user with _id and the selected fields
+ */
+const pickFields = (user, fieldset, document) => {
+  const sparse = { _id: user._id };
+  fieldset.fields.forEach(field => {
+    const value = VIRTUAL_FIELDS[field] ? document[field] : user[field];
+    sparse[field] = value === undefined ? null : value;
+  });
+  return sparse;
+};
+
+module.exports = {
+  STORED_FIELDS,
+  VIRTUAL_FIELDS,
+  SELECTABLE_FIELDS,
+  resolveFieldset,
+  buildFieldsetProjection,
+  pickFields
+};